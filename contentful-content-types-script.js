@@ -8,26 +8,129 @@
  *
  * Usage:
  *   node contentful-content-types-report.js
- *   node contentful-content-types-report.js --dry-run=false
+ *   node contentful-content-types-report.js --dry-run
+ *   node contentful-content-types-report.js --input=export.json
+ *   node contentful-content-types-report.js diff --from=dev --to=staging
+ *   node contentful-content-types-report.js plan --dir=content-model
  */
 
 import "dotenv/config";
-import contentfulManagement from "contentful-management";
-const { createClient } = contentfulManagement;
 import fs from "fs/promises";
 import path from "path";
 import minimist from "minimist";
+import {
+  buildReport,
+  checkReportOptions,
+  fetchContentModel,
+} from "./lib/index.js";
+import {
+  createEnvironmentApi,
+  fetchEntries,
+  isSnapshotFile,
+  loadContentModel,
+  loadEntriesFromFile,
+} from "./lib/sources.js";
+import { diffContentTypes, generateDiffReport } from "./lib/diff.js";
+import { toDot } from "./lib/graph.js";
+import { lintContentTypes, loadLintConfig } from "./lib/lint.js";
+import { generateTypeDefinitions } from "./lib/typescript.js";
+import {
+  formatSchemaWarnings,
+  generateJsonSchemas,
+} from "./lib/json-schema.js";
+import { generateZodModule } from "./lib/zod.js";
+import { auditEntries, generateAuditReport, needsAssets } from "./lib/audit.js";
+import {
+  compareSharedContentTypes,
+  generateTargetsIndex,
+  loadTargetsConfig,
+  resolveTargets,
+  targetFileName,
+} from "./lib/targets.js";
+import {
+  buildTimeline,
+  createSnapshot,
+  generateHistoryReport,
+  getSnapshotDir,
+  loadSnapshots,
+  saveSnapshot,
+} from "./lib/snapshots.js";
+import { generateMigrationScript } from "./lib/migration.js";
+import { isEmptyFilter } from "./lib/filters.js";
+import { createWebhookServer } from "./lib/server.js";
+import {
+  applyModelPlan,
+  exportModel,
+  formatModelPlan,
+  hasModelChanges,
+  loadModelDirectory,
+  planModelChanges,
+} from "./lib/model-files.js";
+import {
+  analyzeImpact,
+  generateImpactReport,
+  parseImpactTarget,
+} from "./lib/impact.js";
 
 // Parse command line arguments
 const args = minimist(process.argv.slice(2), {
-  boolean: ["help"],
-  string: ["output"],
+  boolean: [
+    "help",
+    "graph",
+    "zod",
+    "usage",
+    "scorecard",
+    "snapshot",
+    "with-dependencies",
+    "yes",
+    "dry-run",
+  ],
+  string: [
+    "output",
+    "input",
+    "from",
+    "to",
+    "format",
+    "graph-style",
+    "config",
+    "content-type",
+    "entries",
+    "targets",
+    "snapshots",
+    "source",
+    "target",
+    "concurrency",
+    "port",
+    "host",
+    "include",
+    "exclude",
+    "tag",
+    "fields",
+    "template",
+    "dir",
+  ],
   default: {
     output: null,
+    format: "md",
+    "graph-style": "flowchart",
+    config: null,
+    input: null,
+    from: null,
+    to: null,
+    entries: null,
+    targets: null,
+    snapshots: null,
+    snapshot: true,
+    source: null,
+    target: null,
+    template: null,
+    dir: null,
   },
   alias: {
     h: "help",
     o: "output",
+    i: "input",
+    f: "format",
   },
 });
 
@@ -37,10 +140,62 @@ const config = {
   environmentId: process.env.CONTENTFUL_ENVIRONMENT_ID || "master",
   accessToken: process.env.CONTENTFUL_MANAGEMENT_TOKEN,
   outputDir: process.env.OUTPUT_DIR || "reports",
+  // Only needed to point the script at a proxy or a mock server
+  baseUrl: process.env.CONTENTFUL_API_URL || undefined,
+  concurrency: Math.max(Number.parseInt(args.concurrency, 10) || 4, 1),
+  onProgress: showProgress,
+  onRetry: showRetry,
 };
 
+// Lint rules are read from this file in the working directory if it exists
+const DEFAULT_LINT_CONFIG = ".contentful-lint.json";
+
+// Content model files of export-model, plan and apply, meant to be committed
+const DEFAULT_MODEL_DIR = "content-model";
+
+// Live page counts while fetching collections. Only drawn on a terminal, so
+// CI logs stay readable.
+function showProgress({ label, loaded, total }) {
+  if (!process.stderr.isTTY) return;
+  process.stderr.write(`\r⏳ ${label}: ${loaded}/${total}`);
+  process.stderr.write(loaded >= total ? "\n" : "\x1b[K");
+}
+
+function showRetry({ status, path: requestPath, attempt, delay }) {
+  console.log(
+    `⏳ ${status || "Network error"} on ${requestPath}, retrying in ${(
+      delay / 1000
+    ).toFixed(1)}s (attempt ${attempt + 1})`
+  );
+}
+
+// Values of an option that can be repeated or comma-separated
+function listOption(name) {
+  return [args[name]]
+    .flat()
+    .filter(Boolean)
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+// Report filters from --include, --exclude, --tag, --fields and
+// --with-dependencies
+function getReportFilter() {
+  return {
+    include: listOption("include"),
+    exclude: listOption("exclude"),
+    tags: listOption("tag"),
+    fields: listOption("fields"),
+    withDependencies: args["with-dependencies"],
+  };
+}
+
 // Validation function for required environment variables
-function validateConfig() {
+function validateConfig(requireCredentials = !args.input) {
+  // Offline mode reads everything from files, so no credentials are needed
+  if (!requireCredentials) return;
+
   const missingVars = [];
 
   if (!config.spaceId) missingVars.push("CONTENTFUL_SPACE_ID");
@@ -63,515 +218,1125 @@ Contentful Content Types and Validations Report Generator
 
 Usage:
   node contentful-content-types-report.js [options]
+  node contentful-content-types-report.js diff --from <source> --to <source> [options]
+  node contentful-content-types-report.js lint [--config <file>] [options]
+  node contentful-content-types-report.js types [options]
+  node contentful-content-types-report.js schema [--zod] [options]
+  node contentful-content-types-report.js audit-entries [--content-type <id>] [options]
+  node contentful-content-types-report.js history [--snapshots <dir>] [options]
+  node contentful-content-types-report.js migration --source <source> --target <source> [options]
+  node contentful-content-types-report.js serve [--port <port>] [options]
+  node contentful-content-types-report.js impact <content type id>[.<field id>] [--entries] [options]
+  node contentful-content-types-report.js export-model [--dir <dir>] [options]
+  node contentful-content-types-report.js plan [--dir <dir>] [options]
+  node contentful-content-types-report.js apply [--dir <dir>] [--yes] [options]
+
+Commands:
+  (default)         Generate the content types report
+  diff              Compare two content models and report the changes.
+                    A source is an environment id in CONTENTFUL_SPACE_ID or
+                    the path to a saved content types JSON file
+  lint              Check the content model against governance rules and
+                    exit with code 1 if any rule with "error" severity fails
+  types             Generate TypeScript definitions (.d.ts) for the entries
+                    (default file: contentful-types.d.ts)
+  schema            Generate a JSON Schema per content type mirroring the
+                    field validations (default directory: schemas)
+  audit-entries     Check existing entries against the current field
+                    validations and exit with code 1 if any entry fails
+  history           Build a timeline of content model changes from the
+                    snapshots stored by previous report runs
+  migration         Generate a contentful-migration script that changes the
+                    target content model to match the source. Destructive
+                    operations are commented out
+  impact            List the fields that can link to or embed a content
+                    type, including fields accepting any content type.
+                    For a field, also list the settings that use it
+  serve             Start an HTTP server that regenerates the report when
+                    Contentful sends a content type webhook and serves the
+                    latest report
+  export-model      Write each content type (fields, validations and editor
+                    settings) as a YAML file, to review changes in pull
+                    requests
+  plan              Compare the YAML files with the environment and print
+                    the changes apply would make
+  apply             Make the planned changes in the environment. Only prints
+                    the plan unless --yes is given
 
 Options:
   --output <file>   Specify output filename (optional)
+  --format <type>   Report format: md (default), json, csv or html. csv
+                    can't take --usage or --scorecard
+  --template <file> Render the report from a Handlebars template instead of
+                    the built-in layout (templates/report.md.hbs). The
+                    format only sets the file extension
+  --graph           Add a content model relationship graph: a Mermaid diagram
+                    in the Markdown report plus a Graphviz .dot file
+  --usage           Page through the entries and add entry counts, status
+                    counts and field fill rates to the report
+  --scorecard       Add a complexity and health scorecard: field counts,
+                    reference fan-in/fan-out and depth, validation coverage,
+                    reference cycles and how close the model is to
+                    Contentful's limits. Thresholds come from the "scorecard"
+                    key of the --config file
+  --graph-style <s> Mermaid diagram style: flowchart (default) or er
+  --input <file>    Read content types from a JSON file instead of the API
+                    (a contentful-cli space export or a raw content types dump)
+  --targets <file>  Generate a report per space/environment listed in a JSON
+                    file, plus an index comparing shared content types
+  --no-snapshot     Don't store a content types snapshot for this run
+                    (default: stored in OUTPUT_DIR/snapshots, except for
+                    models read from --input)
+  --concurrency <n> Maximum parallel API requests (default: 4)
+  --include <glob>  Only report content types whose id matches the glob
+                    (repeat or comma-separate for several, e.g. "blog*")
+  --exclude <glob>  Leave out content types whose id matches the glob
+  --tag <id>        Only report content types with this metadata tag
+  --fields <filter> Only report fields matching every filter: references,
+                    localized, required, validated, rich-text or disabled
+  --with-dependencies
+                    Also report every content type the selected ones can
+                    reference, directly or through other content types
+  --from <source>   diff: the environment or snapshot to compare from
+  --to <source>     diff: the environment or snapshot to compare to
+  --config <file>   lint: rules config file, also read for the --scorecard
+                    thresholds (default: .contentful-lint.json)
+  --zod             schema: also generate a Zod validators module
+  --content-type <id>
+                    audit-entries: only check entries of this content type
+                    (repeat or comma-separate for several)
+  --entries <file>  audit-entries: read entries from a JSON file (a space
+                    export or an entries API response) instead of --input
+                    or the API
+  --entries [file]  impact: count the entries linking to the target, from
+                    the file, --input or the API
+  --snapshots <dir> history: read snapshots from this directory (default:
+                    OUTPUT_DIR/snapshots/<space id>/<environment id>)
+  --source <source> migration: the environment or snapshot to copy from
+  --target <source> migration: the environment or snapshot to migrate
+  --port <port>     serve: port to listen on (default: 3000)
+  --host <host>     serve: interface to listen on (default: 127.0.0.1)
+  --dir <dir>       export-model, plan, apply: the content model directory
+                    (default: content-model)
+  --yes             apply: make the changes. Without it, apply only prints
+                    the plan
+  --dry-run         apply: only print the plan, even with --yes. Report:
+                    list the uncaptured validations
   --help, -h        Show this help message
 
-Environment Variables (required):
+Environment Variables (required unless --input or --targets is used):
   CONTENTFUL_SPACE_ID          Your Contentful space ID
   CONTENTFUL_MANAGEMENT_TOKEN  Your Contentful management API token
   CONTENTFUL_ENVIRONMENT_ID    Environment ID (default: master)
   OUTPUT_DIR                   Output directory (default: reports)
+  CONTENTFUL_API_URL           Management API base URL
+                               (default: https://api.contentful.com)
+  CONTENTFUL_WEBHOOK_SECRET    serve: webhook signing secret
 
 Examples:
   node contentful-content-types-report.js
   node contentful-content-types-report.js --output=my-content-types.md
+  node contentful-content-types-report.js --input=space-export.json
+  node contentful-content-types-report.js --format=csv
+  node contentful-content-types-report.js --template=docs.md.hbs
+  node contentful-content-types-report.js --targets=targets.json
+  node contentful-content-types-report.js --include="blog*" --with-dependencies
+  node contentful-content-types-report.js --fields=references
+  node contentful-content-types-report.js diff --from=dev --to=master
+  node contentful-content-types-report.js diff --from=old.json --to=staging
+  node contentful-content-types-report.js lint --input=space-export.json
+  node contentful-content-types-report.js types --output=contentful.d.ts
+  node contentful-content-types-report.js schema --zod
+  node contentful-content-types-report.js audit-entries --content-type=blogPost
+  node contentful-content-types-report.js audit-entries --input=space-export.json
+  node contentful-content-types-report.js history
+  node contentful-content-types-report.js migration --source=dev --target=master
+  node contentful-content-types-report.js serve --port=8080
+  node contentful-content-types-report.js impact author --entries
+  node contentful-content-types-report.js impact blogPost.title
+  node contentful-content-types-report.js export-model --dir=content-model
+  node contentful-content-types-report.js plan
+  node contentful-content-types-report.js apply --yes
 `);
 }
 
-// Format validation rules into readable text with comprehensive coverage
-function formatValidations(validations, field = null) {
-  if (!validations || validations.length === 0) return "None";
-
-  return validations
-    .map((validation, index) => {
-      const rules = [];
-
-      // Basic validations
-      if (validation.unique) rules.push("Unique");
-
-      // Size validations (for Symbol, Text, etc.)
-      if (validation.size) {
-        const size = validation.size;
-        if (size.min !== undefined && size.max !== undefined) {
-          rules.push(`Length: ${size.min}-${size.max} chars`);
-        } else if (size.min !== undefined) {
-          rules.push(`Min length: ${size.min} chars`);
-        } else if (size.max !== undefined) {
-          rules.push(`Max length: ${size.max} chars`);
-        }
-      }
+async function ensureOutputDir() {
+  try {
+    await fs.access(config.outputDir);
+  } catch {
+    await fs.mkdir(config.outputDir, { recursive: true });
+  }
+}
 
-      // Range validations (for Number, Integer, Date)
-      if (validation.range) {
-        const range = validation.range;
-        if (range.min !== undefined && range.max !== undefined) {
-          rules.push(`Range: ${range.min} to ${range.max}`);
-        } else if (range.min !== undefined) {
-          rules.push(`Min value: ${range.min}`);
-        } else if (range.max !== undefined) {
-          rules.push(`Max value: ${range.max}`);
-        }
-      }
+// Load the content model from --input or the Contentful API. With
+// `entries`, the entries and locales are loaded as well. `locales` and
+// `editorInterfaces` load just those.
+async function loadModel({
+  entries = false,
+  locales = false,
+  editorInterfaces = false,
+} = {}) {
+  if (args.input) {
+    console.log(`📂 Input: ${args.input}`);
+    console.log("");
+    console.log("📥 Reading content types from file...");
+  } else {
+    console.log(`📍 Space: ${config.spaceId}`);
+    console.log(`🌍 Environment: ${config.environmentId}`);
+    console.log("");
+    console.log(
+      entries
+        ? "📥 Fetching content types, entries and locales..."
+        : "📥 Fetching content types..."
+    );
+  }
 
-      // Predefined values (dropdown/radio options)
-      if (
-        validation.in &&
-        Array.isArray(validation.in) &&
-        validation.in.length > 0
-      ) {
-        const options = validation.in.map((opt) => `"${opt}"`).join(", ");
-        rules.push(`Options: [${options}]`);
-      }
+  // Explicit env vars win over the ids recorded in an export
+  const model = await fetchContentModel({
+    ...config,
+    environmentId: args.input
+      ? process.env.CONTENTFUL_ENVIRONMENT_ID
+      : config.environmentId,
+    input: args.input,
+    entries,
+    locales,
+    editorInterfaces,
+  });
+  config.spaceId = model.spaceId;
+  config.environmentId = model.environmentId;
 
-      // Reference field validations - ENHANCED
-      if (validation.linkContentType) {
-        if (Array.isArray(validation.linkContentType)) {
-          rules.push(`Links to: [${validation.linkContentType.join(", ")}]`);
-        } else {
-          rules.push(`Links to: ${validation.linkContentType}`);
-        }
-      }
+  return model;
+}
 
-      // Multiple link content types (for arrays of references)
-      if (
-        validation.linkContentTypes &&
-        Array.isArray(validation.linkContentTypes)
-      ) {
-        rules.push(`Links to any: [${validation.linkContentTypes.join(", ")}]`);
-      }
+// Compare two environments or snapshots and write a Markdown change report
+async function runDiff() {
+  console.log("🚀 Contentful Content Model Diff");
+  console.log("================================");
 
-      // Link mimetype validation (for assets)
-      if (
-        validation.linkMimetypeGroup &&
-        Array.isArray(validation.linkMimetypeGroup)
-      ) {
-        rules.push(`Asset types: [${validation.linkMimetypeGroup.join(", ")}]`);
-      }
+  if (!args.from || !args.to) {
+    console.error("❌ The diff command needs both --from and --to sources.");
+    process.exit(1);
+  }
 
-      // Asset file size validation
-      if (validation.assetFileSize) {
-        const size = validation.assetFileSize;
-        if (size.min !== undefined && size.max !== undefined) {
-          rules.push(`Asset size: ${size.min}-${size.max} bytes`);
-        } else if (size.min !== undefined) {
-          rules.push(`Asset min size: ${size.min} bytes`);
-        } else if (size.max !== undefined) {
-          rules.push(`Asset max size: ${size.max} bytes`);
-        }
-      }
+  const sources = [args.from, args.to];
+  const snapshotFlags = await Promise.all(sources.map(isSnapshotFile));
+  validateConfig(snapshotFlags.includes(false));
 
-      // Asset image dimensions
-      if (validation.assetImageDimensions) {
-        const dims = validation.assetImageDimensions;
-        const dimRules = [];
-        if (dims.width) {
-          if (dims.width.min !== undefined && dims.width.max !== undefined) {
-            dimRules.push(`width: ${dims.width.min}-${dims.width.max}px`);
-          } else if (dims.width.min !== undefined) {
-            dimRules.push(`min width: ${dims.width.min}px`);
-          } else if (dims.width.max !== undefined) {
-            dimRules.push(`max width: ${dims.width.max}px`);
-          }
-        }
-        if (dims.height) {
-          if (dims.height.min !== undefined && dims.height.max !== undefined) {
-            dimRules.push(`height: ${dims.height.min}-${dims.height.max}px`);
-          } else if (dims.height.min !== undefined) {
-            dimRules.push(`min height: ${dims.height.min}px`);
-          } else if (dims.height.max !== undefined) {
-            dimRules.push(`max height: ${dims.height.max}px`);
-          }
-        }
-        if (dimRules.length > 0) {
-          rules.push(`Image dimensions: ${dimRules.join(", ")}`);
-        }
-      }
+  sources.forEach((source, index) => {
+    const label = index === 0 ? "From" : "To";
+    const kind = snapshotFlags[index] ? "snapshot" : "environment";
+    console.log(`🔀 ${label}: ${source} (${kind})`);
+  });
+  console.log("");
 
-      // Regex pattern validation
-      if (validation.regexp) {
-        const pattern = validation.regexp.pattern || validation.regexp;
-        const flags = validation.regexp.flags ? `/${flags}` : "";
-        rules.push(`Pattern: /${pattern}/${flags}`);
-      }
+  try {
+    console.log("📥 Loading content types...");
+    const [fromModel, toModel] = await Promise.all(
+      sources.map((source) => loadContentModel(source, config))
+    );
 
-      // Rich text validations - COMPREHENSIVE
-      if (validation.enabledNodeTypes) {
-        const nodeTypes = Array.isArray(validation.enabledNodeTypes)
-          ? validation.enabledNodeTypes
-          : [validation.enabledNodeTypes];
-        rules.push(`Rich text nodes: [${nodeTypes.join(", ")}]`);
-      }
+    const diff = diffContentTypes(fromModel.contentTypes, toModel.contentTypes);
+    const reportContent = generateDiffReport(diff, {
+      from: args.from,
+      to: args.to,
+    });
 
-      if (validation.enabledMarks) {
-        const marks = Array.isArray(validation.enabledMarks)
-          ? validation.enabledMarks
-          : [validation.enabledMarks];
-        rules.push(`Rich text marks: [${marks.join(", ")}]`);
-      }
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+    const filename = args.output || `contentful-diff-${timestamp}.md`;
+    const filepath = path.join(config.outputDir, filename);
 
-      // Rich text embedded entries validation
-      if (validation.nodes) {
-        const nodeRules = [];
-
-        // Embedded entries
-        if (validation.nodes["embedded-entry-block"]) {
-          const embeddedEntry = validation.nodes["embedded-entry-block"];
-          if (embeddedEntry.linkContentType) {
-            const types = Array.isArray(embeddedEntry.linkContentType)
-              ? embeddedEntry.linkContentType
-              : [embeddedEntry.linkContentType];
-            nodeRules.push(`Embedded entries: [${types.join(", ")}]`);
-          }
-        }
-
-        // Embedded assets
-        if (validation.nodes["embedded-asset-block"]) {
-          nodeRules.push("Embedded assets: allowed");
-        }
-
-        // Entry hyperlinks
-        if (validation.nodes["entry-hyperlink"]) {
-          const entryLink = validation.nodes["entry-hyperlink"];
-          if (entryLink.linkContentType) {
-            const types = Array.isArray(entryLink.linkContentType)
-              ? entryLink.linkContentType
-              : [entryLink.linkContentType];
-            nodeRules.push(`Entry links: [${types.join(", ")}]`);
-          }
-        }
-
-        // Asset hyperlinks
-        if (validation.nodes["asset-hyperlink"]) {
-          nodeRules.push("Asset links: allowed");
-        }
-
-        // External hyperlinks
-        if (validation.nodes["hyperlink"]) {
-          nodeRules.push("External links: allowed");
-        }
-
-        if (nodeRules.length > 0) {
-          rules.push(`Rich text content: ${nodeRules.join("; ")}`);
-        }
-      }
+    await ensureOutputDir();
+    await fs.writeFile(filepath, reportContent, "utf8");
 
-      // Date validations
-      if (validation.dateRange) {
-        const dateRange = validation.dateRange;
-        if (dateRange.min && dateRange.max) {
-          rules.push(`Date range: ${dateRange.min} to ${dateRange.max}`);
-        } else if (dateRange.min) {
-          rules.push(`Date after: ${dateRange.min}`);
-        } else if (dateRange.max) {
-          rules.push(`Date before: ${dateRange.max}`);
-        }
-      }
+    console.log(`✅ Diff saved to: ${filepath}`);
 
-      // Prohibited values
-      if (validation.prohibitRegexp) {
-        const pattern =
-          validation.prohibitRegexp.pattern || validation.prohibitRegexp;
-        const flags = validation.prohibitRegexp.flags ? `/${flags}` : "";
-        rules.push(`Prohibited pattern: /${pattern}/${flags}`);
-      }
+    console.log("\n📈 Summary:");
+    console.log(`   Added Content Types: ${diff.added.length}`);
+    console.log(`   Removed Content Types: ${diff.removed.length}`);
+    console.log(`   Changed Content Types: ${diff.changed.length}`);
+    console.log(`   Breaking Changes: ${diff.breaking.length}`);
+    if (diff.breaking.length > 0) {
+      console.log(
+        "\n⚠️  Breaking changes detected, see the report for details"
+      );
+    }
+  } catch (error) {
+    console.error("❌ Error generating diff:");
+    console.error(error.message);
 
-      // Custom validation message
-      if (validation.message) {
-        rules.push(`Message: "${validation.message}"`);
-      }
+    if (error.response?.data) {
+      console.error("API Error Details:", error.response.data);
+    }
 
-      // Array-specific validations
-      if (field && field.type === "Array" && field.items) {
-        // Array size limits
-        if (
-          validation.size &&
-          (validation.size.min !== undefined ||
-            validation.size.max !== undefined)
-        ) {
-          const size = validation.size;
-          if (size.min !== undefined && size.max !== undefined) {
-            rules.push(`Array size: ${size.min}-${size.max} items`);
-          } else if (size.min !== undefined) {
-            rules.push(`Min items: ${size.min}`);
-          } else if (size.max !== undefined) {
-            rules.push(`Max items: ${size.max}`);
-          }
-        }
-      }
+    process.exit(1);
+  }
+}
 
-      // If no specific rules were found, check for any other properties
-      if (rules.length === 0) {
-        const otherKeys = Object.keys(validation).filter(
-          (key) => !["message"].includes(key)
-        );
-        if (otherKeys.length > 0) {
-          rules.push(`Other: ${JSON.stringify(validation)}`);
-        }
-      }
+// Run governance rules over the content model and exit nonzero on errors
+async function runLint() {
+  console.log("🚀 Contentful Content Model Lint");
+  console.log("================================");
+
+  validateConfig();
+
+  try {
+    const configPath = args.config || DEFAULT_LINT_CONFIG;
+    const lintConfig = await loadLintConfig(configPath, {
+      optional: !args.config,
+    });
+    console.log(
+      `⚙️  Rules: ${lintConfig ? configPath : "defaults (no config file)"}`
+    );
+
+    const model = await loadModel();
+    console.log(`✅ Found ${model.contentTypes.length} content types`);
+
+    const result = lintContentTypes(model.contentTypes, lintConfig || {});
 
-      return rules.length > 0 ? rules.join("; ") : "Unknown validation";
-    })
-    .join(" | ");
+    console.log("");
+    result.violations.forEach((violation) => {
+      const icon = violation.severity === "error" ? "❌" : "⚠️ ";
+      const target = violation.field
+        ? `${violation.contentType}.${violation.field}`
+        : violation.contentType;
+      console.log(
+        `${icon} ${target}: ${violation.message} (${violation.rule})`
+      );
+    });
+
+    console.log("\n📈 Summary:");
+    console.log(`   Errors: ${result.errorCount}`);
+    console.log(`   Warnings: ${result.warningCount}`);
+
+    if (result.errorCount > 0) {
+      process.exit(1);
+    }
+    console.log("\n✅ No lint errors");
+  } catch (error) {
+    console.error("❌ Error linting content model:");
+    console.error(error.message);
+
+    if (error.response?.data) {
+      console.error("API Error Details:", error.response.data);
+    }
+
+    process.exit(1);
+  }
 }
 
-// Enhanced function to get field type with better array and reference handling
-function getFieldTypeDescription(field) {
-  let baseType = field.type;
-
-  if (field.type === "Array" && field.items) {
-    const itemType = field.items.type;
-
-    if (itemType === "Link") {
-      // Check if it's a reference to entries or assets
-      if (field.items.linkType === "Entry") {
-        // Get the allowed content types from validations
-        const linkValidations = field.items.validations || [];
-        const contentTypes = [];
-
-        linkValidations.forEach((validation) => {
-          if (validation.linkContentType) {
-            if (Array.isArray(validation.linkContentType)) {
-              contentTypes.push(...validation.linkContentType);
-            } else {
-              contentTypes.push(validation.linkContentType);
-            }
-          }
-        });
+// Write TypeScript interfaces for the content model
+async function runTypes() {
+  console.log("🚀 Contentful TypeScript Definitions Generator");
+  console.log("=============================================");
 
-        if (contentTypes.length > 0) {
-          return `Array<Reference to [${contentTypes.join(", ")}]>`;
-        } else {
-          return "Array<Reference to Entry>";
-        }
-      } else if (field.items.linkType === "Asset") {
-        return "Array<Reference to Asset>";
-      } else {
-        return `Array<Link to ${field.items.linkType}>`;
-      }
-    } else {
-      return `Array<${itemType}>`;
-    }
-  } else if (field.type === "Link") {
-    if (field.linkType === "Entry") {
-      // Get the allowed content types from validations
-      const linkValidations = field.validations || [];
-      const contentTypes = [];
-
-      linkValidations.forEach((validation) => {
-        if (validation.linkContentType) {
-          if (Array.isArray(validation.linkContentType)) {
-            contentTypes.push(...validation.linkContentType);
-          } else {
-            contentTypes.push(validation.linkContentType);
-          }
-        }
-      });
+  validateConfig();
 
-      if (contentTypes.length > 0) {
-        return `Reference to [${contentTypes.join(", ")}]`;
-      } else {
-        return "Reference to Entry";
-      }
-    } else if (field.linkType === "Asset") {
-      return "Reference to Asset";
-    } else {
-      return `Link to ${field.linkType}`;
+  try {
+    const model = await loadModel();
+    console.log(`✅ Found ${model.contentTypes.length} content types`);
+
+    const definitions = generateTypeDefinitions(model.contentTypes, {
+      spaceId: config.spaceId,
+      environmentId: config.environmentId,
+    });
+
+    const filename = args.output || "contentful-types.d.ts";
+    const filepath = path.join(config.outputDir, filename);
+
+    await ensureOutputDir();
+    await fs.writeFile(filepath, definitions, "utf8");
+
+    console.log(`✅ Type definitions saved to: ${filepath}`);
+  } catch (error) {
+    console.error("❌ Error generating type definitions:");
+    console.error(error.message);
+
+    if (error.response?.data) {
+      console.error("API Error Details:", error.response.data);
     }
+
+    process.exit(1);
   }
+}
 
-  return baseType;
+// Write a JSON Schema per content type, and optionally a Zod module
+async function runSchema() {
+  console.log("🚀 Contentful JSON Schema Generator");
+  console.log("==================================");
+
+  validateConfig();
+
+  try {
+    const model = await loadModel();
+    console.log(`✅ Found ${model.contentTypes.length} content types`);
+
+    const schemaDir = path.join(config.outputDir, args.output || "schemas");
+    await fs.mkdir(schemaDir, { recursive: true });
+
+    const { schemas, warnings } = generateJsonSchemas(model.contentTypes);
+    for (const [id, schema] of Object.entries(schemas)) {
+      await fs.writeFile(
+        path.join(schemaDir, `${id}.schema.json`),
+        `${JSON.stringify(schema, null, 2)}\n`,
+        "utf8"
+      );
+    }
+    console.log(
+      `✅ ${Object.keys(schemas).length} JSON Schemas saved to: ${schemaDir}`
+    );
+
+    const warningSections = [
+      formatSchemaWarnings(warnings, "JSON Schema Warnings"),
+    ];
+    let warningCount = warnings.length;
+
+    if (args.zod) {
+      const zodModule = generateZodModule(model.contentTypes);
+      const zodPath = path.join(schemaDir, "validators.js");
+      await fs.writeFile(zodPath, zodModule.source, "utf8");
+      console.log(`✅ Zod validators saved to: ${zodPath}`);
+
+      warningSections.push(
+        formatSchemaWarnings(zodModule.warnings, "Zod Warnings")
+      );
+      warningCount += zodModule.warnings.length;
+    }
+
+    const warningsPath = path.join(schemaDir, "warnings.md");
+    await fs.writeFile(
+      warningsPath,
+      `# Untranslated Validations\n\n${warningSections.join("\n")}`,
+      "utf8"
+    );
+
+    if (warningCount > 0) {
+      console.log(
+        `⚠️  ${warningCount} validations could not be expressed, see ${warningsPath}`
+      );
+    }
+  } catch (error) {
+    console.error("❌ Error generating schemas:");
+    console.error(error.message);
+
+    if (error.response?.data) {
+      console.error("API Error Details:", error.response.data);
+    }
+
+    process.exit(1);
+  }
 }
 
-// Generate Markdown format report
-function generateMarkdownReport(contentTypes) {
-  const lines = [];
-
-  const spaceId = config.spaceId;
-  const environment = config.environmentId;
-
-  const header = `# Contentful Content Types Report\n\n**Generated:** ${new Date().toLocaleDateString()}  \n**Space ID:** ${spaceId}  \n**Environment:** ${environment}  \n**Total Content Types:** ${
-    contentTypes.length
-  }\n\n`;
-
-  lines.push(header);
-
-  // Generate detailed sections
-  contentTypes.forEach((contentType) => {
-    lines.push(`## ${contentType.name}`);
-    lines.push("");
-    lines.push(`- **ID:** \`${contentType.sys.id}\``);
-    lines.push(`- **Display Field:** ${contentType.displayField || "Not set"}`);
-    lines.push(`- **Fields:** ${contentType.fields?.length || 0}`);
-    lines.push(
-      `- **Created:** ${new Date(
-        contentType.sys.createdAt
-      ).toLocaleDateString()}`
+// Check existing entries against the current validations of their content
+// types and write a Markdown report of the failures
+async function runAuditEntries() {
+  console.log("🚀 Contentful Entry Validation Audit");
+  console.log("===================================");
+
+  validateConfig();
+
+  try {
+    const model = await loadModel();
+
+    const selectedIds = listOption("content-type");
+    const unknownIds = selectedIds.filter(
+      (id) => !model.contentTypes.some((ct) => ct.sys.id === id)
     );
-    lines.push(
-      `- **Updated:** ${new Date(
-        contentType.sys.updatedAt
-      ).toLocaleDateString()}`
+    if (unknownIds.length > 0) {
+      throw new Error(`Unknown content type: ${unknownIds.join(", ")}`);
+    }
+    const contentTypes =
+      selectedIds.length > 0
+        ? model.contentTypes.filter((ct) => selectedIds.includes(ct.sys.id))
+        : model.contentTypes;
+
+    let { entries, assets, locales } = model;
+    if (args.entries) {
+      console.log(`📥 Reading entries from ${args.entries}...`);
+      ({ entries, assets } = await loadEntriesFromFile(args.entries));
+    } else if (!args.input) {
+      const withAssets = needsAssets(contentTypes);
+      console.log(
+        withAssets
+          ? "📥 Fetching entries, assets and locales..."
+          : "📥 Fetching entries and locales..."
+      );
+      ({ entries, assets, locales } = await fetchEntries(config, {
+        assets: withAssets,
+        contentTypeIds: selectedIds.length > 0 ? selectedIds : null,
+      }));
+    } else if (!entries) {
+      throw new Error(
+        `${args.input} has no entries. Export the space without --skip-content or pass --entries.`
+      );
+    }
+
+    console.log(
+      `🔎 Checking entries of ${contentTypes.length} content types...`
     );
+    const result = auditEntries(contentTypes, entries, { assets, locales });
 
-    if (contentType.description) {
-      lines.push("");
-      lines.push(`> ${contentType.description}`);
-    }
-
-    if (contentType.fields && contentType.fields.length > 0) {
-      lines.push("");
-      lines.push("### Fields");
-      lines.push("");
-
-      // Track unique links for this content type section
-      const seenLinks = new Set();
-
-      contentType.fields.forEach((field) => {
-        const fieldType = getFieldTypeDescription(field);
-        const badges = [];
-
-        if (field.required) badges.push("`Required`");
-        if (field.localized) badges.push("`Localized`");
-        if (field.disabled) badges.push("`Disabled`");
-        if (field.omitted) badges.push("`Omitted`");
-
-        lines.push(`#### ${field.name}`);
-        lines.push("");
-        lines.push(`- **ID:** \`${field.id}\``);
-        lines.push(`- **Type:** ${fieldType}`);
-        lines.push(`- **Base Type:** ${field.type}`);
-
-        if (field.linkType) {
-          lines.push(`- **Link Type:** ${field.linkType}`);
-        }
-
-        if (badges.length > 0) {
-          lines.push(`- **Properties:** ${badges.join(" ")}`);
-        }
-
-        if (field.defaultValue) {
-          const defaultVal =
-            typeof field.defaultValue === "object"
-              ? JSON.stringify(field.defaultValue, null, 2)
-              : field.defaultValue;
-          lines.push(`- **Default Value:** \`${defaultVal}\``);
-        }
-
-        // Format validations
-        let validations = formatValidations(field.validations, field);
-        if (validations !== "None") {
-          lines.push(`- **Validations:** ${validations}`);
-        }
-
-        // Add array item details if applicable
-        if (field.type === "Array" && field.items) {
-          lines.push(`- **Array Item Type:** ${field.items.type}`);
-          if (field.items.linkType) {
-            lines.push(`- **Array Item Link Type:** ${field.items.linkType}`);
-          }
-          if (field.items.validations && field.items.validations.length > 0) {
-            let itemValidations = formatValidations(
-              field.items.validations,
-              field
-            );
-            lines.push(`- **Array Item Validations:** ${itemValidations}`);
-          }
-        }
-
-        lines.push("");
-      });
+    const reportContent = generateAuditReport(result, {
+      spaceId: config.spaceId,
+      environmentId: config.environmentId,
+    });
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+    const filename = args.output || `contentful-entry-audit-${timestamp}.md`;
+    const filepath = path.join(config.outputDir, filename);
+
+    await ensureOutputDir();
+    await fs.writeFile(filepath, reportContent, "utf8");
+
+    console.log(`✅ Audit saved to: ${filepath}`);
+
+    console.log("\n📈 Summary:");
+    console.log(`   Entries Checked: ${result.checkedEntries}`);
+    console.log(`   Invalid Entries: ${result.invalidEntries}`);
+    console.log(`   Violations: ${result.violations.length}`);
+    if (result.warnings.length > 0) {
+      console.log(
+        `\n⚠️  ${result.warnings.length} validations could not be checked, see the report`
+      );
     }
-  });
 
-  return lines.join("\n");
+    if (result.violations.length > 0) {
+      console.log(
+        "\n⚠️  Some entries no longer pass their validations and will fail on their next publish"
+      );
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error("❌ Error auditing entries:");
+    console.error(error.message);
+
+    if (error.response?.data) {
+      console.error("API Error Details:", error.response.data);
+    }
+
+    process.exit(1);
+  }
+}
+
+// Exit on a format that can't render the requested report, before anything
+// is fetched
+function checkReportArgs() {
+  try {
+    checkReportOptions({
+      format: args.format,
+      template: args.template,
+      usage: args.usage,
+      scorecard: args.scorecard,
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// buildReport options from the command line. The template is read on every
+// call, so the report server picks up changes to it.
+async function getReportOptions() {
+  let template = null;
+  if (args.template) {
+    try {
+      template = await fs.readFile(args.template, "utf8");
+    } catch (error) {
+      throw new Error(
+        `Could not read the template ${args.template}: ${error.message}`
+      );
+    }
+  }
+
+  // Thresholds sit next to the lint rules, in the same config file
+  let scorecard = false;
+  if (args.scorecard) {
+    const lintConfig = await loadLintConfig(
+      args.config || DEFAULT_LINT_CONFIG,
+      { optional: !args.config }
+    );
+    scorecard = lintConfig?.scorecard || {};
+  }
+
+  return {
+    format: args.format,
+    usage: args.usage,
+    scorecard,
+    graph: args.graph,
+    graphStyle: args["graph-style"],
+    filter: getReportFilter(),
+    template,
+  };
+}
+
+// Write the Graphviz file next to a report, with the same name
+async function writeGraph(graph, reportPath) {
+  const dotPath = path.join(
+    path.dirname(reportPath),
+    `${path.basename(reportPath, path.extname(reportPath))}.dot`
+  );
+  await fs.writeFile(dotPath, toDot(graph), "utf8");
+  return dotPath;
+}
+
+// Store a normalized snapshot of the content types for the history command,
+// unless --no-snapshot is given. Models read from an `input` file are left
+// out: the snapshot would be dated now, ahead of newer ones from the API.
+// Returns the snapshot path.
+async function storeSnapshot(
+  contentTypes,
+  { spaceId, environmentId, input = null }
+) {
+  if (!args.snapshot || input) return null;
+  return saveSnapshot(
+    path.join(config.outputDir, "snapshots"),
+    createSnapshot(contentTypes, { spaceId, environmentId })
+  );
 }
 
-// Test function to validate that we're capturing all validation types
-function validateCompleteness(contentTypes) {
-  const validationTypesFound = new Set();
-  const fieldTypesFound = new Set();
-  const richTextNodeTypes = new Set();
-  const richTextMarks = new Set();
-  let uncapturedValidations = [];
-
-  contentTypes.forEach((contentType) => {
-    contentType.fields?.forEach((field) => {
-      fieldTypesFound.add(field.type);
-
-      if (field.validations) {
-        field.validations.forEach((validation) => {
-          Object.keys(validation).forEach((key) => {
-            validationTypesFound.add(key);
-
-            // Check for rich text specific validations
-            if (key === "enabledNodeTypes" && Array.isArray(validation[key])) {
-              validation[key].forEach((nodeType) =>
-                richTextNodeTypes.add(nodeType)
-              );
-            }
-            if (key === "enabledMarks" && Array.isArray(validation[key])) {
-              validation[key].forEach((mark) => richTextMarks.add(mark));
-            }
-            if (key === "nodes" && typeof validation[key] === "object") {
-              Object.keys(validation[key]).forEach((nodeType) =>
-                richTextNodeTypes.add(nodeType)
-              );
-            }
-          });
-
-          // Check if our formatting function can handle this validation
-          try {
-            const formatted = formatValidations([validation], field);
-            if (
-              formatted.includes("Unknown validation") ||
-              formatted.includes("Other:")
-            ) {
-              uncapturedValidations.push({
-                contentType: contentType.name,
-                field: field.name,
-                validation: validation,
-              });
-            }
-          } catch (error) {
-            uncapturedValidations.push({
-              contentType: contentType.name,
-              field: field.name,
-              validation: validation,
-              error: error.message,
-            });
-          }
+// Load one target of a targets config file, from its export file or the API
+async function loadTargetModel(target) {
+  if (target.input) {
+    return fetchContentModel({ input: target.input, entries: args.usage });
+  }
+  return fetchContentModel({ ...config, ...target, entries: args.usage });
+}
+
+// Generate a report per target in a targets config file, plus an index that
+// compares the content types shared between targets
+async function runTargets() {
+  console.log("🚀 Contentful Multi-Space Report");
+  console.log("================================");
+
+  try {
+    const targets = resolveTargets(await loadTargetsConfig(args.targets));
+    console.log(`🎯 Targets: ${targets.length}`);
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+    const reportDir = path.join(
+      config.outputDir,
+      args.output || `contentful-targets-${timestamp}`
+    );
+    await fs.mkdir(reportDir, { recursive: true });
+
+    // One target at a time keeps us under the API rate limits. A failing
+    // target is recorded in the index instead of stopping the run.
+    const results = [];
+    for (const target of targets) {
+      console.log(`\n📥 ${target.name}...`);
+      const result = {
+        name: target.name,
+        spaceId: target.spaceId,
+        environmentId: target.environmentId,
+      };
+
+      try {
+        const model = await loadTargetModel(target);
+        result.spaceId = model.spaceId;
+        result.environmentId = model.environmentId;
+
+        const { content, extension, summary, graph } = buildReport(
+          model,
+          await getReportOptions()
+        );
+        result.filename = `${targetFileName(target.name)}.${extension}`;
+        const filepath = path.join(reportDir, result.filename);
+        await fs.writeFile(filepath, content, "utf8");
+        if (graph) await writeGraph(graph, filepath);
+        await storeSnapshot(model.contentTypes, {
+          ...model,
+          input: target.input,
         });
+
+        result.contentTypes = model.contentTypes;
+        result.summary = summary;
+        console.log(
+          `✅ ${model.contentTypes.length} content types, report saved to: ${filepath}`
+        );
+      } catch (error) {
+        result.error = error.message;
+        console.error(`❌ ${target.name}: ${error.message}`);
       }
 
-      // Check array item validations
-      if (field.type === "Array" && field.items && field.items.validations) {
-        field.items.validations.forEach((validation) => {
-          Object.keys(validation).forEach((key) => {
-            validationTypesFound.add(`items.${key}`);
-          });
-        });
+      results.push(result);
+    }
+
+    const shared = compareSharedContentTypes(results);
+    const indexPath = path.join(reportDir, "index.md");
+    await fs.writeFile(
+      indexPath,
+      generateTargetsIndex(results, shared),
+      "utf8"
+    );
+    console.log(`\n✅ Index saved to: ${indexPath}`);
+
+    const failed = results.filter((result) => result.error);
+    console.log("\n📈 Summary:");
+    console.log(`   Targets: ${results.length}`);
+    console.log(`   Failed Targets: ${failed.length}`);
+    console.log(`   Shared Content Types: ${shared.length}`);
+    console.log(
+      `   Drifted Content Types: ${
+        shared.filter((contentType) => !contentType.fieldsMatch).length
+      }`
+    );
+
+    if (failed.length > 0) process.exit(1);
+  } catch (error) {
+    console.error("❌ Error generating reports:");
+    console.error(error.message);
+
+    if (error.response?.data) {
+      console.error("API Error Details:", error.response.data);
+    }
+
+    process.exit(1);
+  }
+}
+
+// Build a timeline of content model changes from the stored snapshots
+async function runHistory() {
+  console.log("🚀 Contentful Content Model History");
+  console.log("===================================");
+
+  if (!args.snapshots && !config.spaceId) {
+    console.error(
+      "❌ Set CONTENTFUL_SPACE_ID or pass --snapshots to pick the snapshots to read."
+    );
+    process.exit(1);
+  }
+
+  const snapshotDir =
+    args.snapshots ||
+    getSnapshotDir(
+      path.join(config.outputDir, "snapshots"),
+      config.spaceId,
+      config.environmentId
+    );
+  console.log(`🗄️  Snapshots: ${snapshotDir}`);
+  console.log("");
+
+  try {
+    const snapshots = await loadSnapshots(snapshotDir);
+    if (snapshots.length === 0) {
+      throw new Error(
+        `No snapshots found in ${snapshotDir}. Snapshots are stored by every report run.`
+      );
+    }
+
+    const timeline = buildTimeline(snapshots);
+    const latest = snapshots[snapshots.length - 1];
+    const reportContent = generateHistoryReport(timeline, {
+      spaceId: latest.spaceId || config.spaceId,
+      environmentId: latest.environmentId || config.environmentId,
+    });
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+    const filename = args.output || `contentful-history-${timestamp}.md`;
+    const filepath = path.join(config.outputDir, filename);
+
+    await ensureOutputDir();
+    await fs.writeFile(filepath, reportContent, "utf8");
+
+    console.log(`✅ History saved to: ${filepath}`);
+
+    console.log("\n📈 Summary:");
+    console.log(`   Snapshots: ${timeline.snapshots}`);
+    console.log(`   Content Types: ${timeline.contentTypes.length}`);
+    console.log(
+      `   Changes: ${timeline.contentTypes.reduce(
+        (sum, ct) => sum + ct.events.length,
+        0
+      )}`
+    );
+  } catch (error) {
+    console.error("❌ Error building history:");
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+// Generate a contentful-migration script that brings the target content
+// model in line with the source
+async function runMigration() {
+  console.log("🚀 Contentful Migration Generator");
+  console.log("================================");
+
+  if (!args.source || !args.target) {
+    console.error(
+      "❌ The migration command needs both --source and --target sources."
+    );
+    process.exit(1);
+  }
+
+  const sources = [args.source, args.target];
+  const snapshotFlags = await Promise.all(sources.map(isSnapshotFile));
+  validateConfig(snapshotFlags.includes(false));
+
+  sources.forEach((source, index) => {
+    const label = index === 0 ? "Source" : "Target";
+    const kind = snapshotFlags[index] ? "snapshot" : "environment";
+    console.log(`🔀 ${label}: ${source} (${kind})`);
+  });
+  console.log("");
+
+  try {
+    console.log("📥 Loading content types and editor interfaces...");
+    const [sourceModel, targetModel] = await Promise.all(
+      sources.map((source) =>
+        loadContentModel(source, config, { editorInterfaces: true })
+      )
+    );
+
+    const { script, stats, warnings } = generateMigrationScript(
+      targetModel,
+      sourceModel,
+      { sourceLabel: args.source, targetLabel: args.target }
+    );
+
+    // .cjs so the script loads with require() in ES module projects too
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+    const filename = args.output || `contentful-migration-${timestamp}.cjs`;
+    const filepath = path.join(config.outputDir, filename);
+
+    await ensureOutputDir();
+    await fs.writeFile(filepath, script, "utf8");
+
+    console.log(`✅ Migration saved to: ${filepath}`);
+
+    console.log("\n📈 Summary:");
+    console.log(`   Content Types Created: ${stats.created}`);
+    console.log(`   Content Types Edited: ${stats.edited}`);
+    console.log(
+      `   Destructive Operations (commented out): ${stats.destructive}`
+    );
+    if (warnings.length > 0) {
+      console.log("\n⚠️  Changes that need manual work:");
+      warnings.forEach((warning) => console.log(`   ${warning}`));
+    }
+  } catch (error) {
+    console.error("❌ Error generating migration:");
+    console.error(error.message);
+
+    if (error.response?.data) {
+      console.error("API Error Details:", error.response.data);
+    }
+
+    process.exit(1);
+  }
+}
+
+// List what links to a content type or field, optionally counting the
+// entries that link to it
+async function runImpact() {
+  console.log("🚀 Contentful Impact Analysis");
+  console.log("=============================");
+
+  if (!args._[1]) {
+    console.error(
+      "❌ The impact command needs a target: impact <content type id>[.<field id>]"
+    );
+    process.exit(1);
+  }
+
+  validateConfig();
+
+  try {
+    const target = parseImpactTarget(args._[1]);
+    console.log(`🎯 Target: ${args._[1]}`);
+
+    const model = await loadModel({ editorInterfaces: true });
+    console.log(`✅ Found ${model.contentTypes.length} content types`);
+
+    // --entries alone counts entries from --input or the API, --entries
+    // <file> reads them from a file
+    let entries = null;
+    if (args.entries) {
+      console.log(`📥 Reading entries from ${args.entries}...`);
+      ({ entries } = await loadEntriesFromFile(args.entries));
+    } else if (args.entries !== null && args.input) {
+      if (!model.entries) {
+        throw new Error(
+          `${args.input} has no entries. Export the space without --skip-content or pass --entries <file>.`
+        );
       }
+      entries = model.entries;
+    } else if (args.entries !== null) {
+      console.log("📥 Fetching entries...");
+      ({ entries } = await fetchEntries(config));
+    }
+
+    const impact = analyzeImpact(model.contentTypes, target, {
+      editorInterfaces: model.editorInterfaces,
+      entries,
+    });
+    const reportContent = generateImpactReport(impact, {
+      spaceId: config.spaceId,
+      environmentId: config.environmentId,
     });
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+    const filename =
+      args.output ||
+      `contentful-impact-${targetFileName(args._[1])}-${timestamp}.md`;
+    const filepath = path.join(config.outputDir, filename);
+
+    await ensureOutputDir();
+    await fs.writeFile(filepath, reportContent, "utf8");
+
+    console.log(`✅ Impact report saved to: ${filepath}`);
+
+    console.log("\n📈 Summary:");
+    console.log(`   Linking Fields: ${impact.references.length}`);
+    console.log(`   Unrestricted Fields: ${impact.unrestricted.length}`);
+    if (impact.field) {
+      console.log(
+        `   Settings Using the Field: ${impact.fieldDependents.length}`
+      );
+    }
+    if (impact.entries) {
+      console.log(`   Target Entries: ${impact.entries.targetEntries}`);
+      console.log(`   Linking Entries: ${impact.entries.linkingEntries}`);
+    }
+  } catch (error) {
+    console.error("❌ Error analyzing impact:");
+    console.error(error.message);
+
+    if (error.response?.data) {
+      console.error("API Error Details:", error.response.data);
+    }
+
+    process.exit(1);
+  }
+}
+
+// Start an HTTP server that regenerates the report when Contentful sends a
+// content type webhook, and serves the latest report
+async function runServe() {
+  console.log("🚀 Contentful Report Server");
+  console.log("==========================");
+
+  validateConfig(true);
+  checkReportArgs();
+
+  const port = Number.parseInt(args.port, 10) || 3000;
+  const host = args.host || "127.0.0.1";
+  const secret = process.env.CONTENTFUL_WEBHOOK_SECRET || null;
+
+  console.log(`📍 Space: ${config.spaceId}`);
+  console.log(`🌍 Environment: ${config.environmentId}`);
+  console.log(
+    secret
+      ? "🔐 Verifying webhook signatures"
+      : "⚠️  CONTENTFUL_WEBHOOK_SECRET is not set, webhook signatures are not verified"
+  );
+  console.log("");
+
+  // Reports keep the same file name per environment, so pages embedding
+  // them always find the latest one
+  const regenerate = async (environmentId) => {
+    console.log(`📥 Regenerating the report for ${environmentId}...`);
+    const model = await fetchContentModel({
+      ...config,
+      environmentId,
+      entries: args.usage,
+    });
+    const { content, extension, graph } = buildReport(
+      model,
+      await getReportOptions()
+    );
+
+    const filepath = path.join(
+      config.outputDir,
+      `contentful-content-types-${targetFileName(environmentId)}.${extension}`
+    );
+    await ensureOutputDir();
+    await fs.writeFile(filepath, content, "utf8");
+    if (graph) await writeGraph(graph, filepath);
+    await storeSnapshot(model.contentTypes, model);
+
+    console.log(
+      `✅ ${model.contentTypes.length} content types, report saved to: ${filepath}`
+    );
+    return { content, extension };
+  };
+
+  const { server, regenerate: scheduleReport } = createWebhookServer({
+    spaceId: config.spaceId,
+    environmentId: config.environmentId,
+    secret,
+    regenerate,
   });
 
-  return {
-    validationTypes: Array.from(validationTypesFound).sort(),
-    fieldTypes: Array.from(fieldTypesFound).sort(),
-    richTextNodeTypes: Array.from(richTextNodeTypes).sort(),
-    richTextMarks: Array.from(richTextMarks).sort(),
-    uncapturedValidations,
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  console.log(`🌐 Listening on http://${host}:${port}`);
+  console.log(`   POST /webhook            Contentful webhook endpoint`);
+  console.log(
+    `   GET  /                   Latest report (${config.environmentId})`
+  );
+  console.log(`   GET  /reports/<env id>   Latest report of an environment`);
+  console.log("");
+
+  const shutdown = () => {
+    console.log("\n👋 Shutting down");
+    server.close(() => process.exit(0));
   };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+
+  await scheduleReport(config.environmentId);
 }
-async function ensureOutputDir() {
+
+// Write the content model as YAML files, one per content type
+async function runExportModel() {
+  console.log("🚀 Contentful Content Model Export");
+  console.log("==================================");
+
+  validateConfig();
+
   try {
-    await fs.access(config.outputDir);
-  } catch {
-    await fs.mkdir(config.outputDir, { recursive: true });
+    const model = await loadModel({ editorInterfaces: true });
+    console.log(`✅ Found ${model.contentTypes.length} content types`);
+    if (!model.editorInterfaces) {
+      console.log(
+        "⚠️  No editor interfaces in the input, the files leave the editor settings out"
+      );
+    }
+
+    const dir = args.dir || DEFAULT_MODEL_DIR;
+    const { written, removed } = await exportModel(dir, model);
+    console.log(`✅ ${written.length} content type files saved to: ${dir}`);
+    if (removed.length > 0) {
+      console.log(
+        `🗑️  Removed ${removed.length} files of content types that no longer exist`
+      );
+    }
+  } catch (error) {
+    console.error("❌ Error exporting the content model:");
+    console.error(error.message);
+
+    if (error.response?.data) {
+      console.error("API Error Details:", error.response.data);
+    }
+
+    process.exit(1);
+  }
+}
+
+// Compare the content model directory with the environment. Returns the
+// plan and prints it.
+async function loadModelPlan() {
+  const dir = args.dir || DEFAULT_MODEL_DIR;
+  console.log(`📁 Directory: ${dir}`);
+  const files = await loadModelDirectory(dir);
+
+  const model = await loadModel({ editorInterfaces: true });
+  console.log(
+    `✅ Found ${files.length} content type files and ${model.contentTypes.length} content types`
+  );
+
+  const plan = planModelChanges(files, model);
+  console.log("\n📋 Plan:");
+  if (hasModelChanges(plan)) {
+    formatModelPlan(plan).forEach((line) => console.log(`   ${line}`));
+  } else {
+    console.log("   No changes, the environment matches the files");
+  }
+
+  console.log("\n📈 Summary:");
+  console.log(`   Content Types to Create: ${plan.create.length}`);
+  console.log(`   Content Types to Update: ${plan.update.length}`);
+  console.log(`   Unchanged: ${plan.unchanged.length}`);
+  console.log(`   Only in the Environment: ${plan.untracked.length}`);
+  return plan;
+}
+
+async function runPlan() {
+  console.log("🚀 Contentful Content Model Plan");
+  console.log("================================");
+
+  validateConfig();
+
+  try {
+    await loadModelPlan();
+  } catch (error) {
+    console.error("❌ Error planning the content model changes:");
+    console.error(error.message);
+
+    if (error.response?.data) {
+      console.error("API Error Details:", error.response.data);
+    }
+
+    process.exit(1);
+  }
+}
+
+// Apply the plan through the Management API. Without --yes, or with
+// --dry-run, nothing is changed.
+async function runApply() {
+  console.log("🚀 Contentful Content Model Apply");
+  console.log("=================================");
+
+  if (args.input) {
+    console.error(
+      "❌ apply changes the environment through the Management API and can't be used with --input."
+    );
+    process.exit(1);
+  }
+  validateConfig(true);
+
+  try {
+    const plan = await loadModelPlan();
+    if (!hasModelChanges(plan)) return;
+
+    if (args["dry-run"] || !args.yes) {
+      console.log(
+        args["dry-run"]
+          ? "\n🔍 Dry run: nothing was changed."
+          : "\n🔍 Nothing was changed. Run apply with --yes to make these changes."
+      );
+      return;
+    }
+
+    console.log("");
+    await applyModelPlan(plan, createEnvironmentApi(config), {
+      onApplied: ({ id, action }) =>
+        console.log(`✅ ${action === "create" ? "Created" : "Updated"} ${id}`),
+    });
+    console.log(
+      `\n🎉 Applied the changes to ${
+        plan.create.length + plan.update.length
+      } content types`
+    );
+  } catch (error) {
+    console.error("❌ Error applying the content model changes:");
+    console.error(error.message);
+
+    if (error.response?.data) {
+      console.error("API Error Details:", error.response.data);
+    }
+
+    process.exit(1);
   }
 }
 
+const COMMANDS = {
+  diff: runDiff,
+  lint: runLint,
+  types: runTypes,
+  schema: runSchema,
+  "audit-entries": runAuditEntries,
+  history: runHistory,
+  migration: runMigration,
+  serve: runServe,
+  impact: runImpact,
+  "export-model": runExportModel,
+  plan: runPlan,
+  apply: runApply,
+};
+
 // Main function
 async function main() {
   if (args.help) {
@@ -579,37 +1344,77 @@ async function main() {
     return;
   }
 
+  const command = args._[0];
+  if (COMMANDS[command]) {
+    await COMMANDS[command]();
+    return;
+  }
+  if (command) {
+    console.error(`❌ Unknown command: ${command}`);
+    showHelp();
+    process.exit(1);
+  }
+
+  checkReportArgs();
+
+  if (args.targets) {
+    await runTargets();
+    return;
+  }
+
   console.log("🚀 Contentful Content Types Report Generator");
   console.log("============================================");
 
   validateConfig();
 
-  console.log(`📍 Space: ${config.spaceId}`);
-  console.log(`🌍 Environment: ${config.environmentId}`);
-  console.log("");
-
   try {
-    // Initialize Contentful client
-    console.log("🔑 Initializing Contentful client...");
-    const client = createClient({
-      accessToken: config.accessToken,
-    });
-
-    const space = await client.getSpace(config.spaceId);
-    const environment = await space.getEnvironment(config.environmentId);
-
-    // Fetch all content types
-    console.log("📥 Fetching content types...");
-    const contentTypesResponse = await environment.getContentTypes({
-      limit: 1000, // Fetch all content types
+    const model = await loadModel({
+      entries: args.usage,
+      locales: true,
+      editorInterfaces: true,
     });
-
-    const contentTypes = contentTypesResponse.items;
+    const contentTypes = model.contentTypes;
 
     console.log(`✅ Found ${contentTypes.length} content types`);
+    if (!model.editorInterfaces) {
+      console.log(
+        "⚠️  No editor interfaces in the input, widgets are left out of the report"
+      );
+    }
+    if (!model.locales) {
+      console.log(
+        "⚠️  No locales in the input, the locales section is left out of the report"
+      );
+    }
 
-    // Run completeness validation
-    const completenessReport = validateCompleteness(contentTypes);
+    const {
+      content: reportContent,
+      extension: fileExtension,
+      contentTypes: reportedContentTypes,
+      dependencies,
+      usage,
+      completeness: completenessReport,
+      summary,
+      scorecard,
+      graph,
+    } = buildReport(model, await getReportOptions());
+    if (!isEmptyFilter(getReportFilter())) {
+      console.log(
+        `🔎 Filtered to ${reportedContentTypes.length} content types${
+          dependencies.length > 0
+            ? ` (${dependencies.length} pulled in as dependencies)`
+            : ""
+        }`
+      );
+    }
+    if (usage) {
+      console.log(`✅ Found ${usage.totalEntries} entries`);
+    }
+    if (scorecard) {
+      console.log(
+        `🩺 Scorecard: ${scorecard.flagged.length} content types over the thresholds, ${scorecard.cycles.length} reference cycles`
+      );
+    }
 
     if (completenessReport.uncapturedValidations.length > 0) {
       console.log(
@@ -644,11 +1449,6 @@ async function main() {
       );
     }
 
-    // Always generate Markdown report
-    let reportContent;
-    let fileExtension = "md";
-    reportContent = generateMarkdownReport(contentTypes);
-
     // Determine output filename
     const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
     const defaultFilename = `contentful-content-types-${timestamp}.${fileExtension}`;
@@ -661,71 +1461,43 @@ async function main() {
     console.log(`✅ Report saved to: ${filepath}`);
     console.log(`📊 File size: ${(reportContent.length / 1024).toFixed(2)} KB`);
 
-    // Summary statistics - enhanced
-    console.log("\n📈 Summary:");
-    console.log(`   Content Types: ${contentTypes.length}`);
+    const snapshotPath = await storeSnapshot(contentTypes, {
+      ...config,
+      input: args.input,
+    });
+    if (snapshotPath) {
+      console.log(`🗄️  Snapshot saved to: ${snapshotPath}`);
+    } else if (args.input && args.snapshot) {
+      console.log("🗄️  No snapshot stored for a model read from --input");
+    }
 
-    const totalFields = contentTypes.reduce(
-      (sum, ct) => sum + (ct.fields?.length || 0),
-      0
-    );
-    console.log(`   Total Fields: ${totalFields}`);
-
-    const requiredFields = contentTypes.reduce((sum, ct) => {
-      return sum + (ct.fields?.filter((f) => f.required).length || 0);
-    }, 0);
-    console.log(`   Required Fields: ${requiredFields}`);
-
-    const localizedFields = contentTypes.reduce((sum, ct) => {
-      return sum + (ct.fields?.filter((f) => f.localized).length || 0);
-    }, 0);
-    console.log(`   Localized Fields: ${localizedFields}`);
-
-    const referenceFields = contentTypes.reduce((sum, ct) => {
-      return (
-        sum +
-        (ct.fields?.filter(
-          (f) =>
-            f.type === "Link" ||
-            (f.type === "Array" && f.items?.type === "Link")
-        ).length || 0)
+    if (graph) {
+      const dotPath = await writeGraph(graph, filepath);
+      console.log(
+        `🕸️  Graph saved to: ${dotPath} (${graph.edges.length} references)`
       );
-    }, 0);
-    console.log(`   Reference Fields: ${referenceFields}`);
+    }
 
-    const richTextFields = contentTypes.reduce((sum, ct) => {
-      return (
-        sum + (ct.fields?.filter((f) => f.type === "RichText").length || 0)
-      );
-    }, 0);
-    console.log(`   Rich Text Fields: ${richTextFields}`);
-
-    const disabledFields = contentTypes.reduce((sum, ct) => {
-      return sum + (ct.fields?.filter((f) => f.disabled).length || 0);
-    }, 0);
-    console.log(`   Disabled Fields: ${disabledFields}`);
-
-    const fieldsWithValidations = contentTypes.reduce((sum, ct) => {
-      return (
-        sum +
-        (ct.fields?.filter((f) => f.validations && f.validations.length > 0)
-          .length || 0)
+    // Summary statistics - enhanced
+    console.log("\n📈 Summary:");
+    console.log(`   Content Types: ${summary.contentTypes}`);
+    console.log(`   Total Fields: ${summary.totalFields}`);
+    console.log(`   Required Fields: ${summary.requiredFields}`);
+    console.log(`   Localized Fields: ${summary.localizedFields}`);
+    console.log(`   Reference Fields: ${summary.referenceFields}`);
+    console.log(`   Rich Text Fields: ${summary.richTextFields}`);
+    console.log(`   Disabled Fields: ${summary.disabledFields}`);
+    console.log(`   Fields with Validations: ${summary.fieldsWithValidations}`);
+    if (usage) {
+      console.log(`   Entries: ${usage.totalEntries}`);
+      console.log(
+        `   Content Types Without Entries: ${usage.unusedContentTypes.length}`
       );
-    }, 0);
-    console.log(`   Fields with Validations: ${fieldsWithValidations}`);
-
-    // Field type breakdown
-    const fieldTypes = {};
-    contentTypes.forEach((ct) => {
-      ct.fields?.forEach((field) => {
-        const typeDesc = getFieldTypeDescription(field);
-        fieldTypes[typeDesc] = (fieldTypes[typeDesc] || 0) + 1;
-      });
-    });
+      console.log(`   Fields Never Filled: ${usage.emptyFields.length}`);
+    }
 
     console.log("\n📊 Field Type Breakdown:");
-    Object.entries(fieldTypes)
-      .sort(([, a], [, b]) => b - a)
+    Object.entries(summary.fieldTypes)
       .slice(0, 10) // Show top 10
       .forEach(([type, count]) => {
         console.log(`   ${type}: ${count}`);
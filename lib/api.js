@@ -0,0 +1,185 @@
+// Minimal Contentful Management API client: pages through collections,
+// retries rate-limited and failed requests, and caps concurrent requests
+
+const DEFAULT_BASE_URL = "https://api.contentful.com";
+
+// Retried with backoff; other errors fail right away
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run tasks with at most `concurrency` of them in flight at a time
+export function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active += 1;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
+// Milliseconds to wait before retrying. Rate-limited responses say when the
+// limit resets (in seconds); otherwise back off exponentially.
+export function getRetryDelay(headers, attempt, baseDelay = 1000) {
+  const reset =
+    headers?.get("x-contentful-ratelimit-reset") ?? headers?.get("retry-after");
+  const seconds = Number(reset);
+  if (reset !== null && reset !== undefined && Number.isFinite(seconds)) {
+    return Math.max(seconds, 0) * 1000 + 100;
+  }
+  return Math.min(baseDelay * 2 ** attempt, 30000);
+}
+
+function buildUrl(baseUrl, path, query = {}) {
+  const url = new URL(path, baseUrl);
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(key, String(value));
+    }
+  });
+  return url;
+}
+
+// Error carrying the API response, shaped like the errors the CLI already
+// reports (`error.response.data`)
+function apiError(method, url, status, data) {
+  const error = new Error(
+    `${method} ${url.pathname} failed with ${status}${
+      data?.message ? `: ${data.message}` : ""
+    }`
+  );
+  error.status = status;
+  error.response = { status, data };
+  return error;
+}
+
+export function createApiClient({
+  accessToken,
+  baseUrl = DEFAULT_BASE_URL,
+  concurrency = 4,
+  maxRetries = 5,
+  timeout = 60000,
+  onRetry = null,
+  onProgress = null,
+  fetch = globalThis.fetch,
+  sleep = defaultSleep,
+}) {
+  const limit = createLimiter(concurrency);
+
+  async function send(method, path, { query, body, headers = {} } = {}) {
+    const url = buildUrl(baseUrl, path, query);
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await fetch(url, {
+          method,
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            "Content-Type": "application/vnd.contentful.management.v1+json",
+            ...headers,
+          },
+          body: body === undefined ? undefined : JSON.stringify(body),
+          signal: AbortSignal.timeout(timeout),
+        });
+      } catch (error) {
+        // Network errors and timeouts are retried like 5xx responses
+        if (attempt >= maxRetries) {
+          throw new Error(`${method} ${url.pathname} failed: ${error.message}`);
+        }
+        const delay = getRetryDelay(null, attempt);
+        onRetry?.({ method, path: url.pathname, status: null, attempt, delay });
+        await sleep(delay);
+        continue;
+      }
+
+      if (RETRY_STATUSES.has(response.status) && attempt < maxRetries) {
+        // Drain the body so the connection can be reused
+        await response.arrayBuffer().catch(() => null);
+        const delay = getRetryDelay(response.headers, attempt);
+        onRetry?.({
+          method,
+          path: url.pathname,
+          status: response.status,
+          attempt,
+          delay,
+        });
+        await sleep(delay);
+        continue;
+      }
+
+      const text = await response.text();
+      let data = null;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch {
+        data = { message: text.slice(0, 200) };
+      }
+
+      if (!response.ok) {
+        throw apiError(method, url, response.status, data);
+      }
+      return data;
+    }
+  }
+
+  const request = (method, path, options) =>
+    limit(() => send(method, path, options));
+
+  // Read every item of a collection endpoint. The first page tells us the
+  // total; the remaining pages are requested in parallel.
+  async function getAll(path, { query = {}, pageSize = 500, label } = {}) {
+    const report = (loaded, total) =>
+      onProgress?.({ label: label || path, loaded, total });
+
+    const first = await request("GET", path, {
+      query: { ...query, skip: 0, limit: pageSize },
+    });
+    const total = first.total ?? first.items.length;
+    let loaded = first.items.length;
+    report(loaded, total);
+
+    // The API may cap the page size below what we asked for
+    const step = first.items.length;
+    const skips = [];
+    for (let skip = step; step > 0 && skip < total; skip += step) {
+      skips.push(skip);
+    }
+
+    const pages = await Promise.all(
+      skips.map(async (skip) => {
+        const page = await request("GET", path, {
+          query: { ...query, skip, limit: step },
+        });
+        loaded += page.items.length;
+        report(loaded, total);
+        return page.items;
+      })
+    );
+
+    return [...first.items, ...pages.flat()];
+  }
+
+  return {
+    get: (path, query) => request("GET", path, { query }),
+    request,
+    getAll,
+  };
+}
@@ -0,0 +1,607 @@
+import { getValidationKind, normalizeNodeSettings } from "./formatters.js";
+import { getEntryStatus } from "./usage.js";
+
+// Asset MIME type groups as used by linkMimetypeGroup validations
+const MIMETYPE_GROUPS = {
+  image: (type) => type.startsWith("image/"),
+  video: (type) => type.startsWith("video/"),
+  audio: (type) => type.startsWith("audio/"),
+  pdfdocument: (type) => type === "application/pdf",
+  plaintext: (type) => type === "text/plain",
+  markup: (type) => ["text/html", "text/xml", "application/xml"].includes(type),
+  code: (type) =>
+    ["application/json", "text/javascript", "application/javascript"].includes(
+      type
+    ),
+  richtext: (type) =>
+    type === "application/rtf" ||
+    type.includes("wordprocessingml") ||
+    type === "application/msword",
+  spreadsheet: (type) =>
+    type.includes("spreadsheetml") ||
+    type === "application/vnd.ms-excel" ||
+    type === "text/csv",
+  presentation: (type) =>
+    type.includes("presentationml") || type === "application/vnd.ms-powerpoint",
+  archive: (type) =>
+    ["application/zip", "application/x-tar", "application/gzip"].includes(type),
+  attachment: () => true,
+};
+
+// Validations that need the linked assets to be loaded
+const ASSET_VALIDATIONS = [
+  "linkMimetypeGroup",
+  "assetFileSize",
+  "assetImageDimensions",
+];
+
+// Validations of a field and its items, with those of rich text nodes
+function allValidations(field) {
+  const validations = [
+    ...(field.validations || []),
+    ...(field.items?.validations || []),
+  ];
+  return validations.flatMap((validation) =>
+    validation.nodes
+      ? Object.values(validation.nodes).flatMap(
+          (settings) => normalizeNodeSettings(settings).validations
+        )
+      : [validation]
+  );
+}
+
+// Whether auditing these content types needs the assets of the space
+export function needsAssets(contentTypes) {
+  return contentTypes.some((contentType) =>
+    contentType.fields.some((field) =>
+      allValidations(field).some((validation) =>
+        ASSET_VALIDATIONS.includes(getValidationKind(validation))
+      )
+    )
+  );
+}
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+// Compile the regexp and prohibitRegexp rules of every field once, keyed by
+// validation. Patterns JavaScript can't compile are left out and returned as
+// warnings, so their values go unchecked instead of failing the audit.
+function compilePatterns(contentTypes) {
+  const patterns = new Map();
+  const warnings = [];
+
+  contentTypes.forEach((contentType) => {
+    contentType.fields.forEach((field) => {
+      allValidations(field).forEach((validation) => {
+        const kind = getValidationKind(validation);
+        if (kind !== "regexp" && kind !== "prohibitRegexp") return;
+        const rule = validation[kind];
+        try {
+          // Without g and y, test() keeps no state between values
+          patterns.set(
+            validation,
+            new RegExp(
+              rule.pattern ?? rule,
+              (rule.flags || "").replace(/[gy]/g, "")
+            )
+          );
+        } catch (error) {
+          warnings.push({
+            contentType: contentType.sys.id,
+            field: field.id,
+            rule: kind,
+            message: `Pattern is not checked: ${error.message}`,
+          });
+        }
+      });
+    });
+  });
+
+  return { patterns, warnings };
+}
+
+function outOfBounds(actual, { min, max }) {
+  return (
+    (min !== undefined && actual < min) || (max !== undefined && actual > max)
+  );
+}
+
+function describeBounds({ min, max }, unit = "") {
+  if (min !== undefined && max !== undefined) return `${min}-${max}${unit}`;
+  if (min !== undefined) return `at least ${min}${unit}`;
+  return `at most ${max}${unit}`;
+}
+
+function linkedId(value) {
+  return value?.sys?.id;
+}
+
+// The file of an asset in the given locale, falling back to any locale
+function assetFile(asset, locale) {
+  const files = asset?.fields?.file || {};
+  return files[locale] || Object.values(files)[0] || null;
+}
+
+// Rich text nodes that are always allowed, whatever enabledNodeTypes says
+const STRUCTURAL_NODES = new Set([
+  "document",
+  "paragraph",
+  "text",
+  "list-item",
+  "table-row",
+  "table-cell",
+  "table-header-cell",
+]);
+
+// Walk a rich text document depth first
+export function walkRichText(node, visit) {
+  if (!node || typeof node !== "object") return;
+  visit(node);
+  (node.content || []).forEach((child) => walkRichText(child, visit));
+}
+
+// Check rich text content against enabledNodeTypes and enabledMarks
+function checkRichText(document, validation, kind) {
+  const problems = [];
+  const value = validation[kind];
+
+  if (kind === "enabledNodeTypes") {
+    const enabled = new Set(toArray(value));
+    const disallowed = new Set();
+    walkRichText(document, (node) => {
+      if (!enabled.has(node.nodeType) && !STRUCTURAL_NODES.has(node.nodeType)) {
+        disallowed.add(node.nodeType);
+      }
+    });
+    if (disallowed.size > 0) {
+      problems.push(`Uses disabled node types: ${[...disallowed].join(", ")}`);
+    }
+  }
+
+  if (kind === "enabledMarks") {
+    const enabled = new Set(toArray(value));
+    const disallowed = new Set();
+    walkRichText(document, (node) => {
+      (node.marks || []).forEach((mark) => {
+        if (!enabled.has(mark.type)) disallowed.add(mark.type);
+      });
+    });
+    if (disallowed.size > 0) {
+      problems.push(`Uses disabled marks: ${[...disallowed].join(", ")}`);
+    }
+  }
+
+  return problems;
+}
+
+// Whether a resource link points into one of the allowed sources. Entries of
+// other spaces are matched by the space in their URN.
+function isAllowedResource(target, allowedResources) {
+  const { linkType, urn } = target.sys;
+  return allowedResources.some(
+    (resource) =>
+      resource.type === linkType &&
+      (resource.type !== "Contentful:Entry" ||
+        !resource.source ||
+        String(urn).startsWith(`${resource.source}/`))
+  );
+}
+
+// Check rich text content against the per node type rules of a `nodes`
+// validation: how many nodes a document may have, and what they link to
+function checkRichTextNodes(document, nodes, { field, locale }, context) {
+  const problems = [];
+
+  Object.entries(nodes).forEach(([nodeType, settings]) => {
+    const { validations, allowedResources } = normalizeNodeSettings(settings);
+    const found = [];
+    walkRichText(document, (node) => {
+      if (node.nodeType === nodeType) found.push(node);
+    });
+
+    validations.forEach((validation) => {
+      const kind = getValidationKind(validation);
+      if (kind === "size") {
+        if (outOfBounds(found.length, validation.size)) {
+          const problem = `Has ${
+            found.length
+          } ${nodeType} nodes, expected ${describeBounds(validation.size)}`;
+          problems.push(
+            validation.message ? `${validation.message} (${problem})` : problem
+          );
+        }
+        return;
+      }
+      // Link validations apply to the target of every node
+      found.forEach((node) => {
+        if (!node.data?.target) return;
+        checkValidation(
+          node.data.target,
+          validation,
+          { field, isArray: false, locale },
+          context
+        ).forEach((problem) => problems.push(`${nodeType}: ${problem}`));
+      });
+    });
+
+    if (allowedResources) {
+      found.forEach((node) => {
+        const target = node.data?.target;
+        if (!target?.sys || isAllowedResource(target, allowedResources)) {
+          return;
+        }
+        problems.push(
+          `${nodeType}: Links to ${
+            target.sys.urn || target.sys.linkType
+          }, which is not an allowed resource`
+        );
+      });
+    }
+  });
+
+  return problems;
+}
+
+// Evaluate one validation against a single value. Returns a list of problem
+// descriptions; validations that need data we don't have are skipped.
+export function checkValidation(
+  value,
+  validation,
+  { field, isArray, locale },
+  context
+) {
+  const kind = getValidationKind(validation);
+  const rule = validation[kind];
+  const problems = [];
+
+  switch (kind) {
+    case "size": {
+      const length =
+        isArray || Array.isArray(value) ? value.length : String(value).length;
+      if (outOfBounds(length, rule)) {
+        const unit = isArray ? " items" : " chars";
+        problems.push(
+          `Has ${length}${unit}, expected ${describeBounds(rule, unit)}`
+        );
+      }
+      break;
+    }
+    case "range":
+      if (outOfBounds(Number(value), rule)) {
+        problems.push(`Value is ${value}, expected ${describeBounds(rule)}`);
+      }
+      break;
+    case "in":
+      if (!rule.map(String).includes(String(value))) {
+        problems.push(`Value "${value}" is not one of the allowed options`);
+      }
+      break;
+    case "regexp": {
+      const pattern = context.patterns.get(validation);
+      if (pattern && !pattern.test(String(value))) {
+        problems.push(
+          `Value "${value}" does not match /${rule.pattern ?? rule}/`
+        );
+      }
+      break;
+    }
+    case "prohibitRegexp": {
+      const pattern = context.patterns.get(validation);
+      if (pattern?.test(String(value))) {
+        problems.push(
+          `Value "${value}" matches prohibited /${rule.pattern ?? rule}/`
+        );
+      }
+      break;
+    }
+    case "dateRange": {
+      const date = new Date(value);
+      if (
+        (rule.min && date < new Date(rule.min)) ||
+        (rule.max && date > new Date(rule.max))
+      ) {
+        problems.push(`Date is ${value}, expected ${describeBounds(rule)}`);
+      }
+      break;
+    }
+    case "unique": {
+      const key = uniqueKey(context.entry, field, locale, value);
+      const others = (context.uniqueIndex.get(key) || []).filter(
+        (id) => id !== context.entry.sys.id
+      );
+      if (others.length > 0) {
+        problems.push(`Value "${value}" is also used by ${others.join(", ")}`);
+      }
+      break;
+    }
+    case "linkContentType": {
+      const target = context.entriesById.get(linkedId(value));
+      const targetType = target?.sys.contentType?.sys?.id;
+      const allowed = toArray(rule);
+      if (targetType && !allowed.includes(targetType)) {
+        problems.push(
+          `Links to ${linkedId(
+            value
+          )} of type "${targetType}", allowed: ${allowed.join(", ")}`
+        );
+      }
+      break;
+    }
+    case "linkMimetypeGroup": {
+      const file = assetFile(context.assetsById.get(linkedId(value)), locale);
+      if (file?.contentType) {
+        const groups = toArray(rule);
+        const matches = groups.some((group) =>
+          MIMETYPE_GROUPS[group]?.(file.contentType)
+        );
+        if (!matches) {
+          problems.push(
+            `Asset ${linkedId(value)} is ${
+              file.contentType
+            }, allowed: ${groups.join(", ")}`
+          );
+        }
+      }
+      break;
+    }
+    case "assetFileSize": {
+      const file = assetFile(context.assetsById.get(linkedId(value)), locale);
+      const size = file?.details?.size;
+      if (size !== undefined && outOfBounds(size, rule)) {
+        problems.push(
+          `Asset ${linkedId(value)} is ${size} bytes, expected ${describeBounds(
+            rule,
+            " bytes"
+          )}`
+        );
+      }
+      break;
+    }
+    case "assetImageDimensions": {
+      const file = assetFile(context.assetsById.get(linkedId(value)), locale);
+      const image = file?.details?.image;
+      if (image) {
+        ["width", "height"].forEach((dimension) => {
+          if (
+            rule[dimension] &&
+            outOfBounds(image[dimension], rule[dimension])
+          ) {
+            problems.push(
+              `Asset ${linkedId(value)} ${dimension} is ${
+                image[dimension]
+              }px, expected ${describeBounds(rule[dimension], "px")}`
+            );
+          }
+        });
+      }
+      break;
+    }
+    case "enabledNodeTypes":
+    case "enabledMarks":
+      problems.push(...checkRichText(value, validation, kind));
+      break;
+    case "nodes":
+      problems.push(
+        ...checkRichTextNodes(value, rule, { field, locale }, context)
+      );
+      break;
+    default:
+      break;
+  }
+
+  // A custom message replaces the generated description, like in the web app
+  return validation.message && problems.length > 0
+    ? problems.map((problem) => `${validation.message} (${problem})`)
+    : problems;
+}
+
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+// Unique values only have to be unique within their own content type
+function uniqueKey(entry, field, locale, value) {
+  const contentTypeId = entry.sys.contentType?.sys?.id;
+  return `${contentTypeId}|${field.id}|${locale}|${JSON.stringify(value)}`;
+}
+
+// Index values of fields with a unique validation, to detect duplicates
+function buildUniqueIndex(contentTypes, entries) {
+  const index = new Map();
+  const uniqueFields = new Map(
+    contentTypes.map((ct) => [
+      ct.sys.id,
+      ct.fields.filter((field) =>
+        (field.validations || []).some((validation) => validation.unique)
+      ),
+    ])
+  );
+
+  entries.forEach((entry) => {
+    const fields = uniqueFields.get(entry.sys.contentType?.sys?.id) || [];
+    fields.forEach((field) => {
+      Object.entries(entry.fields?.[field.id] || {}).forEach(
+        ([locale, value]) => {
+          const key = uniqueKey(entry, field, locale, value);
+          if (!index.has(key)) index.set(key, []);
+          index.get(key).push(entry.sys.id);
+        }
+      );
+    });
+  });
+
+  return index;
+}
+
+// Locales whose value is required for a field: the default locale, plus every
+// non-optional locale for localized fields
+function requiredLocales(field, locales) {
+  if (!locales || locales.length === 0) return [];
+  return locales
+    .filter((locale) =>
+      field.localized ? locale.default || !locale.optional : locale.default
+    )
+    .map((locale) => locale.code);
+}
+
+// Evaluate every entry of the given content types against its field
+// validations. `entries` may contain other entries too; they are used to
+// resolve links. Returns one violation per entry, field, locale and rule,
+// and warnings for the validations that couldn't be checked.
+export function auditEntries(
+  contentTypes,
+  entries,
+  { assets = [], locales = null } = {}
+) {
+  const contentTypesById = new Map(contentTypes.map((ct) => [ct.sys.id, ct]));
+  const { patterns, warnings } = compilePatterns(contentTypes);
+  const context = {
+    patterns,
+    entriesById: new Map(entries.map((entry) => [entry.sys.id, entry])),
+    assetsById: new Map((assets || []).map((asset) => [asset.sys.id, asset])),
+    uniqueIndex: buildUniqueIndex(contentTypes, entries),
+  };
+
+  const violations = [];
+  let checked = 0;
+
+  entries.forEach((entry) => {
+    const contentType = contentTypesById.get(entry.sys.contentType?.sys?.id);
+    if (!contentType) return;
+    checked += 1;
+
+    const entryContext = { ...context, entry };
+    const status = getEntryStatus(entry.sys);
+    const report = (field, locale, rule, message) =>
+      violations.push({
+        entryId: entry.sys.id,
+        contentType: contentType.sys.id,
+        status,
+        field: field.id,
+        locale,
+        rule,
+        message,
+      });
+
+    contentType.fields.forEach((field) => {
+      const values = entry.fields?.[field.id] || {};
+
+      if (field.required && !field.disabled && !field.omitted) {
+        requiredLocales(field, locales).forEach((locale) => {
+          if (isEmpty(values[locale])) {
+            report(field, locale, "required", "Required field has no value");
+          }
+        });
+      }
+
+      Object.entries(values).forEach(([locale, value]) => {
+        if (isEmpty(value)) return;
+        const isArray = field.type === "Array";
+
+        (field.validations || []).forEach((validation) => {
+          checkValidation(
+            value,
+            validation,
+            { field, isArray, locale },
+            entryContext
+          ).forEach((message) =>
+            report(field, locale, getValidationKind(validation), message)
+          );
+        });
+
+        if (isArray && Array.isArray(value)) {
+          (field.items?.validations || []).forEach((validation) => {
+            value.forEach((item, index) => {
+              checkValidation(
+                item,
+                validation,
+                { field, isArray: false, locale },
+                entryContext
+              ).forEach((message) =>
+                report(
+                  field,
+                  locale,
+                  `items.${getValidationKind(validation)}`,
+                  `Item ${index + 1}: ${message}`
+                )
+              );
+            });
+          });
+        }
+      });
+    });
+  });
+
+  return {
+    checkedEntries: checked,
+    invalidEntries: new Set(violations.map((v) => v.entryId)).size,
+    violations,
+    warnings,
+  };
+}
+
+// Generate Markdown report of entry validation failures
+export function generateAuditReport(result, { spaceId, environmentId }) {
+  const lines = [];
+
+  lines.push(
+    `# Contentful Entry Validation Audit\n\n**Generated:** ${new Date().toLocaleDateString()}  \n**Space ID:** ${spaceId}  \n**Environment:** ${environmentId}  \n**Entries Checked:** ${
+      result.checkedEntries
+    }  \n**Invalid Entries:** ${result.invalidEntries}  \n**Violations:** ${
+      result.violations.length
+    }\n`
+  );
+
+  const warnings = result.warnings || [];
+  if (warnings.length > 0) {
+    lines.push("## Unchecked Validations");
+    lines.push("");
+    warnings.forEach((warning) => {
+      lines.push(
+        `- \`${warning.contentType}.${warning.field}\` \`${warning.rule}\`: ${warning.message}`
+      );
+    });
+    lines.push("");
+  }
+
+  if (result.violations.length === 0) {
+    lines.push("All entries pass their content type's current validations.");
+    lines.push("");
+    return lines.join("\n");
+  }
+
+  const byRule = {};
+  result.violations.forEach((violation) => {
+    byRule[violation.rule] = (byRule[violation.rule] || 0) + 1;
+  });
+
+  lines.push("## Violations by Rule");
+  lines.push("");
+  Object.entries(byRule)
+    .sort(([, a], [, b]) => b - a)
+    .forEach(([rule, count]) => lines.push(`- \`${rule}\`: ${count}`));
+  lines.push("");
+
+  lines.push("## Violations");
+  lines.push("");
+  lines.push(
+    "| Entry | Content Type | Status | Field | Locale | Rule | Details |"
+  );
+  lines.push("| --- | --- | --- | --- | --- | --- | --- |");
+  result.violations.forEach((v) => {
+    const details = v.message.replace(/\|/g, "\\|").replace(/\n/g, " ");
+    lines.push(
+      `| \`${v.entryId}\` | ${v.contentType} | ${v.status} | \`${v.field}\` | ${v.locale} | \`${v.rule}\` | ${details} |`
+    );
+  });
+  lines.push("");
+
+  return lines.join("\n");
+}
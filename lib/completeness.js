@@ -0,0 +1,89 @@
+import { formatValidations } from "./formatters.js";
+
+// Check that we're capturing all validation types: lists the validation,
+// field and rich text types used in the model, and the validations
+// formatValidations can't describe. Takes a model or its content types.
+export function analyzeCompleteness(model) {
+  const contentTypes = Array.isArray(model) ? model : model.contentTypes;
+  const validationTypesFound = new Set();
+  const fieldTypesFound = new Set();
+  const richTextNodeTypes = new Set();
+  const richTextMarks = new Set();
+  let uncapturedValidations = [];
+
+  contentTypes.forEach((contentType) => {
+    // Check if our formatting function can handle this validation
+    const checkValidation = (validation, field, fieldName) => {
+      try {
+        const formatted = formatValidations([validation], field);
+        if (
+          formatted.includes("Unknown validation") ||
+          formatted.includes("Other:")
+        ) {
+          uncapturedValidations.push({
+            contentType: contentType.name,
+            field: fieldName,
+            validation: validation,
+          });
+        }
+      } catch (error) {
+        uncapturedValidations.push({
+          contentType: contentType.name,
+          field: fieldName,
+          validation: validation,
+          error: error.message,
+        });
+      }
+    };
+
+    contentType.fields?.forEach((field) => {
+      fieldTypesFound.add(field.type);
+      if (field.type === "Array" && field.items) {
+        fieldTypesFound.add(`Array<${field.items.type}>`);
+      }
+
+      if (field.validations) {
+        field.validations.forEach((validation) => {
+          Object.keys(validation).forEach((key) => {
+            validationTypesFound.add(key);
+
+            // Check for rich text specific validations
+            if (key === "enabledNodeTypes" && Array.isArray(validation[key])) {
+              validation[key].forEach((nodeType) =>
+                richTextNodeTypes.add(nodeType)
+              );
+            }
+            if (key === "enabledMarks" && Array.isArray(validation[key])) {
+              validation[key].forEach((mark) => richTextMarks.add(mark));
+            }
+            if (key === "nodes" && typeof validation[key] === "object") {
+              Object.keys(validation[key]).forEach((nodeType) =>
+                richTextNodeTypes.add(nodeType)
+              );
+            }
+          });
+
+          checkValidation(validation, field, field.name);
+        });
+      }
+
+      // Check array item validations
+      if (field.type === "Array" && field.items && field.items.validations) {
+        field.items.validations.forEach((validation) => {
+          Object.keys(validation).forEach((key) => {
+            validationTypesFound.add(`items.${key}`);
+          });
+          checkValidation(validation, field.items, `${field.name} (items)`);
+        });
+      }
+    });
+  });
+
+  return {
+    validationTypes: Array.from(validationTypesFound).sort(),
+    fieldTypes: Array.from(fieldTypesFound).sort(),
+    richTextNodeTypes: Array.from(richTextNodeTypes).sort(),
+    richTextMarks: Array.from(richTextMarks).sort(),
+    uncapturedValidations,
+  };
+}
@@ -0,0 +1,388 @@
+import {
+  formatValidations,
+  getFieldTypeDescription,
+  getValidationKind,
+} from "./formatters.js";
+
+const FIELD_FLAGS = ["required", "localized", "disabled", "omitted"];
+
+// Flag transitions that break existing content or API consumers
+const BREAKING_FLAG_CHANGES = {
+  required: true, // existing entries without a value can no longer be published
+  localized: false, // values for non-default locales are dropped
+  omitted: true, // the field disappears from the delivery API
+};
+
+// Stable JSON representation so key order doesn't register as a change
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+// Compare { min, max } bounds (numbers or ISO dates), recursing into nested
+// bounds such as assetImageDimensions.width. Returns descriptions of every
+// bound that became stricter.
+function narrowedBounds(before, after, label) {
+  const narrowed = [];
+  if (!after || typeof after !== "object") return narrowed;
+
+  if ("min" in after || "max" in after) {
+    const prev = before || {};
+    if (
+      after.min !== undefined &&
+      (prev.min === undefined || after.min > prev.min)
+    ) {
+      narrowed.push(`${label} min raised to ${after.min}`);
+    }
+    if (
+      after.max !== undefined &&
+      (prev.max === undefined || after.max < prev.max)
+    ) {
+      narrowed.push(`${label} max lowered to ${after.max}`);
+    }
+    return narrowed;
+  }
+
+  Object.keys(after).forEach((key) => {
+    narrowed.push(
+      ...narrowedBounds(before?.[key], after[key], `${label}.${key}`)
+    );
+  });
+  return narrowed;
+}
+
+// Work out which validation changes make previously valid content invalid
+function findBreakingValidationChanges(beforeValidations, afterValidations) {
+  const before = new Map(
+    (beforeValidations || []).map((v) => [getValidationKind(v), v])
+  );
+  const reasons = [];
+
+  (afterValidations || []).forEach((validation) => {
+    const kind = getValidationKind(validation);
+    if (kind === "message") return;
+
+    const previous = before.get(kind);
+    if (!previous) {
+      reasons.push(`new \`${kind}\` validation`);
+      return;
+    }
+
+    const prevValue = previous[kind];
+    const nextValue = validation[kind];
+    if (stableStringify(prevValue) === stableStringify(nextValue)) return;
+
+    if (
+      [
+        "in",
+        "linkContentType",
+        "linkMimetypeGroup",
+        "enabledNodeTypes",
+        "enabledMarks",
+      ].includes(kind)
+    ) {
+      const allowed = new Set(toArray(nextValue));
+      const removed = toArray(prevValue).filter((item) => !allowed.has(item));
+      if (removed.length > 0) {
+        reasons.push(
+          `narrowed \`${kind}\`: removed ${removed
+            .map((item) => `"${item}"`)
+            .join(", ")}`
+        );
+      }
+    } else if (
+      [
+        "size",
+        "range",
+        "dateRange",
+        "assetFileSize",
+        "assetImageDimensions",
+      ].includes(kind)
+    ) {
+      reasons.push(...narrowedBounds(prevValue, nextValue, `\`${kind}\``));
+    } else if (["regexp", "prohibitRegexp"].includes(kind)) {
+      reasons.push(`changed \`${kind}\` pattern`);
+    }
+  });
+
+  return reasons;
+}
+
+// Describe a field's items (for arrays) so item type changes are detected
+function itemSignature(field) {
+  if (field.type !== "Array" || !field.items) return null;
+  return `${field.items.type}${
+    field.items.linkType ? `:${field.items.linkType}` : ""
+  }`;
+}
+
+function diffFields(fromField, toField) {
+  const changes = [];
+  const add = (kind, message, breaking = false) =>
+    changes.push({ field: toField.id, kind, message, breaking });
+
+  if (fromField.name !== toField.name) {
+    add("name", `Name: "${fromField.name}" → "${toField.name}"`);
+  }
+
+  const fromType = getFieldTypeDescription(fromField);
+  const toType = getFieldTypeDescription(toField);
+  const baseTypeChanged =
+    fromField.type !== toField.type ||
+    fromField.linkType !== toField.linkType ||
+    itemSignature(fromField) !== itemSignature(toField);
+  if (baseTypeChanged || fromType !== toType) {
+    add("type", `Type: ${fromType} → ${toType}`, baseTypeChanged);
+  }
+
+  FIELD_FLAGS.forEach((flag) => {
+    const fromValue = Boolean(fromField[flag]);
+    const toValue = Boolean(toField[flag]);
+    if (fromValue !== toValue) {
+      add(
+        "flag",
+        `${flag[0].toUpperCase()}${flag.slice(1)}: ${
+          fromValue ? "yes" : "no"
+        } → ${toValue ? "yes" : "no"}`,
+        BREAKING_FLAG_CHANGES[flag] === toValue
+      );
+    }
+  });
+
+  if (
+    stableStringify(fromField.defaultValue) !==
+    stableStringify(toField.defaultValue)
+  ) {
+    add(
+      "default-value",
+      `Default value: ${JSON.stringify(
+        fromField.defaultValue ?? null
+      )} → ${JSON.stringify(toField.defaultValue ?? null)}`
+    );
+  }
+
+  const validationPairs = [
+    ["Validations", fromField, toField],
+    ["Array item validations", fromField.items, toField.items],
+  ];
+  validationPairs.forEach(([label, fromOwner, toOwner]) => {
+    const fromValidations = fromOwner?.validations;
+    const toValidations = toOwner?.validations;
+    if (
+      stableStringify(fromValidations || []) ===
+      stableStringify(toValidations || [])
+    ) {
+      return;
+    }
+    const reasons = findBreakingValidationChanges(
+      fromValidations,
+      toValidations
+    );
+    const suffix = reasons.length > 0 ? ` (${reasons.join("; ")})` : "";
+    add(
+      "validations",
+      `${label}: ${formatValidations(
+        fromValidations,
+        fromOwner
+      )} → ${formatValidations(toValidations, toOwner)}${suffix}`,
+      reasons.length > 0
+    );
+  });
+
+  return changes;
+}
+
+function diffContentType(fromType, toType) {
+  const changes = [];
+  const add = (kind, message, breaking = false, field = null) =>
+    changes.push({ field, kind, message, breaking });
+
+  if (fromType.name !== toType.name) {
+    add("name", `Name: "${fromType.name}" → "${toType.name}"`);
+  }
+  if ((fromType.displayField || null) !== (toType.displayField || null)) {
+    add(
+      "display-field",
+      `Display field: ${fromType.displayField || "Not set"} → ${
+        toType.displayField || "Not set"
+      }`
+    );
+  }
+  if ((fromType.description || "") !== (toType.description || "")) {
+    add("description", "Description changed");
+  }
+
+  const fromFields = new Map(fromType.fields.map((f) => [f.id, f]));
+  const toFields = new Map(toType.fields.map((f) => [f.id, f]));
+
+  fromType.fields.forEach((field) => {
+    if (!toFields.has(field.id)) {
+      add(
+        "field-removed",
+        `Field removed (${getFieldTypeDescription(field)})`,
+        true,
+        field.id
+      );
+    }
+  });
+
+  toType.fields.forEach((field) => {
+    if (!fromFields.has(field.id)) {
+      add(
+        "field-added",
+        `Field added (${getFieldTypeDescription(field)}${
+          field.required ? ", required" : ""
+        })`,
+        Boolean(field.required && !field.disabled),
+        field.id
+      );
+    }
+  });
+
+  // Only compare the relative order of fields present on both sides
+  const fromOrder = fromType.fields
+    .map((f) => f.id)
+    .filter((id) => toFields.has(id));
+  const toOrder = toType.fields
+    .map((f) => f.id)
+    .filter((id) => fromFields.has(id));
+  if (fromOrder.join(",") !== toOrder.join(",")) {
+    add(
+      "fields-reordered",
+      `Fields reordered: ${fromOrder.join(", ")} → ${toOrder.join(", ")}`
+    );
+  }
+
+  toType.fields.forEach((field) => {
+    if (fromFields.has(field.id)) {
+      changes.push(...diffFields(fromFields.get(field.id), field));
+    }
+  });
+
+  return changes;
+}
+
+// Compare two lists of content types and collect every schema change. Each
+// change has a `kind` (e.g. "field-added", "validations") for tooling.
+export function diffContentTypes(fromTypes, toTypes) {
+  const fromById = new Map(fromTypes.map((ct) => [ct.sys.id, ct]));
+  const toById = new Map(toTypes.map((ct) => [ct.sys.id, ct]));
+
+  const added = toTypes.filter((ct) => !fromById.has(ct.sys.id));
+  const removed = fromTypes.filter((ct) => !toById.has(ct.sys.id));
+  const changed = [];
+
+  toTypes.forEach((toType) => {
+    const fromType = fromById.get(toType.sys.id);
+    if (!fromType) return;
+
+    const changes = diffContentType(fromType, toType);
+    if (changes.length > 0) {
+      changes.forEach((change) => (change.contentType = toType.sys.id));
+      changed.push({ id: toType.sys.id, name: toType.name, changes });
+    }
+  });
+
+  const breaking = [
+    ...removed.map((ct) => ({
+      contentType: ct.sys.id,
+      field: null,
+      kind: "content-type-removed",
+      message: "Content type removed",
+      breaking: true,
+    })),
+    ...changed.flatMap((ct) => ct.changes.filter((c) => c.breaking)),
+  ];
+
+  return { added, removed, changed, breaking };
+}
+
+function changeTarget(change) {
+  return change.field
+    ? `\`${change.contentType}.${change.field}\``
+    : `\`${change.contentType}\``;
+}
+
+// Generate Markdown change report from a diff result
+export function generateDiffReport(diff, { from, to }) {
+  const lines = [];
+
+  lines.push(
+    `# Contentful Content Model Diff\n\n**Generated:** ${new Date().toLocaleDateString()}  \n**From:** ${from}  \n**To:** ${to}  \n**Added Content Types:** ${
+      diff.added.length
+    }  \n**Removed Content Types:** ${
+      diff.removed.length
+    }  \n**Changed Content Types:** ${diff.changed.length}\n`
+  );
+
+  lines.push("## ⚠️ Breaking Changes");
+  lines.push("");
+  if (diff.breaking.length === 0) {
+    lines.push("No breaking changes detected.");
+  } else {
+    diff.breaking.forEach((change) => {
+      lines.push(`- ${changeTarget(change)}: ${change.message}`);
+    });
+  }
+  lines.push("");
+
+  if (diff.added.length > 0) {
+    lines.push("## Added Content Types");
+    lines.push("");
+    diff.added.forEach((ct) => {
+      lines.push(
+        `- **${ct.name}** (\`${ct.sys.id}\`): ${ct.fields.length} fields`
+      );
+    });
+    lines.push("");
+  }
+
+  if (diff.removed.length > 0) {
+    lines.push("## Removed Content Types");
+    lines.push("");
+    diff.removed.forEach((ct) => {
+      lines.push(
+        `- **${ct.name}** (\`${ct.sys.id}\`): ${ct.fields.length} fields`
+      );
+    });
+    lines.push("");
+  }
+
+  if (diff.changed.length > 0) {
+    lines.push("## Changed Content Types");
+    lines.push("");
+    diff.changed.forEach((ct) => {
+      lines.push(`### ${ct.name} (\`${ct.id}\`)`);
+      lines.push("");
+      ct.changes.forEach((change) => {
+        const target = change.field ? `\`${change.field}\`: ` : "";
+        const marker = change.breaking ? " ⚠️" : "";
+        lines.push(`- ${target}${change.message}${marker}`);
+      });
+      lines.push("");
+    });
+  }
+
+  if (
+    diff.added.length === 0 &&
+    diff.removed.length === 0 &&
+    diff.changed.length === 0
+  ) {
+    lines.push("The content models are identical.");
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
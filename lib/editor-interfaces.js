@@ -0,0 +1,77 @@
+// Editor interfaces by content type id. Space exports and the API both link
+// each editor interface to its content type in `sys.contentType`.
+export function indexEditorInterfaces(editorInterfaces) {
+  const index = new Map();
+  (editorInterfaces || []).forEach((editorInterface) => {
+    const id = editorInterface.sys?.contentType?.sys?.id;
+    if (id) index.set(id, editorInterface);
+  });
+  return index;
+}
+
+// The control (widget configuration) of one field, if customized
+export function getFieldControl(editorInterface, fieldId) {
+  return (editorInterface?.controls || []).find(
+    (control) => control.fieldId === fieldId
+  );
+}
+
+// "`singleLine` (builtin)"
+export function formatWidget(widget) {
+  if (!widget?.widgetId) return "Default";
+  const details = [widget.widgetNamespace || "builtin"];
+  if (widget.disabled) details.push("disabled");
+  return `\`${widget.widgetId}\` (${details.join(", ")})`;
+}
+
+// Instance parameters as `key: value` pairs. The help text is shown on its
+// own, so it is left out here.
+export function formatWidgetSettings(settings) {
+  const pairs = Object.entries(settings || {})
+    .filter(([key]) => key !== "helpText")
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+  return pairs.length > 0 ? pairs.join(", ") : null;
+}
+
+// Entry editors of an editor interface. Older interfaces have a single
+// `editor` instead of an `editors` list.
+export function getEntryEditors(editorInterface) {
+  if (Array.isArray(editorInterface?.editors)) return editorInterface.editors;
+  return editorInterface?.editor ? [editorInterface.editor] : null;
+}
+
+// Nested Markdown list of the field groups (tabs and fieldsets) in the editor
+// layout, with the widget of each group
+export function formatEditorLayout(editorInterface, indent = "  ") {
+  const groupControls = new Map(
+    (editorInterface?.groupControls || []).map((control) => [
+      control.groupId,
+      control,
+    ])
+  );
+  const lines = [];
+
+  const renderGroup = (group, depth) => {
+    const fieldIds = group.items
+      .filter((item) => item.fieldId)
+      .map((item) => `\`${item.fieldId}\``);
+    const control = groupControls.get(group.groupId);
+    const settings = formatWidgetSettings(control?.settings);
+    const widget = control?.widgetId
+      ? ` [${formatWidget(control)}${settings ? ` - ${settings}` : ""}]`
+      : "";
+    lines.push(
+      `${indent.repeat(depth)}- ${group.name} (\`${
+        group.groupId
+      }\`)${widget}: ${fieldIds.length > 0 ? fieldIds.join(", ") : "No fields"}`
+    );
+    group.items
+      .filter((item) => item.groupId)
+      .forEach((item) => renderGroup(item, depth + 1));
+  };
+
+  (editorInterface?.editorLayout || []).forEach((group) =>
+    renderGroup(group, 1)
+  );
+  return lines;
+}
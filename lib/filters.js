@@ -0,0 +1,159 @@
+import { ANY_ENTRY, buildReferenceGraph } from "./graph.js";
+
+const LINK_TYPES = ["Link", "ResourceLink"];
+
+function isReferenceField(field) {
+  return (
+    LINK_TYPES.includes(field.type) ||
+    (field.type === "Array" && LINK_TYPES.includes(field.items?.type))
+  );
+}
+
+// Field predicates for --fields, by name
+export const FIELD_PREDICATES = {
+  references: isReferenceField,
+  localized: (field) => Boolean(field.localized),
+  required: (field) => Boolean(field.required),
+  validated: (field) =>
+    (field.validations?.length || 0) + (field.items?.validations?.length || 0) >
+    0,
+  "rich-text": (field) => field.type === "RichText",
+  disabled: (field) => Boolean(field.disabled || field.omitted),
+};
+
+// Content type id glob: `*` matches any run of characters, `?` a single one
+export function globToRegExp(pattern) {
+  const source = pattern
+    .split("")
+    .map((char) => {
+      if (char === "*") return ".*";
+      if (char === "?") return ".";
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+function matchesAny(id, patterns) {
+  return patterns.some((pattern) => globToRegExp(pattern).test(id));
+}
+
+// Tag ids from the content type's metadata
+export function getContentTypeTags(contentType) {
+  return (contentType.metadata?.tags || [])
+    .map((tag) => tag.sys?.id)
+    .filter(Boolean);
+}
+
+// Every content type id reachable from `ids` through reference fields and
+// rich text embeds. Fields accepting any content type add nothing.
+export function collectDependencies(contentTypes, ids) {
+  const graph = buildReferenceGraph(contentTypes);
+  const reachable = new Set(ids);
+  const queue = [...ids];
+
+  while (queue.length > 0) {
+    const from = queue.shift();
+    graph.edges
+      .filter((edge) => edge.from === from && edge.to !== ANY_ENTRY)
+      .forEach((edge) => {
+        if (reachable.has(edge.to)) return;
+        reachable.add(edge.to);
+        queue.push(edge.to);
+      });
+  }
+
+  return reachable;
+}
+
+// True when no filter option is set
+export function isEmptyFilter(filter) {
+  return (
+    !filter ||
+    ((filter.include || []).length === 0 &&
+      (filter.exclude || []).length === 0 &&
+      (filter.tags || []).length === 0 &&
+      (filter.fields || []).length === 0)
+  );
+}
+
+// Scope the content types of a report. Content types are selected by id globs
+// (`include`, then `exclude`) and metadata tags; `withDependencies` adds every
+// content type the selection references, even excluded ones. `fields` keeps
+// the fields matching every named predicate and drops content types left
+// without fields.
+export function filterContentTypes(
+  contentTypes,
+  {
+    include = [],
+    exclude = [],
+    tags = [],
+    fields = [],
+    withDependencies = false,
+  }
+) {
+  const unknown = fields.filter((name) => !FIELD_PREDICATES[name]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown field filter: ${unknown.join(", ")}. Use one of: ${Object.keys(
+        FIELD_PREDICATES
+      ).join(", ")}`
+    );
+  }
+
+  const selected = contentTypes.filter((contentType) => {
+    const id = contentType.sys.id;
+    if (include.length > 0 && !matchesAny(id, include)) return false;
+    if (exclude.length > 0 && matchesAny(id, exclude)) return false;
+    if (
+      tags.length > 0 &&
+      !getContentTypeTags(contentType).some((tag) => tags.includes(tag))
+    ) {
+      return false;
+    }
+    return true;
+  });
+
+  const selectedIds = new Set(selected.map((ct) => ct.sys.id));
+  const ids = withDependencies
+    ? collectDependencies(contentTypes, [...selectedIds])
+    : selectedIds;
+  const dependencies = [...ids].filter((id) => !selectedIds.has(id));
+
+  // Keep the original order so dependencies don't all end up last
+  const scoped = contentTypes.filter((ct) => ids.has(ct.sys.id));
+  if (fields.length === 0) {
+    return { contentTypes: scoped, dependencies };
+  }
+
+  const predicates = fields.map((name) => FIELD_PREDICATES[name]);
+  return {
+    contentTypes: scoped
+      .map((contentType) => ({
+        ...contentType,
+        fields: (contentType.fields || []).filter((field) =>
+          predicates.every((predicate) => predicate(field))
+        ),
+      }))
+      .filter((contentType) => contentType.fields.length > 0),
+    dependencies,
+  };
+}
+
+// One-line description of the active filters for report headers
+export function describeFilter({
+  include = [],
+  exclude = [],
+  tags = [],
+  fields = [],
+  withDependencies = false,
+}) {
+  const list = (values) => values.join(", ");
+  const parts = [];
+  if (include.length > 0) parts.push(`content types ${list(include)}`);
+  if (exclude.length > 0) parts.push(`excluding ${list(exclude)}`);
+  if (tags.length > 0) parts.push(`tagged ${list(tags)}`);
+  if (withDependencies) parts.push("with dependencies");
+  if (fields.length > 0) parts.push(`${fields.join(" and ")} fields only`);
+  return parts.join(", ");
+}
@@ -0,0 +1,53 @@
+import { formatValidations, getFieldTypeDescription } from "../formatters.js";
+
+const COLUMNS = [
+  "Content Type ID",
+  "Content Type",
+  "Field ID",
+  "Field Name",
+  "Type",
+  "Type Description",
+  "Required",
+  "Localized",
+  "Disabled",
+  "Omitted",
+  "Validations",
+  "Array Item Validations",
+];
+
+// Quote a value per RFC 4180 when it contains a delimiter, quote or newline
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Generate CSV format report with one row per field
+export function generateCsvReport(contentTypes) {
+  const rows = [COLUMNS];
+
+  contentTypes.forEach((contentType) => {
+    contentType.fields?.forEach((field) => {
+      const itemValidations =
+        field.type === "Array" && field.items
+          ? formatValidations(field.items.validations, field.items)
+          : "";
+
+      rows.push([
+        contentType.sys.id,
+        contentType.name,
+        field.id,
+        field.name,
+        field.type,
+        getFieldTypeDescription(field),
+        field.required ? "yes" : "no",
+        field.localized ? "yes" : "no",
+        field.disabled ? "yes" : "no",
+        field.omitted ? "yes" : "no",
+        formatValidations(field.validations, field),
+        itemValidations,
+      ]);
+    });
+  });
+
+  return `${rows.map((row) => row.map(escapeCsv).join(",")).join("\r\n")}\r\n`;
+}
@@ -0,0 +1,503 @@
+import { buildTemplateData } from "./markdown.js";
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function anchorFor(contentTypeId) {
+  return `ct-${contentTypeId}`;
+}
+
+// Turn the content type ids in "Reference to [x, y]" into links to their
+// sections. Ids that aren't part of the report are left as plain text.
+function linkReferences(typeDescription, knownIds) {
+  return escapeHtml(typeDescription).replace(
+    /Reference to \[([^\]]+)\]/g,
+    (match, ids) =>
+      `Reference to [${ids
+        .split(", ")
+        .map((id) =>
+          knownIds.has(id) ? `<a href="#${anchorFor(id)}">${id}</a>` : id
+        )
+        .join(", ")}]`
+  );
+}
+
+const STYLES = `
+* { box-sizing: border-box; }
+body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif; color: #1f2933; line-height: 1.5; }
+nav { position: fixed; top: 0; bottom: 0; left: 0; width: 280px; overflow-y: auto; padding: 16px; background: #f5f7fa; border-right: 1px solid #d9e2ec; }
+nav input { width: 100%; padding: 6px 8px; margin-bottom: 12px; border: 1px solid #bcccdc; border-radius: 4px; }
+nav ul { list-style: none; margin: 0; padding: 0; }
+nav li a { display: block; padding: 2px 0; color: #243b53; text-decoration: none; }
+nav li a:hover { text-decoration: underline; }
+main { margin-left: 280px; padding: 24px 40px; max-width: 1100px; }
+section.content-type { border-top: 1px solid #d9e2ec; padding-top: 8px; margin-top: 24px; }
+details.field { border: 1px solid #e4e7eb; border-radius: 4px; margin: 8px 0; padding: 4px 12px; }
+details.field summary { cursor: pointer; font-weight: 600; }
+details.field summary code { font-weight: normal; color: #627d98; }
+.badge { display: inline-block; padding: 0 6px; margin-right: 4px; border-radius: 3px; background: #e0e8f9; font-size: 0.85em; }
+.hidden { display: none; }
+code { background: #f0f4f8; padding: 0 3px; border-radius: 3px; }
+blockquote { margin: 8px 0; padding-left: 12px; border-left: 3px solid #bcccdc; color: #52606d; }
+table { border-collapse: collapse; margin: 8px 0; }
+th, td { border: 1px solid #d9e2ec; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f5f7fa; }
+pre { background: #f0f4f8; padding: 12px; overflow-x: auto; }
+`;
+
+// Filter fields by name or id; a content type stays visible if its own name
+// or id matches, or if any of its fields do
+const SCRIPT = `
+document.getElementById("filter").addEventListener("input", function (event) {
+  var query = event.target.value.trim().toLowerCase();
+  document.querySelectorAll("section.content-type").forEach(function (section) {
+    var typeMatches = !query || section.dataset.search.indexOf(query) !== -1;
+    var anyField = false;
+    section.querySelectorAll("details.field").forEach(function (field) {
+      var matches = typeMatches || field.dataset.search.indexOf(query) !== -1;
+      field.classList.toggle("hidden", !matches);
+      if (query && matches && !typeMatches) field.open = true;
+      anyField = anyField || matches;
+    });
+    var visible = typeMatches || anyField;
+    section.classList.toggle("hidden", !visible);
+    var link = document.querySelector('nav a[href="#' + section.id + '"]');
+    if (link) link.parentElement.classList.toggle("hidden", !visible);
+  });
+});
+`;
+
+// Widgets and editor layouts are described in Markdown; turn their `code`
+// spans into <code> elements
+function inlineCode(text) {
+  return escapeHtml(text).replace(/`([^`]+)`/g, "<code>$1</code>");
+}
+
+// A list of values as <code> elements, or `empty` when there are none
+function codeList(values, separator = ", ", empty = "None") {
+  return values.length > 0
+    ? values.map((value) => `<code>${escapeHtml(value)}</code>`).join(separator)
+    : empty;
+}
+
+function item(label, html) {
+  return `<li><strong>${label}:</strong> ${html}</li>`;
+}
+
+function table(headers, rows) {
+  return `<table>
+<thead><tr>${headers
+    .map((header) => `<th>${header}</th>`)
+    .join("")}</tr></thead>
+<tbody>
+${rows
+  .map((row) => `<tr>${row.map((cell) => `<td>${cell}</td>`).join("")}</tr>`)
+  .join("\n")}
+</tbody>
+</table>`;
+}
+
+const yesNo = (value) => (value ? "Yes" : "No");
+
+function renderLocales({ locales, localization }) {
+  return `<section id="locales">
+<h2>Locales</h2>
+${table(
+  ["Code", "Name", "Default", "Optional", "Fallback Chain"],
+  locales.map((locale) => [
+    `<code>${escapeHtml(locale.code)}</code>`,
+    escapeHtml(locale.name),
+    yesNo(locale.default),
+    yesNo(locale.optional),
+    codeList(locale.fallbackChain, " → "),
+  ])
+)}
+<p>Empty values are read from the next locale in the fallback chain when entries are delivered. Optional locales can be left empty when publishing.</p>
+<h3>Localized Fields by Content Type</h3>
+<p>Fields editors can fill in per locale: every field in the default locale, only localized fields in the others.</p>
+${table(
+  [
+    "Content Type",
+    "Localized Fields",
+    ...locales.map((locale) => `<code>${escapeHtml(locale.code)}</code>`),
+  ],
+  localization.map((row) => [
+    escapeHtml(row.name),
+    codeList(row.localizedFields),
+    ...row.counts,
+  ])
+)}
+</section>`;
+}
+
+// The page stays self-contained, so the diagram is shown as Mermaid source
+// to paste into any Mermaid renderer. The .dot file has the same graph.
+function renderGraph(mermaid) {
+  return `<section id="graph">
+<h2>Content Model Graph</h2>
+<pre class="mermaid">${escapeHtml(mermaid)}</pre>
+</section>`;
+}
+
+function renderUsage(usage) {
+  return `<section id="usage">
+<h2>Usage Summary</h2>
+<ul>
+${item("Total Entries", usage.totalEntries)}
+${item("Content Types Without Entries", codeList(usage.unusedContentTypes))}
+${item("Fields Never Filled", codeList(usage.emptyFields))}
+</ul>
+</section>`;
+}
+
+function formatLimit({ count, limit, percent, nearLimit }, per) {
+  return `${count} of the ${limit} Contentful allows per ${per} (${percent}%)${
+    nearLimit ? " ⚠️" : ""
+  }`;
+}
+
+function renderScorecard(scorecard) {
+  const { limits, thresholds } = scorecard;
+  const limitItems = [
+    item("Content Types", formatLimit(limits.contentTypes, "environment")),
+  ];
+  if (limits.fields) {
+    limitItems.push(
+      item(
+        "Most Fields",
+        `<code>${escapeHtml(
+          limits.fields.contentType
+        )}</code> with ${formatLimit(limits.fields, "content type")}`
+      )
+    );
+  }
+  const cycles = scorecard.cycles.map((cycle) => codeList(cycle, " → "));
+
+  return `<section id="scorecard">
+<h2>Scorecard</h2>
+${table(
+  [
+    "Content Type",
+    "Fields",
+    "Linked From",
+    "Links To",
+    "Depth",
+    "Validated Fields",
+  ],
+  scorecard.contentTypes.map((contentType) => [
+    `${escapeHtml(contentType.name)} (<code>${escapeHtml(
+      contentType.id
+    )}</code>)`,
+    contentType.fields,
+    contentType.fanIn,
+    contentType.fanOut,
+    contentType.depth,
+    contentType.validationCoverage,
+  ])
+)}
+<p>Linked From and Links To count the other content types a content type can be linked from and can link to. Depth is its longest chain of references.</p>
+<ul>
+${limitItems.join("\n")}
+${item("Reference Cycles", cycles.length > 0 ? cycles.join("; ") : "None")}
+${item("Not Linked From Other Content Types", codeList(scorecard.orphans))}
+${item(
+  "Fields Accepting Any Content Type",
+  codeList(scorecard.unrestrictedFields)
+)}
+</ul>
+<h3>Over the Thresholds</h3>
+${
+  scorecard.flagged.length > 0
+    ? `<ul>
+${scorecard.flagged
+  .map(
+    (contentType) =>
+      `<li><strong>${escapeHtml(contentType.name)}</strong> (<code>${escapeHtml(
+        contentType.id
+      )}</code>): ${escapeHtml(contentType.issues.join("; "))}</li>`
+  )
+  .join("\n")}
+</ul>`
+    : "<p>No content type is over the thresholds.</p>"
+}
+<p>Thresholds: more than ${
+    thresholds.maxFields
+  } fields, linked from more than ${
+    thresholds.maxFanIn
+  } or linking to more than ${
+    thresholds.maxFanOut
+  } content types, reference chains deeper than ${
+    thresholds.maxDepth
+  }, less than ${thresholds.minValidationCoverage}% of fields validated, or ${
+    thresholds.limitWarning
+  }% of a Contentful limit.</p>
+</section>`;
+}
+
+function renderEditorInterface(editorInterface) {
+  const items = [
+    item("Entry Editors", inlineCode(editorInterface.entryEditors)),
+  ];
+  items.push(
+    editorInterface.sidebar
+      ? item(
+          "Sidebar",
+          `<ul>
+${editorInterface.sidebar
+  .map(
+    (widget) =>
+      `<li>${inlineCode(widget.widget)}${
+        widget.settings ? ` - ${escapeHtml(widget.settings)}` : ""
+      }</li>`
+  )
+  .join("\n")}
+</ul>`
+        )
+      : item("Sidebar", "Default")
+  );
+  items.push(
+    editorInterface.layout
+      ? item(
+          "Editor Layout",
+          `<pre>${inlineCode(editorInterface.layout.join("\n"))}</pre>`
+        )
+      : item("Editor Layout", "Default")
+  );
+  return `<h3>Editor Interface</h3>
+<ul>
+${items.join("\n")}
+</ul>`;
+}
+
+function renderField(field, knownIds) {
+  const items = [];
+  items.push(item("Type", linkReferences(field.typeDescription, knownIds)));
+  items.push(item("Base Type", escapeHtml(field.type)));
+
+  if (field.linkType) {
+    items.push(item("Link Type", escapeHtml(field.linkType)));
+  }
+  if (field.allowedResources) {
+    items.push(item("Allowed Resources", escapeHtml(field.allowedResources)));
+  }
+  if (field.valueFormat) {
+    items.push(item("Value Format", escapeHtml(field.valueFormat)));
+  }
+  if (field.badges.length > 0) {
+    items.push(
+      item(
+        "Properties",
+        field.badges
+          .map((badge) => `<span class="badge">${badge}</span>`)
+          .join("")
+      )
+    );
+  }
+  if (field.annotations.length > 0) {
+    items.push(item("Annotations", codeList(field.annotations)));
+  }
+  if (field.fillRate) {
+    items.push(item("Fill Rate", escapeHtml(field.fillRate)));
+  }
+  if (field.widget) {
+    items.push(item("Widget", inlineCode(field.widget)));
+    if (field.helpText) {
+      items.push(item("Help Text", escapeHtml(field.helpText)));
+    }
+    if (field.widgetSettings) {
+      items.push(item("Widget Settings", escapeHtml(field.widgetSettings)));
+    }
+  }
+  if (field.localeDefaults) {
+    items.push(
+      item(
+        "Default Value",
+        `<ul>
+${field.localeDefaults
+  .map(
+    ({ locale, value }) =>
+      `<li>${escapeHtml(locale)}: <code>${escapeHtml(value)}</code></li>`
+  )
+  .join("\n")}
+</ul>`
+      )
+    );
+  }
+  if (field.defaultValue) {
+    items.push(
+      item("Default Value", `<code>${escapeHtml(field.defaultValue)}</code>`)
+    );
+  }
+  if (field.validations) {
+    items.push(item("Validations", escapeHtml(field.validations)));
+  }
+
+  if (field.items) {
+    items.push(item("Array Item Type", escapeHtml(field.items.type)));
+    if (field.items.linkType) {
+      items.push(
+        item("Array Item Link Type", escapeHtml(field.items.linkType))
+      );
+    }
+    if (field.items.allowedResources) {
+      items.push(
+        item(
+          "Array Item Allowed Resources",
+          escapeHtml(field.items.allowedResources)
+        )
+      );
+    }
+    if (field.items.validations) {
+      items.push(
+        item("Array Item Validations", escapeHtml(field.items.validations))
+      );
+    }
+  }
+
+  const search = escapeHtml(`${field.name} ${field.id}`.toLowerCase());
+
+  return `<details class="field" data-search="${search}">
+<summary>${escapeHtml(field.name)} <code>${escapeHtml(
+    field.id
+  )}</code></summary>
+<ul>
+${items.join("\n")}
+</ul>
+</details>`;
+}
+
+function renderContentType(contentType, knownIds) {
+  const { id } = contentType;
+  const parts = [];
+  const search = escapeHtml(`${contentType.name} ${id}`.toLowerCase());
+
+  parts.push(
+    `<section class="content-type" id="${anchorFor(
+      id
+    )}" data-search="${search}">`
+  );
+  parts.push(`<h2>${escapeHtml(contentType.name)}</h2>`);
+  parts.push("<ul>");
+  parts.push(item("ID", `<code>${escapeHtml(id)}</code>`));
+  parts.push(
+    item("Display Field", escapeHtml(contentType.displayField || "Not set"))
+  );
+  parts.push(item("Fields", contentType.fieldCount));
+  parts.push(item("Created", contentType.createdAt));
+  parts.push(item("Updated", contentType.updatedAt));
+  if (contentType.tags.length > 0) {
+    parts.push(item("Tags", codeList(contentType.tags)));
+  }
+  if (contentType.annotations.length > 0) {
+    parts.push(item("Annotations", codeList(contentType.annotations)));
+  }
+  if (contentType.taxonomy) {
+    parts.push(item("Taxonomy", escapeHtml(contentType.taxonomy)));
+  }
+  if (contentType.usage) {
+    const { usage } = contentType;
+    parts.push(
+      item(
+        "Entries",
+        `${usage.entries} (${usage.published} published, ${usage.draft} draft, ${usage.changed} changed, ${usage.archived} archived)`
+      )
+    );
+    parts.push(item("Last Entry Update", usage.lastUpdated));
+  }
+  parts.push("</ul>");
+
+  if (contentType.description) {
+    parts.push(
+      `<blockquote>${escapeHtml(contentType.description)}</blockquote>`
+    );
+  }
+
+  if (contentType.editorInterface) {
+    parts.push(renderEditorInterface(contentType.editorInterface));
+  }
+
+  if (contentType.fields.length > 0) {
+    parts.push("<h3>Fields</h3>");
+    contentType.fields.forEach((field) => {
+      parts.push(renderField(field, knownIds));
+    });
+  }
+
+  parts.push("</section>");
+  return parts.join("\n");
+}
+
+// Generate a single self-contained HTML page with navigation and search. It
+// is rendered from the data of the Markdown report, so it has the same
+// sections.
+export function generateHtmlReport(contentTypes, context) {
+  const data = buildTemplateData(contentTypes, context);
+  const knownIds = new Set(data.contentTypes.map((ct) => ct.id));
+  const title = "Contentful Content Types Report";
+  const { summary } = data;
+
+  const toc = data.contentTypes
+    .map(
+      (ct) =>
+        `<li><a href="#${anchorFor(ct.id)}">${escapeHtml(ct.name)}</a></li>`
+    )
+    .join("\n");
+
+  const sections = [];
+  if (summary) {
+    sections.push(`<ul>
+<li><strong>Total Fields:</strong> ${summary.totalFields}</li>
+<li><strong>Required Fields:</strong> ${summary.requiredFields}</li>
+<li><strong>Localized Fields:</strong> ${summary.localizedFields}</li>
+<li><strong>Reference Fields:</strong> ${summary.referenceFields}</li>
+<li><strong>Rich Text Fields:</strong> ${summary.richTextFields}</li>
+</ul>`);
+  }
+  if (data.locales) sections.push(renderLocales(data));
+  if (data.mermaid) sections.push(renderGraph(data.mermaid));
+  if (data.usage) sections.push(renderUsage(data.usage));
+  if (data.scorecard) sections.push(renderScorecard(data.scorecard));
+  data.contentTypes.forEach((ct) => {
+    sections.push(renderContentType(ct, knownIds));
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<nav>
+<input id="filter" type="search" placeholder="Filter fields by name or id" aria-label="Filter fields">
+<ul>
+${toc}
+</ul>
+</nav>
+<main>
+<h1>${title}</h1>
+<ul>
+<li><strong>Generated:</strong> ${data.generated}</li>
+<li><strong>Space ID:</strong> ${escapeHtml(data.spaceId)}</li>
+<li><strong>Environment:</strong> ${escapeHtml(data.environmentId)}</li>
+${
+  data.filter
+    ? `<li><strong>Filter:</strong> ${escapeHtml(data.filter)}</li>\n`
+    : ""
+}<li><strong>Total Content Types:</strong> ${data.totalContentTypes}</li>
+</ul>
+${sections.join("\n")}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
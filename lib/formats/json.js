@@ -0,0 +1,99 @@
+import {
+  formatValidations,
+  getAnnotations,
+  getFieldTypeDescription,
+  getTaxonomy,
+  getValidationKind,
+} from "../formatters.js";
+import { getContentTypeTags } from "../filters.js";
+import { describeLocales } from "../locales.js";
+
+// Parse a validations array into { kind, value, message, description } objects
+function normalizeValidations(validations, field) {
+  return (validations || []).map((validation) => {
+    const kind = getValidationKind(validation);
+    return {
+      kind,
+      value: kind === "message" ? null : validation[kind],
+      message: validation.message || null,
+      description: formatValidations([validation], field),
+    };
+  });
+}
+
+// Plain description of a field: its type, flags and validations, each
+// validation with a readable description
+export function describeField(field) {
+  return {
+    id: field.id,
+    name: field.name,
+    type: field.type,
+    typeDescription: getFieldTypeDescription(field),
+    linkType: field.linkType || null,
+    allowedResources: field.allowedResources || null,
+    required: Boolean(field.required),
+    localized: Boolean(field.localized),
+    disabled: Boolean(field.disabled),
+    omitted: Boolean(field.omitted),
+    defaultValue: field.defaultValue ?? null,
+    validations: normalizeValidations(field.validations, field),
+    items:
+      field.type === "Array" && field.items
+        ? {
+            type: field.items.type,
+            linkType: field.items.linkType || null,
+            allowedResources: field.items.allowedResources || null,
+            validations: normalizeValidations(
+              field.items.validations,
+              field.items
+            ),
+          }
+        : null,
+  };
+}
+
+// Normalized content model with a fixed key order; content types are sorted
+// by id and fields keep their editor order, so output diffs cleanly
+export function buildJsonReport(
+  contentTypes,
+  {
+    spaceId,
+    environmentId,
+    summary,
+    completeness,
+    usage = null,
+    scorecard = null,
+    locales = null,
+    filter = null,
+  }
+) {
+  return {
+    spaceId,
+    environmentId,
+    filter,
+    locales: locales ? describeLocales(locales) : null,
+    summary,
+    completeness,
+    usage,
+    scorecard,
+    contentTypes: [...contentTypes]
+      .sort((a, b) => a.sys.id.localeCompare(b.sys.id))
+      .map((contentType) => ({
+        id: contentType.sys.id,
+        name: contentType.name,
+        description: contentType.description || null,
+        displayField: contentType.displayField || null,
+        createdAt: contentType.sys.createdAt || null,
+        updatedAt: contentType.sys.updatedAt || null,
+        tags: getContentTypeTags(contentType),
+        annotations: getAnnotations(contentType),
+        taxonomy: getTaxonomy(contentType),
+        fields: (contentType.fields || []).map(describeField),
+      })),
+  };
+}
+
+// Generate JSON format report
+export function generateJsonReport(contentTypes, context) {
+  return `${JSON.stringify(buildJsonReport(contentTypes, context), null, 2)}\n`;
+}
@@ -0,0 +1,272 @@
+import fs from "fs";
+import {
+  formatAllowedResources,
+  formatTaxonomy,
+  formatValidations,
+  getAnnotations,
+  getFieldTypeDescription,
+  getTaxonomy,
+  VALUE_FORMATS,
+} from "../formatters.js";
+import { getContentTypeTags } from "../filters.js";
+import { formatFillRate } from "../usage.js";
+import {
+  formatEditorLayout,
+  formatWidget,
+  formatWidgetSettings,
+  getEntryEditors,
+  getFieldControl,
+  indexEditorInterfaces,
+} from "../editor-interfaces.js";
+import {
+  computeLocalizationMatrix,
+  describeLocales,
+  getLocaleDefaults,
+} from "../locales.js";
+import { compileTemplate } from "../template.js";
+
+// The built-in report layout, a template like the ones --template takes
+export const DEFAULT_TEMPLATE_PATH = new URL(
+  "../../templates/report.md.hbs",
+  import.meta.url
+);
+
+let defaultTemplate = null;
+
+function formatDefaultValue(value) {
+  return typeof value === "object" ? JSON.stringify(value) : value;
+}
+
+function formatDate(value) {
+  return new Date(value).toLocaleDateString();
+}
+
+function describeFieldForTemplate(
+  field,
+  { annotations, typeUsage, editorInterface, locales }
+) {
+  const badges = [];
+  if (field.required) badges.push("Required");
+  if (field.localized) badges.push("Localized");
+  if (field.disabled) badges.push("Disabled");
+  if (field.omitted) badges.push("Omitted");
+
+  const control = editorInterface
+    ? getFieldControl(editorInterface, field.id)
+    : null;
+
+  const hasDefault =
+    field.defaultValue !== undefined && field.defaultValue !== null;
+  const localeDefaults = hasDefault
+    ? getLocaleDefaults(field.defaultValue, locales)
+    : null;
+
+  const validations = formatValidations(field.validations, field);
+  const items = field.type === "Array" && field.items ? field.items : null;
+
+  return {
+    id: field.id,
+    name: field.name,
+    type: field.type,
+    typeDescription: getFieldTypeDescription(field),
+    linkType: field.linkType || null,
+    allowedResources: field.allowedResources
+      ? formatAllowedResources(field.allowedResources).join("; ")
+      : null,
+    valueFormat: VALUE_FORMATS[field.type] || null,
+    required: Boolean(field.required),
+    localized: Boolean(field.localized),
+    disabled: Boolean(field.disabled),
+    omitted: Boolean(field.omitted),
+    badges,
+    annotations: annotations.fields[field.id] || [],
+    fillRate: typeUsage ? formatFillRate(typeUsage.fields[field.id]) : null,
+    widget: editorInterface ? formatWidget(control) : null,
+    helpText: control?.settings?.helpText || null,
+    widgetSettings: formatWidgetSettings(control?.settings) || null,
+    defaultValue:
+      hasDefault && !localeDefaults
+        ? String(formatDefaultValue(field.defaultValue))
+        : null,
+    localeDefaults: localeDefaults
+      ? localeDefaults.map(([locale, value]) => ({
+          locale,
+          value: formatDefaultValue(value),
+        }))
+      : null,
+    validations: validations !== "None" ? validations : null,
+    validationRules: (field.validations || []).map((validation) =>
+      formatValidations([validation], field)
+    ),
+    items: items && {
+      type: items.type,
+      linkType: items.linkType || null,
+      allowedResources: items.allowedResources
+        ? formatAllowedResources(items.allowedResources).join("; ")
+        : null,
+      validations:
+        items.validations && items.validations.length > 0
+          ? formatValidations(items.validations, items)
+          : null,
+      validationRules: (items.validations || []).map((validation) =>
+        formatValidations([validation], items)
+      ),
+    },
+  };
+}
+
+function describeEditorInterface(editorInterface) {
+  const editors = getEntryEditors(editorInterface);
+  const layout = formatEditorLayout(editorInterface);
+  return {
+    entryEditors: editors ? editors.map(formatWidget).join(", ") : "Default",
+    sidebar: editorInterface.sidebar
+      ? editorInterface.sidebar.map((item) => ({
+          widget: formatWidget(item),
+          settings: formatWidgetSettings(item.settings) || null,
+        }))
+      : null,
+    layout: layout.length > 0 ? layout : null,
+  };
+}
+
+// Data model the report templates are rendered with. Every documented key is
+// present, null when it doesn't apply. See "Custom Templates" in the README
+// for the full list.
+export function buildTemplateData(
+  contentTypes,
+  {
+    spaceId,
+    environmentId,
+    summary = null,
+    completeness = null,
+    mermaid = null,
+    usage = null,
+    scorecard = null,
+    editorInterfaces = null,
+    locales = null,
+    filter = null,
+  }
+) {
+  const editorInterfacesById = editorInterfaces
+    ? indexEditorInterfaces(editorInterfaces)
+    : null;
+  const described =
+    locales && locales.length > 0 ? describeLocales(locales) : null;
+
+  return {
+    generated: new Date().toLocaleDateString(),
+    spaceId,
+    environmentId,
+    filter,
+    totalContentTypes: contentTypes.length,
+    summary,
+    completeness,
+    mermaid: mermaid || null,
+    locales: described
+      ? described.map((locale) => ({
+          code: locale.code,
+          name: locale.name,
+          default: locale.default,
+          optional: locale.optional,
+          // Empty for locales without a fallback
+          fallbackChain:
+            locale.fallbackChain.length > 1 ? locale.fallbackChain : [],
+        }))
+      : null,
+    localization: described
+      ? computeLocalizationMatrix(contentTypes, locales).map((row) => ({
+          name: row.name,
+          localizedFields: row.localizedFields,
+          counts: described.map((locale) => row.locales[locale.code]),
+        }))
+      : null,
+    usage: usage
+      ? {
+          totalEntries: usage.totalEntries,
+          unusedContentTypes: usage.unusedContentTypes,
+          emptyFields: usage.emptyFields,
+        }
+      : null,
+    scorecard: scorecard && {
+      ...scorecard,
+      contentTypes: scorecard.contentTypes.map((contentType) => ({
+        ...contentType,
+        validationCoverage:
+          contentType.validationCoverage === null
+            ? "n/a"
+            : `${contentType.validationCoverage}%`,
+      })),
+      flagged: scorecard.contentTypes.filter(
+        (contentType) => contentType.issues.length > 0
+      ),
+      // "contentTypeId.fieldId" of every field accepting any content type
+      unrestrictedFields: scorecard.contentTypes.flatMap((contentType) =>
+        contentType.unrestrictedFields.map(
+          (field) => `${contentType.id}.${field}`
+        )
+      ),
+    },
+    contentTypes: contentTypes.map((contentType) => {
+      const annotations = getAnnotations(contentType);
+      const taxonomy = getTaxonomy(contentType);
+      const typeUsage = usage?.byContentType[contentType.sys.id] || null;
+      const editorInterface =
+        editorInterfacesById?.get(contentType.sys.id) || null;
+
+      return {
+        id: contentType.sys.id,
+        name: contentType.name,
+        description: contentType.description || null,
+        displayField: contentType.displayField || null,
+        fieldCount: contentType.fields?.length || 0,
+        createdAt: formatDate(contentType.sys.createdAt),
+        updatedAt: formatDate(contentType.sys.updatedAt),
+        tags: getContentTypeTags(contentType),
+        annotations: annotations.contentType,
+        taxonomy: taxonomy.length > 0 ? formatTaxonomy(taxonomy) : null,
+        usage: typeUsage && {
+          entries: typeUsage.entries,
+          published: typeUsage.published,
+          draft: typeUsage.draft,
+          changed: typeUsage.changed,
+          archived: typeUsage.archived,
+          lastUpdated: typeUsage.lastUpdatedAt
+            ? formatDate(typeUsage.lastUpdatedAt)
+            : "Never",
+        },
+        editorInterface: editorInterface
+          ? describeEditorInterface(editorInterface)
+          : null,
+        fields: (contentType.fields || []).map((field) =>
+          describeFieldForTemplate(field, {
+            annotations,
+            typeUsage,
+            editorInterface,
+            locales,
+          })
+        ),
+      };
+    }),
+  };
+}
+
+// Render a report template (the source text) for a set of content types.
+// Takes the context of the other formats.
+export function generateTemplateReport(template, contentTypes, context) {
+  return compileTemplate(template)(buildTemplateData(contentTypes, context));
+}
+
+// Generate Markdown format report
+export function generateMarkdownReport(contentTypes, context) {
+  if (!defaultTemplate) {
+    defaultTemplate = compileTemplate(
+      fs.readFileSync(DEFAULT_TEMPLATE_PATH, "utf8")
+    );
+  }
+  // The template ends every field with a blank line; keep a single newline
+  return defaultTemplate(buildTemplateData(contentTypes, context)).replace(
+    /\n+$/,
+    "\n"
+  );
+}
@@ -0,0 +1,432 @@
+// Rich text nodes that link or embed content, in report order
+const RICH_TEXT_NODE_LABELS = {
+  "embedded-entry-block": "Embedded entries",
+  "embedded-entry-inline": "Inline entries",
+  "entry-hyperlink": "Entry links",
+  "embedded-asset-block": "Embedded assets",
+  "asset-hyperlink": "Asset links",
+  "embedded-resource-block": "Embedded resources",
+  "embedded-resource-inline": "Inline resources",
+  "resource-hyperlink": "Resource links",
+  hyperlink: "External links",
+};
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+// "1-3", "at least 1" or "at most 3"
+function describeCount({ min, max }) {
+  if (min !== undefined && max !== undefined) return `${min}-${max}`;
+  if (min !== undefined) return `at least ${min}`;
+  return `at most ${max}`;
+}
+
+// Node settings are a list of validations in the API and a single object in
+// older dumps. Resource nodes use { validations, allowedResources }.
+export function normalizeNodeSettings(settings) {
+  if (Array.isArray(settings)) {
+    return { validations: settings, allowedResources: null };
+  }
+  if (
+    settings &&
+    (Array.isArray(settings.validations) ||
+      Array.isArray(settings.allowedResources))
+  ) {
+    return {
+      validations: settings.validations || [],
+      allowedResources: settings.allowedResources || null,
+    };
+  }
+  return { validations: settings ? [settings] : [], allowedResources: null };
+}
+
+// Sources of a ResourceLink: Contentful entries of other spaces
+// ("crn:contentful:::content:spaces/<id>") or external resource types
+export function formatAllowedResources(allowedResources) {
+  return (allowedResources || []).map((resource) => {
+    if (resource.type !== "Contentful:Entry") return resource.type;
+    const spaceId = resource.source?.match(/spaces\/([^/]+)/)?.[1];
+    const contentTypes =
+      resource.contentTypes?.length > 0
+        ? ` [${resource.contentTypes.join(", ")}]`
+        : "";
+    return `entries${contentTypes} of space ${spaceId || resource.source}`;
+  });
+}
+
+// One rule per node type in a rich text `nodes` validation, e.g.
+// "Embedded entries: [author], at most 3 per document"
+export function formatRichTextNodes(nodes) {
+  const nodeTypes = [
+    ...Object.keys(RICH_TEXT_NODE_LABELS).filter((type) => nodes[type]),
+    ...Object.keys(nodes).filter((type) => !RICH_TEXT_NODE_LABELS[type]),
+  ];
+
+  return nodeTypes.map((nodeType) => {
+    const { validations, allowedResources } = normalizeNodeSettings(
+      nodes[nodeType]
+    );
+    const parts = [];
+    validations.forEach((validation) => {
+      if (validation.linkContentType) {
+        parts.push(`[${toList(validation.linkContentType).join(", ")}]`);
+      }
+      if (validation.linkMimetypeGroup) {
+        parts.push(
+          `asset types [${toList(validation.linkMimetypeGroup).join(", ")}]`
+        );
+      }
+      if (validation.assetFileSize) {
+        parts.push(
+          `file size ${describeCount(validation.assetFileSize)} bytes`
+        );
+      }
+      if (validation.size) {
+        parts.push(`${describeCount(validation.size)} per document`);
+      }
+    });
+    if (allowedResources) {
+      parts.push(formatAllowedResources(allowedResources).join(", "));
+    }
+
+    const label = RICH_TEXT_NODE_LABELS[nodeType] || nodeType;
+    return `${label}: ${parts.length > 0 ? parts.join(", ") : "allowed"}`;
+  });
+}
+
+// Shape of field values that have no validations to describe them
+export const VALUE_FORMATS = {
+  Location: "Coordinates { lat, lon }",
+  Object: "Any JSON value",
+};
+
+// Annotation ids from the content type's metadata, for the content type and
+// for each annotated field
+export function getAnnotations(contentType) {
+  const ids = (links) =>
+    (links || []).map((link) => link.sys?.id).filter(Boolean);
+  const annotations = contentType.metadata?.annotations || {};
+  return {
+    contentType: ids(annotations.ContentType),
+    fields: Object.fromEntries(
+      Object.entries(annotations.ContentTypeField || {}).map(
+        ([fieldId, links]) => [fieldId, ids(links)]
+      )
+    ),
+  };
+}
+
+// Taxonomy concept schemes and concepts entries of the content type are
+// classified with
+export function getTaxonomy(contentType) {
+  return (contentType.metadata?.taxonomy || [])
+    .filter((item) => item.sys?.id)
+    .map((item) => ({
+      id: item.sys.id,
+      type:
+        item.sys.linkType === "TaxonomyConceptScheme" ? "scheme" : "concept",
+      required: Boolean(item.required),
+    }));
+}
+
+// "Concept scheme topics (required), Concept featured"
+export function formatTaxonomy(taxonomy) {
+  return taxonomy
+    .map(
+      (item) =>
+        `${item.type === "scheme" ? "Concept scheme" : "Concept"} ${item.id}${
+          item.required ? " (required)" : ""
+        }`
+    )
+    .join(", ");
+}
+
+// Format validation rules into readable text with comprehensive coverage.
+// `field` is the field the validations belong to; pass `field.items` for
+// array item validations.
+export function formatValidations(validations, field = null) {
+  if (!validations || validations.length === 0) return "None";
+
+  return validations
+    .map((validation, index) => {
+      const rules = [];
+
+      // Basic validations
+      if (validation.unique) rules.push("Unique");
+
+      // Size validations (for Symbol, Text, etc.). Arrays are handled below.
+      if (validation.size && field?.type !== "Array") {
+        const size = validation.size;
+        if (size.min !== undefined && size.max !== undefined) {
+          rules.push(`Length: ${size.min}-${size.max} chars`);
+        } else if (size.min !== undefined) {
+          rules.push(`Min length: ${size.min} chars`);
+        } else if (size.max !== undefined) {
+          rules.push(`Max length: ${size.max} chars`);
+        }
+      }
+
+      // Range validations (for Number, Integer, Date)
+      if (validation.range) {
+        const range = validation.range;
+        if (range.min !== undefined && range.max !== undefined) {
+          rules.push(`Range: ${range.min} to ${range.max}`);
+        } else if (range.min !== undefined) {
+          rules.push(`Min value: ${range.min}`);
+        } else if (range.max !== undefined) {
+          rules.push(`Max value: ${range.max}`);
+        }
+      }
+
+      // Predefined values (dropdown/radio options)
+      if (
+        validation.in &&
+        Array.isArray(validation.in) &&
+        validation.in.length > 0
+      ) {
+        const options = validation.in.map((opt) => `"${opt}"`).join(", ");
+        rules.push(`Options: [${options}]`);
+      }
+
+      // Reference field validations - ENHANCED
+      if (validation.linkContentType) {
+        if (Array.isArray(validation.linkContentType)) {
+          rules.push(`Links to: [${validation.linkContentType.join(", ")}]`);
+        } else {
+          rules.push(`Links to: ${validation.linkContentType}`);
+        }
+      }
+
+      // Multiple link content types (for arrays of references)
+      if (
+        validation.linkContentTypes &&
+        Array.isArray(validation.linkContentTypes)
+      ) {
+        rules.push(`Links to any: [${validation.linkContentTypes.join(", ")}]`);
+      }
+
+      // Link mimetype validation (for assets)
+      if (
+        validation.linkMimetypeGroup &&
+        Array.isArray(validation.linkMimetypeGroup)
+      ) {
+        rules.push(`Asset types: [${validation.linkMimetypeGroup.join(", ")}]`);
+      }
+
+      // Asset file size validation
+      if (validation.assetFileSize) {
+        const size = validation.assetFileSize;
+        if (size.min !== undefined && size.max !== undefined) {
+          rules.push(`Asset size: ${size.min}-${size.max} bytes`);
+        } else if (size.min !== undefined) {
+          rules.push(`Asset min size: ${size.min} bytes`);
+        } else if (size.max !== undefined) {
+          rules.push(`Asset max size: ${size.max} bytes`);
+        }
+      }
+
+      // Asset image dimensions
+      if (validation.assetImageDimensions) {
+        const dims = validation.assetImageDimensions;
+        const dimRules = [];
+        if (dims.width) {
+          if (dims.width.min !== undefined && dims.width.max !== undefined) {
+            dimRules.push(`width: ${dims.width.min}-${dims.width.max}px`);
+          } else if (dims.width.min !== undefined) {
+            dimRules.push(`min width: ${dims.width.min}px`);
+          } else if (dims.width.max !== undefined) {
+            dimRules.push(`max width: ${dims.width.max}px`);
+          }
+        }
+        if (dims.height) {
+          if (dims.height.min !== undefined && dims.height.max !== undefined) {
+            dimRules.push(`height: ${dims.height.min}-${dims.height.max}px`);
+          } else if (dims.height.min !== undefined) {
+            dimRules.push(`min height: ${dims.height.min}px`);
+          } else if (dims.height.max !== undefined) {
+            dimRules.push(`max height: ${dims.height.max}px`);
+          }
+        }
+        if (dimRules.length > 0) {
+          rules.push(`Image dimensions: ${dimRules.join(", ")}`);
+        }
+      }
+
+      // Regex pattern validation
+      if (validation.regexp) {
+        const pattern = validation.regexp.pattern || validation.regexp;
+        const flags = validation.regexp.flags || "";
+        rules.push(`Pattern: /${pattern}/${flags}`);
+      }
+
+      // Rich text validations - COMPREHENSIVE
+      if (validation.enabledNodeTypes) {
+        const nodeTypes = Array.isArray(validation.enabledNodeTypes)
+          ? validation.enabledNodeTypes
+          : [validation.enabledNodeTypes];
+        rules.push(`Rich text nodes: [${nodeTypes.join(", ")}]`);
+      }
+
+      if (validation.enabledMarks) {
+        const marks = Array.isArray(validation.enabledMarks)
+          ? validation.enabledMarks
+          : [validation.enabledMarks];
+        rules.push(`Rich text marks: [${marks.join(", ")}]`);
+      }
+
+      // Rich text node settings: what each embed and link node may target
+      if (validation.nodes) {
+        const nodeRules = formatRichTextNodes(validation.nodes);
+        if (nodeRules.length > 0) {
+          rules.push(`Rich text content: ${nodeRules.join("; ")}`);
+        }
+      }
+
+      // Date validations
+      if (validation.dateRange) {
+        const dateRange = validation.dateRange;
+        if (dateRange.min && dateRange.max) {
+          rules.push(`Date range: ${dateRange.min} to ${dateRange.max}`);
+        } else if (dateRange.min) {
+          rules.push(`Date after: ${dateRange.min}`);
+        } else if (dateRange.max) {
+          rules.push(`Date before: ${dateRange.max}`);
+        }
+      }
+
+      // Prohibited values
+      if (validation.prohibitRegexp) {
+        const pattern =
+          validation.prohibitRegexp.pattern || validation.prohibitRegexp;
+        const flags = validation.prohibitRegexp.flags || "";
+        rules.push(`Prohibited pattern: /${pattern}/${flags}`);
+      }
+
+      // Custom validation message
+      if (validation.message) {
+        rules.push(`Message: "${validation.message}"`);
+      }
+
+      // Array-specific validations
+      if (field && field.type === "Array" && field.items) {
+        // Array size limits
+        if (
+          validation.size &&
+          (validation.size.min !== undefined ||
+            validation.size.max !== undefined)
+        ) {
+          const size = validation.size;
+          if (size.min !== undefined && size.max !== undefined) {
+            rules.push(`Array size: ${size.min}-${size.max} items`);
+          } else if (size.min !== undefined) {
+            rules.push(`Min items: ${size.min}`);
+          } else if (size.max !== undefined) {
+            rules.push(`Max items: ${size.max}`);
+          }
+        }
+      }
+
+      // If no specific rules were found, check for any other properties
+      if (rules.length === 0) {
+        const otherKeys = Object.keys(validation).filter(
+          (key) => !["message"].includes(key)
+        );
+        if (otherKeys.length > 0) {
+          rules.push(`Other: ${JSON.stringify(validation)}`);
+        }
+      }
+
+      return rules.length > 0 ? rules.join("; ") : "Unknown validation";
+    })
+    .join(" | ");
+}
+
+// "Resource link to [article, Shopify:Product]"
+function describeResourceLink(allowedResources) {
+  const targets = (allowedResources || []).flatMap((resource) =>
+    resource.type === "Contentful:Entry" && resource.contentTypes?.length > 0
+      ? resource.contentTypes
+      : [resource.type]
+  );
+  return targets.length > 0
+    ? `Resource link to [${targets.join(", ")}]`
+    : "Resource link";
+}
+
+// Enhanced function to get field type with better array and reference handling
+export function getFieldTypeDescription(field) {
+  let baseType = field.type;
+
+  if (field.type === "Array" && field.items) {
+    const itemType = field.items.type;
+
+    if (itemType === "ResourceLink") {
+      return `Array<${describeResourceLink(field.items.allowedResources)}>`;
+    } else if (itemType === "Link") {
+      // Check if it's a reference to entries or assets
+      if (field.items.linkType === "Entry") {
+        // Get the allowed content types from validations
+        const linkValidations = field.items.validations || [];
+        const contentTypes = [];
+
+        linkValidations.forEach((validation) => {
+          if (validation.linkContentType) {
+            if (Array.isArray(validation.linkContentType)) {
+              contentTypes.push(...validation.linkContentType);
+            } else {
+              contentTypes.push(validation.linkContentType);
+            }
+          }
+        });
+
+        if (contentTypes.length > 0) {
+          return `Array<Reference to [${contentTypes.join(", ")}]>`;
+        } else {
+          return "Array<Reference to Entry>";
+        }
+      } else if (field.items.linkType === "Asset") {
+        return "Array<Reference to Asset>";
+      } else {
+        return `Array<Link to ${field.items.linkType}>`;
+      }
+    } else {
+      return `Array<${itemType}>`;
+    }
+  } else if (field.type === "ResourceLink") {
+    return describeResourceLink(field.allowedResources);
+  } else if (field.type === "Link") {
+    if (field.linkType === "Entry") {
+      // Get the allowed content types from validations
+      const linkValidations = field.validations || [];
+      const contentTypes = [];
+
+      linkValidations.forEach((validation) => {
+        if (validation.linkContentType) {
+          if (Array.isArray(validation.linkContentType)) {
+            contentTypes.push(...validation.linkContentType);
+          } else {
+            contentTypes.push(validation.linkContentType);
+          }
+        }
+      });
+
+      if (contentTypes.length > 0) {
+        return `Reference to [${contentTypes.join(", ")}]`;
+      } else {
+        return "Reference to Entry";
+      }
+    } else if (field.linkType === "Asset") {
+      return "Reference to Asset";
+    } else {
+      return `Link to ${field.linkType}`;
+    }
+  }
+
+  return baseType;
+}
+
+// The validation kind is its main key, e.g. "size" for { size: {...}, message }
+export function getValidationKind(validation) {
+  return Object.keys(validation).find((key) => key !== "message") || "message";
+}
@@ -0,0 +1,218 @@
+import { normalizeNodeSettings } from "./formatters.js";
+
+// Pseudo node for reference fields that accept entries of any content type
+export const ANY_ENTRY = "*";
+
+// Rich text nodes that link entries, with their edge kind
+export const RICH_TEXT_ENTRY_NODES = {
+  "embedded-entry-block": "embedded",
+  "embedded-entry-inline": "embedded",
+  "entry-hyperlink": "hyperlink",
+};
+
+// Content type ids allowed by linkContentType validations
+export function collectLinkContentTypes(validations) {
+  const contentTypes = [];
+  (validations || []).forEach((validation) => {
+    if (validation.linkContentType) {
+      if (Array.isArray(validation.linkContentType)) {
+        contentTypes.push(...validation.linkContentType);
+      } else {
+        contentTypes.push(validation.linkContentType);
+      }
+    }
+  });
+  return contentTypes;
+}
+
+// Build the reference graph between content types. Every edge carries the
+// field it comes from, its cardinality ("one" for Link, "many" for
+// Array<Link>) and its kind ("reference", or "embedded"/"hyperlink" for
+// rich text). Rich text links to any entry through every entry node it
+// allows without a content type restriction.
+export function buildReferenceGraph(contentTypes) {
+  const nodes = contentTypes.map((ct) => ({ id: ct.sys.id, name: ct.name }));
+  const edges = [];
+
+  const addEdges = (from, field, targets, cardinality, kind) => {
+    const unique = [...new Set(targets)];
+    (unique.length > 0 ? unique : [ANY_ENTRY]).forEach((to) => {
+      edges.push({ from, to, field: field.id, cardinality, kind });
+    });
+  };
+
+  contentTypes.forEach((contentType) => {
+    const from = contentType.sys.id;
+
+    contentType.fields?.forEach((field) => {
+      if (field.type === "Link" && field.linkType === "Entry") {
+        addEdges(
+          from,
+          field,
+          collectLinkContentTypes(field.validations),
+          "one",
+          "reference"
+        );
+      } else if (
+        field.type === "Array" &&
+        field.items?.type === "Link" &&
+        field.items.linkType === "Entry"
+      ) {
+        addEdges(
+          from,
+          field,
+          collectLinkContentTypes(field.items.validations),
+          "many",
+          "reference"
+        );
+      } else if (field.type === "RichText") {
+        const validations = field.validations || [];
+        const enabled = validations.find(
+          (validation) => validation.enabledNodeTypes
+        )?.enabledNodeTypes;
+        const nodes =
+          validations.find((validation) => validation.nodes)?.nodes || {};
+
+        Object.entries(RICH_TEXT_ENTRY_NODES).forEach(([nodeType, kind]) => {
+          if (enabled && !enabled.includes(nodeType)) return;
+          addEdges(
+            from,
+            field,
+            collectLinkContentTypes(
+              normalizeNodeSettings(nodes[nodeType]).validations
+            ),
+            "many",
+            kind
+          );
+        });
+      }
+    });
+  });
+
+  // Merge duplicate edges (e.g. block and inline embeds of the same type)
+  const seen = new Set();
+  const uniqueEdges = edges.filter((edge) => {
+    const key = `${edge.from}|${edge.to}|${edge.field}|${edge.kind}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return { nodes, edges: uniqueEdges };
+}
+
+function edgeLabel(edge) {
+  if (edge.kind !== "reference") return `${edge.field} (${edge.kind})`;
+  return `${edge.field} (${edge.cardinality === "many" ? "many" : "1"})`;
+}
+
+// Mermaid ids only allow a limited character set
+function mermaidId(id) {
+  return id === ANY_ENTRY ? "anyEntry" : id.replace(/[^A-Za-z0-9_]/g, "_");
+}
+
+function hasAnyEntryEdges(graph) {
+  return graph.edges.some((edge) => edge.to === ANY_ENTRY);
+}
+
+function toMermaidFlowchart(graph) {
+  const lines = ["flowchart LR"];
+
+  graph.nodes.forEach((node) => {
+    lines.push(`  ${mermaidId(node.id)}["${node.name.replace(/"/g, "'")}"]`);
+  });
+  if (hasAnyEntryEdges(graph)) {
+    lines.push(`  ${mermaidId(ANY_ENTRY)}(("Any entry"))`);
+  }
+
+  graph.edges.forEach((edge) => {
+    // Thick arrows for arrays, dotted arrows for rich text
+    const arrow =
+      edge.kind !== "reference"
+        ? "-.->"
+        : edge.cardinality === "many"
+        ? "==>"
+        : "-->";
+    lines.push(
+      `  ${mermaidId(edge.from)} ${arrow}|"${edgeLabel(edge)}"| ${mermaidId(
+        edge.to
+      )}`
+    );
+  });
+
+  return lines.join("\n");
+}
+
+function toMermaidErDiagram(graph) {
+  const lines = ["erDiagram"];
+
+  // Entities without relationships still need to be declared
+  graph.nodes.forEach((node) => {
+    lines.push(`  ${mermaidId(node.id)} {`);
+    lines.push(`    string id "${node.id}"`);
+    lines.push("  }");
+  });
+
+  graph.edges.forEach((edge) => {
+    const cardinality = edge.cardinality === "many" ? "o{" : "o|";
+    const line = edge.kind === "reference" ? "--" : "..";
+    lines.push(
+      `  ${mermaidId(edge.from)} ||${line}${cardinality} ${mermaidId(
+        edge.to
+      )} : "${edgeLabel(edge)}"`
+    );
+  });
+
+  return lines.join("\n");
+}
+
+// Render the graph as a Mermaid diagram ("flowchart" or "er")
+export function toMermaid(graph, style = "flowchart") {
+  return style === "er" ? toMermaidErDiagram(graph) : toMermaidFlowchart(graph);
+}
+
+function dotString(value) {
+  return `"${String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")}"`;
+}
+
+// Render the graph as a standalone Graphviz DOT file
+export function toDot(graph) {
+  const lines = [
+    "digraph ContentModel {",
+    "  rankdir=LR;",
+    '  node [shape=box, style=rounded, fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];',
+  ];
+
+  graph.nodes.forEach((node) => {
+    lines.push(
+      `  ${dotString(node.id)} [label=${dotString(
+        `${node.name}\n(${node.id})`
+      )}];`
+    );
+  });
+  if (hasAnyEntryEdges(graph)) {
+    lines.push(
+      `  ${dotString(
+        ANY_ENTRY
+      )} [label="Any entry", shape=ellipse, style=dashed];`
+    );
+  }
+
+  graph.edges.forEach((edge) => {
+    const attributes = [`label=${dotString(edgeLabel(edge))}`];
+    if (edge.cardinality === "many") attributes.push("arrowhead=crow");
+    if (edge.kind !== "reference") attributes.push("style=dashed");
+    lines.push(
+      `  ${dotString(edge.from)} -> ${dotString(edge.to)} [${attributes.join(
+        ", "
+      )}];`
+    );
+  });
+
+  lines.push("}");
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,366 @@
+import { walkRichText } from "./audit.js";
+import { collectLinkContentTypes, RICH_TEXT_ENTRY_NODES } from "./graph.js";
+import { normalizeNodeSettings } from "./formatters.js";
+import { indexEditorInterfaces } from "./editor-interfaces.js";
+
+const KIND_LABELS = {
+  reference: "Reference",
+  embedded: "Rich text embed",
+  hyperlink: "Rich text link",
+};
+
+// Content types allowed by linkContentType validations and the older
+// linkContentTypes form the formatter also reads
+function allowedContentTypes(validations) {
+  return [
+    ...collectLinkContentTypes(validations),
+    ...(validations || []).flatMap(
+      (validation) => validation.linkContentTypes || []
+    ),
+  ];
+}
+
+// "blogPost" or "blogPost.title"
+export function parseImpactTarget(value) {
+  const [contentTypeId, fieldId, ...rest] = String(value || "").split(".");
+  if (!contentTypeId || rest.length > 0 || fieldId === "") {
+    throw new Error(
+      `Invalid target: ${value}. Use <content type id> or <content type id>.<field id>`
+    );
+  }
+  return { contentTypeId, fieldId: fieldId || null };
+}
+
+// Every way a field can link to entries, with the content types it accepts,
+// or null when it accepts any. Rich text allows every node type unless an
+// enabledNodeTypes validation says otherwise.
+export function getEntryLinks(field) {
+  const restrict = (contentTypes) =>
+    contentTypes.length > 0 ? [...new Set(contentTypes)] : null;
+
+  if (field.type === "Link" && field.linkType === "Entry") {
+    return [
+      {
+        kind: "reference",
+        cardinality: "one",
+        contentTypes: restrict(allowedContentTypes(field.validations)),
+      },
+    ];
+  }
+
+  if (
+    field.type === "Array" &&
+    field.items?.type === "Link" &&
+    field.items.linkType === "Entry"
+  ) {
+    return [
+      {
+        kind: "reference",
+        cardinality: "many",
+        contentTypes: restrict(allowedContentTypes(field.items.validations)),
+      },
+    ];
+  }
+
+  if (field.type === "RichText") {
+    const validations = field.validations || [];
+    const enabled = validations.find(
+      (validation) => validation.enabledNodeTypes
+    )?.enabledNodeTypes;
+    const nodes =
+      validations.find((validation) => validation.nodes)?.nodes || {};
+
+    return Object.entries(RICH_TEXT_ENTRY_NODES)
+      .filter(([nodeType]) => !enabled || enabled.includes(nodeType))
+      .map(([nodeType, kind]) => ({
+        kind,
+        cardinality: "many",
+        contentTypes: nodes[nodeType]
+          ? restrict(
+              allowedContentTypes(
+                normalizeNodeSettings(nodes[nodeType]).validations
+              )
+            )
+          : null,
+      }));
+  }
+
+  return [];
+}
+
+// Fields that can link to or embed entries of a content type. Fields that
+// accept any content type are listed with `restricted: false`.
+export function findInboundReferences(contentTypes, contentTypeId) {
+  const references = [];
+  const seen = new Set();
+
+  contentTypes.forEach((contentType) => {
+    (contentType.fields || []).forEach((field) => {
+      getEntryLinks(field).forEach((link) => {
+        const restricted = link.contentTypes !== null;
+        if (restricted && !link.contentTypes.includes(contentTypeId)) return;
+
+        // Block and inline embeds of the same field count once
+        const key = `${contentType.sys.id}.${field.id}.${link.kind}.${restricted}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        references.push({
+          contentType: contentType.sys.id,
+          contentTypeName: contentType.name,
+          field: field.id,
+          fieldName: field.name,
+          kind: link.kind,
+          cardinality: link.cardinality,
+          restricted,
+          disabled: Boolean(field.disabled || field.omitted),
+        });
+      });
+    });
+  });
+
+  return references;
+}
+
+// Settings of the content type that name the field: its display field and
+// widgets that read it, like a slug editor tracking a title
+function findFieldDependents(contentType, fieldId, editorInterface) {
+  const dependents = [];
+
+  if (contentType.displayField === fieldId) {
+    dependents.push(
+      "Display field of the content type: entry titles in the web app and in reference pickers show its value"
+    );
+  }
+
+  (editorInterface?.controls || []).forEach((control) => {
+    if (control.settings?.trackingFieldId === fieldId) {
+      dependents.push(
+        `\`${control.fieldId}\` (${control.widgetId}) generates its value from this field`
+      );
+    }
+  });
+
+  return dependents;
+}
+
+// Ids of the entries a field value links to: links, arrays of links and
+// rich text documents
+function collectLinkedEntryIds(value, ids) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectLinkedEntryIds(item, ids));
+  } else if (value?.sys?.type === "Link" && value.sys.linkType === "Entry") {
+    ids.add(value.sys.id);
+  } else if (value?.nodeType === "document") {
+    walkRichText(value, (node) => {
+      const target = node.data?.target?.sys;
+      if (target?.type === "Link" && target.linkType === "Entry") {
+        ids.add(target.id);
+      }
+    });
+  }
+  return ids;
+}
+
+function hasValue(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === "string") return value.trim() !== "";
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+// Count the entries that link to an entry of the content type, per field.
+// For a field target, also count the entries that have a value for it.
+function countEntries(entries, contentTypeId, fieldId) {
+  const contentTypeOf = (entry) => entry.sys.contentType?.sys?.id;
+  const targets = entries.filter(
+    (entry) => contentTypeOf(entry) === contentTypeId
+  );
+  const targetIds = new Set(targets.map((entry) => entry.sys.id));
+
+  const byField = {};
+  const linking = new Set();
+  entries.forEach((entry) => {
+    Object.entries(entry.fields || {}).forEach(([id, byLocale]) => {
+      const ids = new Set();
+      Object.values(byLocale || {}).forEach((value) =>
+        collectLinkedEntryIds(value, ids)
+      );
+      if (![...ids].some((linkedId) => targetIds.has(linkedId))) return;
+
+      const key = `${contentTypeOf(entry)}.${id}`;
+      byField[key] = (byField[key] || 0) + 1;
+      linking.add(entry.sys.id);
+    });
+  });
+
+  return {
+    targetEntries: targets.length,
+    linkingEntries: linking.size,
+    byField,
+    filledEntries: fieldId
+      ? targets.filter((entry) =>
+          Object.values(entry.fields?.[fieldId] || {}).some(hasValue)
+        ).length
+      : null,
+  };
+}
+
+// What depends on a content type, or on one of its fields: the fields that
+// can link to or embed its entries, and for a field, the settings that name
+// it. With `entries`, also count the entries that link to it.
+export function analyzeImpact(
+  contentTypes,
+  { contentTypeId, fieldId = null },
+  { editorInterfaces = null, entries = null } = {}
+) {
+  const contentType = contentTypes.find((ct) => ct.sys.id === contentTypeId);
+  if (!contentType) {
+    throw new Error(`Unknown content type: ${contentTypeId}`);
+  }
+  const field = fieldId
+    ? (contentType.fields || []).find((f) => f.id === fieldId)
+    : null;
+  if (fieldId && !field) {
+    throw new Error(`Unknown field: ${contentTypeId}.${fieldId}`);
+  }
+
+  const references = findInboundReferences(contentTypes, contentTypeId);
+  const counts = entries ? countEntries(entries, contentTypeId, fieldId) : null;
+  if (counts) {
+    references.forEach((reference) => {
+      reference.entries =
+        counts.byField[`${reference.contentType}.${reference.field}`] || 0;
+    });
+  }
+
+  return {
+    contentType: contentTypeId,
+    contentTypeName: contentType.name,
+    field: fieldId,
+    fieldName: field?.name || null,
+    references: references.filter((reference) => reference.restricted),
+    unrestricted: references.filter((reference) => !reference.restricted),
+    fieldDependents: field
+      ? findFieldDependents(
+          contentType,
+          fieldId,
+          editorInterfaces
+            ? indexEditorInterfaces(editorInterfaces).get(contentTypeId)
+            : null
+        )
+      : [],
+    entries: counts && {
+      targetEntries: counts.targetEntries,
+      linkingEntries: counts.linkingEntries,
+      filledEntries: counts.filledEntries,
+    },
+  };
+}
+
+function referenceTable(references, withEntries) {
+  const lines = [];
+  lines.push(
+    `| Content Type | Field | Kind | Cardinality |${
+      withEntries ? " Linking Entries |" : ""
+    }`
+  );
+  lines.push(`| --- | --- | --- | --- |${withEntries ? " --- |" : ""}`);
+  references.forEach((reference) => {
+    const disabled = reference.disabled ? " (disabled)" : "";
+    lines.push(
+      `| ${reference.contentTypeName} (\`${reference.contentType}\`) | ${
+        reference.fieldName
+      } (\`${reference.field}\`)${disabled} | ${
+        KIND_LABELS[reference.kind]
+      } | ${reference.cardinality === "many" ? "Many" : "One"} |${
+        withEntries ? ` ${reference.entries} |` : ""
+      }`
+    );
+  });
+  return lines;
+}
+
+// Generate Markdown impact report
+export function generateImpactReport(impact, { spaceId, environmentId }) {
+  const lines = [];
+  const target = impact.field
+    ? `${impact.contentTypeName}.${impact.fieldName} (\`${impact.contentType}.${impact.field}\`)`
+    : `${impact.contentTypeName} (\`${impact.contentType}\`)`;
+  const withEntries = Boolean(impact.entries);
+
+  lines.push(
+    `# Contentful Impact Analysis: ${target}\n\n**Generated:** ${new Date().toLocaleDateString()}  \n**Space ID:** ${spaceId}  \n**Environment:** ${environmentId}\n`
+  );
+
+  lines.push("## Summary");
+  lines.push("");
+  lines.push(
+    `- **Fields Linking to ${impact.contentTypeName}:** ${impact.references.length}`
+  );
+  lines.push(
+    `- **Unrestricted Fields (may link to any content type):** ${impact.unrestricted.length}`
+  );
+  if (impact.field) {
+    lines.push(
+      `- **Settings Using the Field:** ${impact.fieldDependents.length}`
+    );
+  }
+  if (withEntries) {
+    lines.push(
+      `- **${impact.contentTypeName} Entries:** ${impact.entries.targetEntries}`
+    );
+    lines.push(
+      `- **Entries Linking to Them:** ${impact.entries.linkingEntries}`
+    );
+    if (impact.field) {
+      lines.push(
+        `- **Entries with a Value for \`${impact.field}\`:** ${impact.entries.filledEntries}`
+      );
+    }
+  }
+  lines.push("");
+
+  if (impact.field) {
+    lines.push("## Field Dependencies");
+    lines.push("");
+    if (impact.fieldDependents.length === 0) {
+      lines.push("No settings of the content type use this field.");
+    } else {
+      impact.fieldDependents.forEach((dependent) =>
+        lines.push(`- ${dependent}`)
+      );
+    }
+    lines.push("");
+  }
+
+  lines.push(`## References to ${impact.contentTypeName}`);
+  lines.push("");
+  if (impact.references.length === 0) {
+    lines.push(`No field is restricted to ${impact.contentTypeName} entries.`);
+  } else {
+    lines.push(
+      impact.field
+        ? `These fields link to ${impact.contentTypeName} entries, so anything that reads \`${impact.field}\` through them is affected.`
+        : `These fields only accept the listed content types, ${impact.contentTypeName} among them.`
+    );
+    lines.push("");
+    lines.push(...referenceTable(impact.references, withEntries));
+  }
+  lines.push("");
+
+  lines.push("## Unrestricted References");
+  lines.push("");
+  if (impact.unrestricted.length === 0) {
+    lines.push("None.");
+  } else {
+    lines.push(
+      `These fields accept entries of any content type, so they may link to ${impact.contentTypeName} entries too.`
+    );
+    lines.push("");
+    lines.push(...referenceTable(impact.unrestricted, withEntries));
+  }
+  lines.push("");
+
+  return lines.join("\n");
+}
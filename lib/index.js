@@ -0,0 +1,78 @@
+// Library entry point. The CLI is built on these functions:
+//
+//   import { fetchContentModel, buildReport } from "content-type-validation-report";
+//
+//   const model = await fetchContentModel({ spaceId, accessToken });
+//   const { content, summary } = buildReport(model, { format: "json" });
+
+import { fetchContentTypes, loadContentTypesFromFile } from "./sources.js";
+
+export { buildReport, checkReportOptions, REPORT_FORMATS } from "./report.js";
+export { describeField } from "./formats/json.js";
+export {
+  buildTemplateData,
+  DEFAULT_TEMPLATE_PATH,
+} from "./formats/markdown.js";
+export { compileTemplate, renderTemplate } from "./template.js";
+export { analyzeCompleteness } from "./completeness.js";
+export { computeScorecard, SCORECARD_THRESHOLDS } from "./scorecard.js";
+export {
+  exportModel,
+  formatModelPlan,
+  loadModelDirectory,
+  planModelChanges,
+} from "./model-files.js";
+
+// Load a content model from the Contentful Management API, or from an export
+// file with `input`. Locales and editor interfaces are loaded by default;
+// `entries` also loads the entries (and the locales with them).
+// `baseUrl`, `concurrency`, `onProgress` and `onRetry` tune the API client.
+// Returns { contentTypes, entries, assets, locales, editorInterfaces,
+// spaceId, environmentId }, with null for whatever wasn't loaded.
+export async function fetchContentModel({
+  spaceId,
+  environmentId,
+  accessToken,
+  input = null,
+  entries = false,
+  locales = true,
+  editorInterfaces = true,
+  baseUrl,
+  concurrency,
+  onProgress,
+  onRetry,
+} = {}) {
+  if (input) {
+    const model = await loadContentTypesFromFile(input);
+    if (entries && !model.entries) {
+      throw new Error(
+        `${input} has no entries. Export the space without --skip-content to include them.`
+      );
+    }
+    // Explicit ids win, otherwise use the ids recorded in the export
+    return {
+      ...model,
+      spaceId: spaceId || model.spaceId || "unknown",
+      environmentId: environmentId || model.environmentId || "master",
+    };
+  }
+
+  if (!spaceId || !accessToken) {
+    throw new Error(
+      "fetchContentModel needs a spaceId and an accessToken, or an input file"
+    );
+  }
+
+  return fetchContentTypes(
+    {
+      spaceId,
+      environmentId: environmentId || "master",
+      accessToken,
+      baseUrl,
+      concurrency,
+      onProgress,
+      onRetry,
+    },
+    { entries, locales, editorInterfaces }
+  );
+}
@@ -0,0 +1,231 @@
+import { getValidationKind } from "./formatters.js";
+
+const SCHEMA_DRAFT = "https://json-schema.org/draft/2020-12/schema";
+
+// Validations that depend on other entries, linked entities or asset
+// metadata can't be checked from the field value alone
+export const UNCHECKABLE_VALIDATIONS = {
+  unique: "uniqueness is checked across entries by Contentful",
+  linkContentType: "linked entries are not resolved during validation",
+  linkMimetypeGroup: "asset metadata is not available during validation",
+  assetFileSize: "asset metadata is not available during validation",
+  assetImageDimensions: "asset metadata is not available during validation",
+  enabledNodeTypes: "rich text node restrictions are not translated",
+  enabledMarks: "rich text mark restrictions are not translated",
+  nodes: "rich text node restrictions are not translated",
+};
+
+const LOCATION_SCHEMA = {
+  type: "object",
+  properties: { lat: { type: "number" }, lon: { type: "number" } },
+  required: ["lat", "lon"],
+  additionalProperties: false,
+};
+
+const RICH_TEXT_SCHEMA = {
+  type: "object",
+  properties: {
+    nodeType: { const: "document" },
+    data: { type: "object" },
+    content: { type: "array" },
+  },
+  required: ["nodeType", "content"],
+};
+
+function linkSchema(linkType) {
+  return {
+    type: "object",
+    properties: {
+      sys: {
+        type: "object",
+        properties: {
+          type: { const: "Link" },
+          linkType: { const: linkType },
+          id: { type: "string" },
+        },
+        required: ["type", "linkType", "id"],
+      },
+    },
+    required: ["sys"],
+  };
+}
+
+function baseSchema(type, linkType) {
+  switch (type) {
+    case "Symbol":
+    case "Text":
+      return { type: "string" };
+    case "Integer":
+      return { type: "integer" };
+    case "Number":
+      return { type: "number" };
+    case "Boolean":
+      return { type: "boolean" };
+    case "Date":
+      // Contentful accepts dates with or without a time part
+      return { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}" };
+    case "Location":
+      return { ...LOCATION_SCHEMA };
+    case "Object":
+      return { type: ["object", "array"] };
+    case "RichText":
+      return { ...RICH_TEXT_SCHEMA };
+    case "Link":
+      return linkSchema(linkType);
+    default:
+      return {};
+  }
+}
+
+// Apply one Contentful validation to a schema. `isArray` selects the item
+// count keywords for size. Returns a reason string when the validation
+// can't be expressed.
+function applyValidation(schema, validation, { type, isArray }) {
+  const kind = getValidationKind(validation);
+  const value = validation[kind];
+
+  if (UNCHECKABLE_VALIDATIONS[kind]) return UNCHECKABLE_VALIDATIONS[kind];
+
+  switch (kind) {
+    case "message":
+      return null;
+    case "size": {
+      const [minKey, maxKey] = isArray
+        ? ["minItems", "maxItems"]
+        : ["minLength", "maxLength"];
+      if (value.min !== undefined) schema[minKey] = value.min;
+      if (value.max !== undefined) schema[maxKey] = value.max;
+      return null;
+    }
+    case "range":
+      if (value.min !== undefined) schema.minimum = value.min;
+      if (value.max !== undefined) schema.maximum = value.max;
+      return null;
+    case "in":
+      schema.enum =
+        type === "Integer" || type === "Number"
+          ? value.map(Number)
+          : value.map(String);
+      return null;
+    case "regexp":
+    case "prohibitRegexp": {
+      const pattern = value.pattern ?? value;
+      if (value.flags) {
+        return `regular expression flags "${value.flags}" are not supported by JSON Schema`;
+      }
+      if (kind === "regexp") {
+        schema.pattern = pattern;
+      } else {
+        schema.not = { pattern };
+      }
+      return null;
+    }
+    case "dateRange":
+      return "JSON Schema can't compare dates";
+    default:
+      return `unknown validation kind "${kind}"`;
+  }
+}
+
+function applyValidations(schema, validations, options, warn) {
+  (validations || []).forEach((validation) => {
+    const reason = applyValidation(schema, validation, options);
+    if (reason) warn(getValidationKind(validation), reason);
+  });
+  const messages = (validations || [])
+    .map((validation) => validation.message)
+    .filter(Boolean);
+  if (messages.length > 0) schema.description = messages.join(" ");
+}
+
+function fieldSchema(field, warn) {
+  if (field.type === "Array" && field.items) {
+    const items = baseSchema(field.items.type, field.items.linkType);
+    applyValidations(
+      items,
+      field.items.validations,
+      { type: field.items.type, isArray: false },
+      (kind, reason) => warn(`items.${kind}`, reason)
+    );
+    const schema = { type: "array", items };
+    applyValidations(
+      schema,
+      field.validations,
+      { type: field.type, isArray: true },
+      warn
+    );
+    return schema;
+  }
+
+  const schema = baseSchema(field.type, field.linkType);
+  applyValidations(
+    schema,
+    field.validations,
+    { type: field.type, isArray: false },
+    warn
+  );
+  return schema;
+}
+
+// Build a JSON Schema (draft 2020-12) per content type describing the field
+// values of one locale, e.g. { title: "Hello", author: { sys: {...} } }.
+// Validations that can't be expressed are returned as warnings.
+export function generateJsonSchemas(contentTypes) {
+  const schemas = {};
+  const warnings = [];
+
+  contentTypes.forEach((contentType) => {
+    const properties = {};
+    const required = [];
+
+    contentType.fields.forEach((field) => {
+      const warn = (validation, reason) =>
+        warnings.push({
+          contentType: contentType.sys.id,
+          field: field.id,
+          validation,
+          reason,
+        });
+
+      properties[field.id] = {
+        title: field.name,
+        ...fieldSchema(field, warn),
+      };
+      if (field.required) required.push(field.id);
+    });
+
+    schemas[contentType.sys.id] = {
+      $schema: SCHEMA_DRAFT,
+      $id: `contentful:${contentType.sys.id}`,
+      title: contentType.name,
+      ...(contentType.description
+        ? { description: contentType.description }
+        : {}),
+      type: "object",
+      properties,
+      required,
+      additionalProperties: false,
+    };
+  });
+
+  return { schemas, warnings };
+}
+
+// Markdown section listing the validations an exporter had to skip
+export function formatSchemaWarnings(warnings, title) {
+  const lines = [`## ${title}`, ""];
+  if (warnings.length === 0) {
+    lines.push("All validations were translated.");
+  } else {
+    lines.push(
+      "These validations could not be expressed and are not enforced:",
+      ""
+    );
+    warnings.forEach((warning) => {
+      lines.push(
+        `- \`${warning.contentType}.${warning.field}\` \`${warning.validation}\`: ${warning.reason}`
+      );
+    });
+  }
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,223 @@
+import fs from "fs/promises";
+import { ANY_ENTRY, buildReferenceGraph } from "./graph.js";
+
+export const SEVERITIES = ["off", "warn", "error"];
+
+// Governance rules. Each rule returns { field, message } violations for a
+// content type; `context` carries data shared across the whole model.
+export const RULES = {
+  "display-field": {
+    description: "Content types must set a display field",
+    severity: "warn",
+    check(contentType) {
+      return contentType.displayField
+        ? []
+        : [{ field: null, message: "No display field set" }];
+    },
+  },
+
+  description: {
+    description: "Content types must have a description",
+    severity: "warn",
+    check(contentType) {
+      return contentType.description?.trim()
+        ? []
+        : [{ field: null, message: "Missing description" }];
+    },
+  },
+
+  "symbol-size": {
+    description:
+      "Symbol fields must limit their length with a size max or an in list",
+    severity: "warn",
+    check(contentType) {
+      // A predefined values list bounds the length just as well
+      const hasMax = (validations) =>
+        (validations || []).some(
+          (v) => v.size?.max !== undefined || Array.isArray(v.in)
+        );
+
+      return contentType.fields
+        .filter(
+          (field) =>
+            (field.type === "Symbol" && !hasMax(field.validations)) ||
+            (field.type === "Array" &&
+              field.items?.type === "Symbol" &&
+              !hasMax(field.items.validations))
+        )
+        .map((field) => ({
+          field: field.id,
+          message: "Symbol field has no size max validation",
+        }));
+    },
+  },
+
+  "reference-restriction": {
+    description:
+      "Reference fields must restrict the content types they link to",
+    severity: "warn",
+    check(contentType, context) {
+      return context.graph.edges
+        .filter(
+          (edge) =>
+            edge.from === contentType.sys.id &&
+            edge.kind === "reference" &&
+            edge.to === ANY_ENTRY
+        )
+        .map((edge) => ({
+          field: edge.field,
+          message: "Reference field has no linkContentType restriction",
+        }));
+    },
+  },
+
+  "unknown-content-type": {
+    description: "References must point at content types that exist",
+    severity: "error",
+    check(contentType, context) {
+      return context.graph.edges
+        .filter(
+          (edge) =>
+            edge.from === contentType.sys.id &&
+            edge.to !== ANY_ENTRY &&
+            !context.contentTypeIds.has(edge.to)
+        )
+        .map((edge) => ({
+          field: edge.field,
+          message: `Links to unknown content type "${edge.to}"`,
+        }));
+    },
+  },
+
+  "required-hidden": {
+    description: "Disabled or omitted fields must not be required",
+    severity: "error",
+    check(contentType) {
+      return contentType.fields
+        .filter((field) => field.required && (field.disabled || field.omitted))
+        .map((field) => ({
+          field: field.id,
+          message: `Field is required but ${
+            field.disabled ? "disabled" : "omitted"
+          }`,
+        }));
+    },
+  },
+
+  "field-id-convention": {
+    description: "Field ids must match a naming convention",
+    severity: "warn",
+    options: { pattern: "^[a-z][a-zA-Z0-9]*$" },
+    check(contentType, context, options) {
+      const pattern = new RegExp(options.pattern);
+      return contentType.fields
+        .filter((field) => !pattern.test(field.id))
+        .map((field) => ({
+          field: field.id,
+          message: `Field id does not match ${options.pattern}`,
+        }));
+    },
+  },
+
+  "content-type-id-convention": {
+    description: "Content type ids must match a naming convention",
+    severity: "off",
+    options: { pattern: "^[a-z][a-zA-Z0-9]*$" },
+    check(contentType, context, options) {
+      return new RegExp(options.pattern).test(contentType.sys.id)
+        ? []
+        : [
+            {
+              field: null,
+              message: `Content type id does not match ${options.pattern}`,
+            },
+          ];
+    },
+  },
+};
+
+// Resolve rule settings from a config object. Each entry in `rules` is either
+// a severity ("off", "warn", "error") or a [severity, options] pair, in the
+// style of ESLint.
+export function resolveRules(lintConfig = {}) {
+  const overrides = lintConfig.rules || {};
+
+  Object.keys(overrides).forEach((ruleId) => {
+    if (!RULES[ruleId]) {
+      throw new Error(
+        `Unknown lint rule "${ruleId}". Available rules: ${Object.keys(
+          RULES
+        ).join(", ")}`
+      );
+    }
+  });
+
+  return Object.entries(RULES).map(([id, rule]) => {
+    const override = overrides[id];
+    const [severity, options] = Array.isArray(override)
+      ? override
+      : [override ?? rule.severity, {}];
+
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(
+        `Invalid severity "${severity}" for lint rule "${id}". Use one of: ${SEVERITIES.join(
+          ", "
+        )}`
+      );
+    }
+
+    return {
+      id,
+      rule,
+      severity,
+      options: { ...rule.options, ...options },
+    };
+  });
+}
+
+// Read a JSON lint config file. With `optional`, a missing file yields null.
+export async function loadLintConfig(filePath, { optional = false } = {}) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (optional && error.code === "ENOENT") return null;
+    throw error;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Could not parse ${filePath} as JSON: ${error.message}`);
+  }
+}
+
+// Run every enabled rule over the content types
+export function lintContentTypes(contentTypes, lintConfig = {}) {
+  const rules = resolveRules(lintConfig).filter((r) => r.severity !== "off");
+  const context = {
+    contentTypeIds: new Set(contentTypes.map((ct) => ct.sys.id)),
+    graph: buildReferenceGraph(contentTypes),
+  };
+
+  const violations = [];
+  contentTypes.forEach((contentType) => {
+    rules.forEach(({ id, rule, severity, options }) => {
+      rule.check(contentType, context, options).forEach((violation) => {
+        violations.push({
+          rule: id,
+          severity,
+          contentType: contentType.sys.id,
+          field: violation.field,
+          message: violation.message,
+        });
+      });
+    });
+  });
+
+  return {
+    violations,
+    errorCount: violations.filter((v) => v.severity === "error").length,
+    warningCount: violations.filter((v) => v.severity === "warn").length,
+  };
+}
@@ -0,0 +1,73 @@
+// Locale codes an empty value is read from, in order: the locale itself, then
+// its fallback, that locale's fallback and so on
+export function getFallbackChain(code, locales) {
+  const byCode = new Map(locales.map((locale) => [locale.code, locale]));
+  const chain = [];
+
+  let current = byCode.get(code);
+  while (current && !chain.includes(current.code)) {
+    chain.push(current.code);
+    current = current.fallbackCode ? byCode.get(current.fallbackCode) : null;
+  }
+
+  return chain;
+}
+
+// The environment's locales with their fallback chains, default locale first
+export function describeLocales(locales) {
+  return [...locales]
+    .sort((a, b) => Boolean(b.default) - Boolean(a.default))
+    .map((locale) => ({
+      code: locale.code,
+      name: locale.name,
+      default: Boolean(locale.default),
+      optional: Boolean(locale.optional),
+      fallbackCode: locale.fallbackCode || null,
+      fallbackChain: getFallbackChain(locale.code, locales),
+    }));
+}
+
+// Which fields each content type lets editors fill in per locale: every
+// field in the default locale, only localized fields in the others
+export function computeLocalizationMatrix(contentTypes, locales) {
+  return contentTypes.map((contentType) => {
+    const fields = (contentType.fields || []).filter(
+      (field) => !field.disabled && !field.omitted
+    );
+    const localizedFields = fields
+      .filter((field) => field.localized)
+      .map((field) => field.id);
+
+    const byLocale = {};
+    locales.forEach((locale) => {
+      byLocale[locale.code] = locale.default
+        ? fields.length
+        : localizedFields.length;
+    });
+
+    return {
+      contentType: contentType.sys.id,
+      name: contentType.name,
+      localizedFields,
+      locales: byLocale,
+    };
+  });
+}
+
+// Contentful stores default values per locale ({ "en-US": "news" }). Returns
+// [code, value] pairs, or null for a value that isn't keyed by locale.
+export function getLocaleDefaults(defaultValue, locales = null) {
+  if (
+    defaultValue === null ||
+    typeof defaultValue !== "object" ||
+    Array.isArray(defaultValue)
+  ) {
+    return null;
+  }
+
+  const codes = Object.keys(defaultValue);
+  if (locales && !codes.every((code) => locales.some((l) => l.code === code))) {
+    return null;
+  }
+  return codes.map((code) => [code, defaultValue[code]]);
+}
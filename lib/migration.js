@@ -0,0 +1,444 @@
+import { diffContentTypes, stableStringify } from "./diff.js";
+import { getFieldControl, indexEditorInterfaces } from "./editor-interfaces.js";
+
+const INDENT = "  ";
+
+// Field properties set through contentful-migration's chained setters, in
+// the order they are emitted
+const FIELD_PROPERTIES = [
+  "name",
+  "type",
+  "linkType",
+  "items",
+  "localized",
+  "required",
+  "validations",
+  "defaultValue",
+  "disabled",
+  "omitted",
+];
+
+// Values that are the default for a new field and need no setter
+function isDefaultValue(property, value) {
+  if (value === undefined || value === null) return true;
+  if (["localized", "required", "disabled", "omitted"].includes(property)) {
+    return value === false;
+  }
+  if (property === "validations") return value.length === 0;
+  return false;
+}
+
+// Values that reset a property to its default when editing a field
+const RESET_VALUES = {
+  localized: false,
+  required: false,
+  disabled: false,
+  omitted: false,
+  validations: [],
+  defaultValue: {},
+};
+
+function cleanItems(items) {
+  const result = { type: items.type };
+  if (items.linkType) result.linkType = items.linkType;
+  if (items.validations?.length > 0) result.validations = items.validations;
+  return result;
+}
+
+// The value of a field property as set by the migration, or null for default
+function propertyValue(field, property) {
+  if (property === "items") return field.items ? cleanItems(field.items) : null;
+  return isDefaultValue(property, field[property]) ? null : field[property];
+}
+
+// JSON literal indented to continue a line at the given depth. Short values
+// stay on one line.
+function literal(value, depth) {
+  const compact = JSON.stringify(value);
+  if (compact.length <= 60) return compact;
+  return JSON.stringify(value, null, 2).replace(
+    /\n/g,
+    `\n${INDENT.repeat(depth)}`
+  );
+}
+
+// Variable names for content type ids. The "ct_" prefix keeps names valid
+// identifiers that can't be reserved words or shadow `migration`; ids that
+// map to the same name (`blog-post`, `blog_post`) get a numbered suffix.
+function createVariableNames() {
+  const used = new Set();
+  return (id) => {
+    const base = `ct_${id.replace(/[^A-Za-z0-9_$]/g, "_")}`;
+    let name = base;
+    for (let count = 2; used.has(name); count++) name = `${base}_${count}`;
+    used.add(name);
+    return name;
+  };
+}
+
+// `ct.createField("title").name("Title")...;` as one chained statement
+function chainLines(variable, call, setters, depth) {
+  const lines = [
+    `${INDENT.repeat(depth)}${variable}`,
+    `${INDENT.repeat(depth + 1)}.${call}`,
+    ...setters.map(
+      ([property, value]) =>
+        `${INDENT.repeat(depth + 1)}.${property}(${literal(value, depth + 1)})`
+    ),
+  ];
+  lines[lines.length - 1] += ";";
+  return lines;
+}
+
+// Prefix every line of a block with "// " to disable it
+function commentOut(lines) {
+  return lines.map((line) => line.replace(/^(\s*)/, "$1// "));
+}
+
+function destructiveWarning(depth, reason) {
+  return `${INDENT.repeat(
+    depth
+  )}// ⚠️ DESTRUCTIVE: ${reason}. Review and uncomment to apply.`;
+}
+
+function createFieldLines(variable, field, depth) {
+  const setters = FIELD_PROPERTIES.map((property) => [
+    property,
+    propertyValue(field, property),
+  ]).filter(([, value]) => value !== null);
+  return chainLines(
+    variable,
+    `createField(${JSON.stringify(field.id)})`,
+    setters,
+    depth
+  );
+}
+
+// editField calls for the properties that differ between the target and
+// source field. Type changes can't be migrated and only get a comment.
+function editFieldLines(variable, fromField, toField, depth) {
+  const lines = [];
+  const warnings = [];
+  const changed = FIELD_PROPERTIES.filter(
+    (property) =>
+      stableStringify(propertyValue(fromField, property)) !==
+      stableStringify(propertyValue(toField, property))
+  );
+  if (changed.length === 0) return { lines, warnings, destructive: 0 };
+
+  const typeChanged =
+    changed.includes("type") ||
+    changed.includes("linkType") ||
+    fromField.items?.type !== toField.items?.type ||
+    fromField.items?.linkType !== toField.items?.linkType;
+  if (typeChanged) {
+    warnings.push(
+      `\`${toField.id}\` changed type. Contentful can't change the type of a field: create a new field, migrate the entries and delete the old one.`
+    );
+    lines.push(
+      `${INDENT.repeat(depth)}// ⚠️ UNSUPPORTED: \`${
+        toField.id
+      }\` changed type, which Contentful doesn't allow. Create a new field and transform the entries instead.`
+    );
+  }
+
+  const setter = (property) => [
+    property,
+    propertyValue(toField, property) ?? RESET_VALUES[property],
+  ];
+  const call = `editField(${JSON.stringify(toField.id)})`;
+
+  const safe = changed.filter(
+    (property) =>
+      !["type", "linkType", "localized"].includes(property) &&
+      !(property === "items" && typeChanged)
+  );
+  if (safe.length > 0) {
+    lines.push(...chainLines(variable, call, safe.map(setter), depth));
+  }
+
+  // Turning off localization drops the values of every other locale
+  let destructive = 0;
+  if (changed.includes("localized")) {
+    const localizedLines = chainLines(
+      variable,
+      call,
+      [setter("localized")],
+      depth
+    );
+    if (toField.localized) {
+      lines.push(...localizedLines);
+    } else {
+      destructive += 1;
+      lines.push(
+        destructiveWarning(
+          depth,
+          `turning off localization deletes the values of \`${toField.id}\` in every locale but the default`
+        ),
+        ...commentOut(localizedLines)
+      );
+    }
+  }
+
+  return { lines, warnings, destructive };
+}
+
+// Moves that put the fields in the source order. The current order is
+// simulated so only fields that are out of place get a moveField call.
+function moveFieldLines(variable, currentOrder, desiredOrder, depth) {
+  const lines = [];
+  const order = currentOrder.filter((id) => desiredOrder.includes(id));
+
+  desiredOrder.forEach((id, index) => {
+    if (order[index] === id) return;
+    order.splice(order.indexOf(id), 1);
+    order.splice(index, 0, id);
+    lines.push(
+      index === 0
+        ? `${INDENT.repeat(depth)}${variable}.moveField(${JSON.stringify(
+            id
+          )}).toTheTop();`
+        : `${INDENT.repeat(depth)}${variable}.moveField(${JSON.stringify(
+            id
+          )}).afterField(${JSON.stringify(desiredOrder[index - 1])});`
+    );
+  });
+
+  return lines;
+}
+
+function controlSignature(control) {
+  if (!control?.widgetId) return null;
+  return stableStringify({
+    widgetId: control.widgetId,
+    widgetNamespace: control.widgetNamespace || "builtin",
+    settings: control.settings || {},
+  });
+}
+
+function changeFieldControlLine(variable, control, depth) {
+  const args = [
+    control.fieldId,
+    control.widgetNamespace || "builtin",
+    control.widgetId,
+  ].map((value) => JSON.stringify(value));
+  if (control.settings && Object.keys(control.settings).length > 0) {
+    args.push(literal(control.settings, depth));
+  }
+  return `${INDENT.repeat(depth)}${variable}.changeFieldControl(${args.join(
+    ", "
+  )});`;
+}
+
+// Field controls of the source that the target doesn't have yet
+function fieldControlLines(
+  variable,
+  fields,
+  sourceInterface,
+  targetInterface,
+  depth
+) {
+  const lines = [];
+  fields.forEach((field) => {
+    const control = getFieldControl(sourceInterface, field.id);
+    if (!control?.widgetId) return;
+    if (
+      controlSignature(control) ===
+      controlSignature(getFieldControl(targetInterface, field.id))
+    ) {
+      return;
+    }
+    lines.push(changeFieldControlLine(variable, control, depth));
+  });
+  return lines;
+}
+
+function contentTypeOptions(contentType) {
+  const options = { name: contentType.name };
+  if (contentType.description) options.description = contentType.description;
+  if (contentType.displayField) options.displayField = contentType.displayField;
+  return options;
+}
+
+// Generate a contentful-migration script that changes the target content
+// model into the source one. Deleting content types and fields, and turning
+// off localization, lose content, so those operations are commented out.
+export function generateMigrationScript(
+  target,
+  source,
+  { sourceLabel, targetLabel }
+) {
+  const diff = diffContentTypes(target.contentTypes, source.contentTypes);
+  const sourceInterfaces = indexEditorInterfaces(source.editorInterfaces);
+  const targetInterfaces = indexEditorInterfaces(target.editorInterfaces);
+  const compareControls = Boolean(source.editorInterfaces);
+  const targetById = new Map(target.contentTypes.map((ct) => [ct.sys.id, ct]));
+
+  const variableName = createVariableNames();
+  const warnings = [];
+  const stats = { created: 0, edited: 0, destructive: 0 };
+  const blocks = [];
+
+  diff.added.forEach((contentType) => {
+    const variable = variableName(contentType.sys.id);
+    const lines = [
+      `${INDENT}// Create ${contentType.name}`,
+      `${INDENT}const ${variable} = migration.createContentType(${JSON.stringify(
+        contentType.sys.id
+      )}, ${literal(contentTypeOptions(contentType), 1)});`,
+    ];
+    contentType.fields.forEach((field) => {
+      lines.push(...createFieldLines(variable, field, 1));
+    });
+    if (compareControls) {
+      lines.push(
+        ...fieldControlLines(
+          variable,
+          contentType.fields,
+          sourceInterfaces.get(contentType.sys.id),
+          null,
+          1
+        )
+      );
+    }
+    stats.created += 1;
+    blocks.push(lines);
+  });
+
+  source.contentTypes
+    .filter((contentType) => targetById.has(contentType.sys.id))
+    .forEach((contentType) => {
+      const id = contentType.sys.id;
+      const variable = variableName(id);
+      const targetType = targetById.get(id);
+      const changes =
+        diff.changed.find((changed) => changed.id === id)?.changes || [];
+      const body = [];
+
+      const options = contentTypeOptions(contentType);
+      const targetOptions = contentTypeOptions(targetType);
+      ["name", "description", "displayField"].forEach((property) => {
+        if ((options[property] || null) !== (targetOptions[property] || null)) {
+          body.push(
+            `${INDENT}${variable}.${property}(${JSON.stringify(
+              options[property] ?? null
+            )});`
+          );
+        }
+      });
+
+      const targetFields = new Map(targetType.fields.map((f) => [f.id, f]));
+      changes
+        .filter((change) => change.kind === "field-removed")
+        .forEach((change) => {
+          body.push(
+            destructiveWarning(
+              1,
+              `deletes \`${change.field}\` and its content in every entry`
+            )
+          );
+          body.push(
+            ...commentOut([
+              `${INDENT}${variable}.deleteField(${JSON.stringify(
+                change.field
+              )});`,
+            ])
+          );
+          stats.destructive += 1;
+        });
+
+      contentType.fields.forEach((field) => {
+        const targetField = targetFields.get(field.id);
+        if (!targetField) {
+          body.push(...createFieldLines(variable, field, 1));
+          return;
+        }
+        const edit = editFieldLines(variable, targetField, field, 1);
+        warnings.push(...edit.warnings.map((warning) => `${id}: ${warning}`));
+        stats.destructive += edit.destructive;
+        body.push(...edit.lines);
+      });
+
+      // New fields are appended, deleted fields stay until uncommented
+      const currentOrder = [
+        ...targetType.fields.map((f) => f.id),
+        ...contentType.fields
+          .filter((f) => !targetFields.has(f.id))
+          .map((f) => f.id),
+      ];
+      body.push(
+        ...moveFieldLines(
+          variable,
+          currentOrder,
+          contentType.fields.map((f) => f.id),
+          1
+        )
+      );
+
+      if (compareControls) {
+        body.push(
+          ...fieldControlLines(
+            variable,
+            contentType.fields,
+            sourceInterfaces.get(id),
+            targetInterfaces.get(id),
+            1
+          )
+        );
+      }
+
+      if (body.length === 0) return;
+      stats.edited += 1;
+      blocks.push([
+        `${INDENT}// Update ${contentType.name}`,
+        `${INDENT}const ${variable} = migration.editContentType(${JSON.stringify(
+          id
+        )});`,
+        ...body,
+      ]);
+    });
+
+  diff.removed.forEach((contentType) => {
+    stats.destructive += 1;
+    blocks.push([
+      destructiveWarning(
+        1,
+        `deletes the ${contentType.name} content type. Its entries must be deleted first`
+      ),
+      ...commentOut([
+        `${INDENT}migration.deleteContentType(${JSON.stringify(
+          contentType.sys.id
+        )});`,
+      ]),
+    ]);
+  });
+
+  const header = [
+    `// Generated by contentful-content-types-script.js migration`,
+    `// Changes the content model of ${targetLabel} to match ${sourceLabel}.`,
+    "// Review before running:",
+    "//   contentful space migration --space-id <space id> --environment-id <environment id> <this file>",
+  ];
+  if (!compareControls) {
+    header.push(
+      "// The source has no editor interfaces, so field controls are not migrated."
+    );
+  }
+  if (warnings.length > 0) {
+    header.push("//", "// Warnings:");
+    warnings.forEach((warning) => header.push(`//   ${warning}`));
+  }
+
+  const body =
+    blocks.length > 0
+      ? blocks.map((lines) => lines.join("\n")).join("\n\n")
+      : `${INDENT}// The content models already match.`;
+
+  return {
+    script: `${header.join(
+      "\n"
+    )}\n\nmodule.exports = function (migration) {\n${body}\n};\n`,
+    stats,
+    warnings,
+  };
+}
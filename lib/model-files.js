@@ -0,0 +1,548 @@
+import fs from "fs/promises";
+import path from "path";
+import YAML from "yaml";
+import { diffContentTypes, stableStringify } from "./diff.js";
+import { formatWidget, indexEditorInterfaces } from "./editor-interfaces.js";
+
+export const MODEL_FILE_EXTENSION = ".yaml";
+
+// Field properties left out of the files when they have their default value
+const FIELD_DEFAULTS = {
+  localized: false,
+  required: false,
+  disabled: false,
+  omitted: false,
+  validations: [],
+};
+
+const CONTENT_TYPE_KEYS = [
+  "id",
+  "name",
+  "description",
+  "displayField",
+  "metadata",
+  "fields",
+  "editor",
+];
+
+// Editor interface settings kept in the files, with their label in plans
+const EDITOR_SETTINGS = {
+  controls: "Field widgets",
+  sidebar: "Sidebar",
+  editors: "Entry editors",
+  editor: "Entry editor",
+  editorLayout: "Field groups",
+  groupControls: "Field group widgets",
+};
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function withoutUndefined(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined)
+  );
+}
+
+function normalizeItems(items) {
+  const { validations, ...rest } = items;
+  return validations?.length > 0 ? { ...rest, validations } : rest;
+}
+
+function normalizeField(field) {
+  const result = {};
+  Object.entries(field).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    if (
+      key in FIELD_DEFAULTS &&
+      stableStringify(value) === stableStringify(FIELD_DEFAULTS[key])
+    ) {
+      return;
+    }
+    result[key] =
+      key === "items" && isObject(value) ? normalizeItems(value) : value;
+  });
+  return result;
+}
+
+function normalizeControl(control) {
+  const { settings, ...rest } = control;
+  return settings && Object.keys(settings).length > 0
+    ? { ...rest, settings }
+    : rest;
+}
+
+// Editor settings with the field controls in field order
+function normalizeEditorInterface(editorInterface, fields) {
+  const order = fields.map((field) => field.id);
+  const position = (control) => {
+    const index = order.indexOf(control.fieldId);
+    return index === -1 ? order.length : index;
+  };
+
+  const result = {};
+  Object.keys(EDITOR_SETTINGS).forEach((key) => {
+    const value = editorInterface[key];
+    if (value === undefined || value === null) return;
+    result[key] =
+      key === "controls"
+        ? [...value]
+            .sort((a, b) => position(a) - position(b))
+            .map(normalizeControl)
+        : value;
+  });
+  return result;
+}
+
+// The content of a content type's file: its schema, without sys data or
+// properties at their default value, and its editor settings when known
+export function toModelFile(contentType, editorInterface = null) {
+  const fields = (contentType.fields || []).map(normalizeField);
+  const metadata =
+    contentType.metadata && Object.keys(contentType.metadata).length > 0
+      ? contentType.metadata
+      : undefined;
+
+  return withoutUndefined({
+    id: contentType.sys.id,
+    name: contentType.name,
+    description: contentType.description || undefined,
+    displayField: contentType.displayField || undefined,
+    metadata,
+    fields,
+    editor: editorInterface
+      ? normalizeEditorInterface(editorInterface, fields)
+      : undefined,
+  });
+}
+
+// Check a parsed file and normalize it like toModelFile does, so writing
+// out a default value by hand doesn't register as a change
+function readModelFile(data, file) {
+  const invalid = (message) => new Error(`${file}: ${message}`);
+  const id = path.basename(file, MODEL_FILE_EXTENSION);
+
+  if (!isObject(data)) {
+    throw invalid("Expected the content type settings (id, name, fields)");
+  }
+  const unknown = Object.keys(data).find(
+    (key) => !CONTENT_TYPE_KEYS.includes(key)
+  );
+  if (unknown) {
+    throw invalid(
+      `Unknown key "${unknown}". Use ${CONTENT_TYPE_KEYS.join(", ")}`
+    );
+  }
+  if (data.id !== id) {
+    throw invalid(
+      `The id must be "${id}", like the file name. Content type ids can't be changed`
+    );
+  }
+  if (typeof data.name !== "string" || data.name.trim() === "") {
+    throw invalid("The content type needs a name");
+  }
+  if (!Array.isArray(data.fields)) {
+    throw invalid("fields must be a list");
+  }
+
+  const fieldIds = new Set();
+  data.fields.forEach((field, index) => {
+    if (!isObject(field) || !field.id || !field.name || !field.type) {
+      throw invalid(`Field ${index + 1} needs an id, a name and a type`);
+    }
+    if (fieldIds.has(field.id)) {
+      throw invalid(`Duplicate field "${field.id}"`);
+    }
+    fieldIds.add(field.id);
+  });
+  if (data.displayField && !fieldIds.has(data.displayField)) {
+    throw invalid(`The display field "${data.displayField}" is not a field`);
+  }
+
+  if (data.editor !== undefined && data.editor !== null) {
+    if (!isObject(data.editor)) {
+      throw invalid("editor must hold the editor interface settings");
+    }
+    const unknownSetting = Object.keys(data.editor).find(
+      (key) => !(key in EDITOR_SETTINGS)
+    );
+    if (unknownSetting) {
+      throw invalid(
+        `Unknown editor setting "${unknownSetting}". Use ${Object.keys(
+          EDITOR_SETTINGS
+        ).join(", ")}`
+      );
+    }
+  }
+
+  return toModelFile(
+    {
+      sys: { id },
+      name: data.name,
+      description: data.description,
+      displayField: data.displayField,
+      metadata: data.metadata || undefined,
+      fields: data.fields,
+    },
+    data.editor || null
+  );
+}
+
+// Write a YAML file per content type into `dir`, named after its id. Files
+// of content types that are no longer in the model are removed, so the
+// directory mirrors the environment. Returns the written and removed paths.
+export async function exportModel(dir, { contentTypes, editorInterfaces }) {
+  const interfaces = indexEditorInterfaces(editorInterfaces);
+  await fs.mkdir(dir, { recursive: true });
+
+  const written = [];
+  const sorted = [...contentTypes].sort((a, b) =>
+    a.sys.id.localeCompare(b.sys.id)
+  );
+  for (const contentType of sorted) {
+    const filePath = path.join(
+      dir,
+      `${contentType.sys.id}${MODEL_FILE_EXTENSION}`
+    );
+    const file = toModelFile(
+      contentType,
+      interfaces.get(contentType.sys.id) || null
+    );
+    await fs.writeFile(
+      filePath,
+      YAML.stringify(file, { sortMapEntries: true }),
+      "utf8"
+    );
+    written.push(filePath);
+  }
+
+  const kept = new Set(written.map((filePath) => path.basename(filePath)));
+  const removed = [];
+  for (const name of await fs.readdir(dir)) {
+    if (name.endsWith(MODEL_FILE_EXTENSION) && !kept.has(name)) {
+      await fs.unlink(path.join(dir, name));
+      removed.push(path.join(dir, name));
+    }
+  }
+
+  return { written, removed };
+}
+
+// Read the content type files of a directory written by exportModel
+export async function loadModelDirectory(dir) {
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(
+        `No content model directory at ${dir}. Create it with export-model`
+      );
+    }
+    throw error;
+  }
+
+  const files = names
+    .filter((name) => name.endsWith(MODEL_FILE_EXTENSION))
+    .sort();
+  if (files.length === 0) {
+    throw new Error(`No ${MODEL_FILE_EXTENSION} files in ${dir}`);
+  }
+
+  return Promise.all(
+    files.map(async (name) => {
+      const filePath = path.join(dir, name);
+      const raw = await fs.readFile(filePath, "utf8");
+      let data;
+      try {
+        data = YAML.parse(raw);
+      } catch (error) {
+        throw new Error(`Could not parse ${filePath}: ${error.message}`);
+      }
+      return readModelFile(data, filePath);
+    })
+  );
+}
+
+function toContentType(file) {
+  return {
+    sys: { id: file.id, type: "ContentType" },
+    name: file.name,
+    description: file.description || "",
+    displayField: file.displayField || null,
+    fields: file.fields,
+  };
+}
+
+function schemaOf(file) {
+  return stableStringify({ ...file, editor: null });
+}
+
+// Schema changes in the words of the diff command. Changes the diff doesn't
+// describe, like metadata or resource link settings, get a general line.
+function describeContentTypeChanges(current, file) {
+  if (schemaOf(current) === schemaOf(file)) return [];
+
+  const diff = diffContentTypes(
+    [toContentType(current)],
+    [toContentType(file)]
+  );
+  const changes = (diff.changed[0]?.changes || []).map((change) => ({
+    field: change.field,
+    message: change.message,
+    breaking: change.breaking,
+  }));
+
+  if (stableStringify(current.metadata) !== stableStringify(file.metadata)) {
+    changes.push({
+      field: null,
+      message: "Metadata changed (tags, annotations or taxonomy)",
+      breaking: false,
+    });
+  }
+  const currentFields = new Map(
+    current.fields.map((field) => [field.id, field])
+  );
+  file.fields.forEach((field) => {
+    const before = currentFields.get(field.id);
+    if (
+      before &&
+      stableStringify(before) !== stableStringify(field) &&
+      !changes.some((change) => change.field === field.id)
+    ) {
+      changes.push({
+        field: field.id,
+        message: "Settings changed",
+        breaking: false,
+      });
+    }
+  });
+  if (changes.length === 0) {
+    changes.push({ field: null, message: "Settings changed", breaking: false });
+  }
+  return changes;
+}
+
+// Changes to the editor settings in the file. Settings the file leaves out,
+// and fields without a control, are left as they are.
+function describeEditorChanges(current, editor) {
+  if (!editor) return [];
+  const changes = [];
+  const add = (field, message) =>
+    changes.push({ field, message, breaking: false });
+
+  Object.keys(editor).forEach((key) => {
+    if (key !== "controls") {
+      if (stableStringify(current?.[key]) !== stableStringify(editor[key])) {
+        add(null, `${EDITOR_SETTINGS[key]} changed`);
+      }
+      return;
+    }
+    editor.controls.forEach((control) => {
+      const before = (current?.controls || []).find(
+        (candidate) => candidate.fieldId === control.fieldId
+      );
+      if (stableStringify(before) === stableStringify(control)) return;
+      const widgetBefore = formatWidget(before);
+      const widgetAfter = formatWidget(control);
+      add(
+        control.fieldId,
+        widgetBefore !== widgetAfter
+          ? `Widget: ${widgetBefore} → ${widgetAfter}`
+          : "Widget settings changed"
+      );
+    });
+  });
+  return changes;
+}
+
+// Compare the files of a content model directory with a loaded environment.
+// Content types only in the environment are listed as `untracked` and never
+// deleted. Without editor interfaces in `live`, editor settings are skipped.
+export function planModelChanges(files, { contentTypes, editorInterfaces }) {
+  const liveById = new Map(contentTypes.map((ct) => [ct.sys.id, ct]));
+  const interfaces = indexEditorInterfaces(editorInterfaces);
+  const fileIds = new Set(files.map((file) => file.id));
+
+  const plan = { create: [], update: [], unchanged: [], untracked: [] };
+  files.forEach((file) => {
+    const live = liveById.get(file.id);
+    if (!live) {
+      plan.create.push({ id: file.id, name: file.name, file });
+      return;
+    }
+
+    const current = toModelFile(live, interfaces.get(file.id) || null);
+    const schemaChanges = describeContentTypeChanges(current, file);
+    const editorChanges = editorInterfaces
+      ? describeEditorChanges(current.editor, file.editor)
+      : [];
+    if (schemaChanges.length === 0 && editorChanges.length === 0) {
+      plan.unchanged.push(file.id);
+      return;
+    }
+
+    const keptIds = new Set(file.fields.map((field) => field.id));
+    plan.update.push({
+      id: file.id,
+      name: file.name,
+      file,
+      version: live.sys.version,
+      changes: [...schemaChanges, ...editorChanges],
+      contentTypeChanged: schemaChanges.length > 0,
+      editorInterfaceChanged: editorChanges.length > 0,
+      // Leaving metadata out of a save keeps it, so removing it is explicit
+      clearMetadata: Boolean(current.metadata) && !file.metadata,
+      removedFields: (live.fields || []).filter(
+        (field) => !keptIds.has(field.id)
+      ),
+    });
+  });
+
+  plan.untracked = contentTypes
+    .filter((ct) => !fileIds.has(ct.sys.id))
+    .map((ct) => ({ id: ct.sys.id, name: ct.name }));
+  return plan;
+}
+
+export function hasModelChanges(plan) {
+  return plan.create.length > 0 || plan.update.length > 0;
+}
+
+// Plan as text lines: + for content types to create, ~ for updates with a
+// line per change, ⚠️ marking changes that break existing content
+export function formatModelPlan(plan) {
+  const lines = [];
+  plan.create.forEach(({ id, name, file }) => {
+    lines.push(
+      `+ ${name} (${id}): new content type (Fields: ${file.fields.length})`
+    );
+  });
+  plan.update.forEach(({ id, name, changes }) => {
+    lines.push(`~ ${name} (${id}):`);
+    changes.forEach((change) => {
+      lines.push(
+        `    ${change.breaking ? "⚠️  " : ""}${
+          change.field ? `${change.field}: ` : ""
+        }${change.message}`
+      );
+    });
+  });
+  if (plan.untracked.length > 0) {
+    lines.push(
+      `Only in the environment, left as they are: ${plan.untracked
+        .map((contentType) => contentType.id)
+        .join(", ")}`
+    );
+  }
+  return lines;
+}
+
+function contentTypePath(id, suffix = "") {
+  return `content_types/${encodeURIComponent(id)}${suffix}`;
+}
+
+function versionHeader(version) {
+  return { "X-Contentful-Version": String(version) };
+}
+
+// Save and publish a content type. Without a version, it is created.
+async function saveContentType(environment, file, fields, version = null) {
+  const saved = await environment.request("PUT", contentTypePath(file.id), {
+    body: withoutUndefined({
+      name: file.name,
+      description: file.description || "",
+      displayField: file.displayField || null,
+      metadata: file.metadata,
+      fields,
+    }),
+    headers: version ? versionHeader(version) : {},
+  });
+  const published = await environment.request(
+    "PUT",
+    contentTypePath(file.id, "/published"),
+    { headers: versionHeader(saved.sys.version) }
+  );
+  return published.sys.version;
+}
+
+// Contentful only deletes a field that is omitted in the published content
+// type, so removed fields are omitted and published first
+async function updateContentType(environment, change) {
+  const { removedFields } = change;
+  const file = change.clearMetadata
+    ? { ...change.file, metadata: {} }
+    : change.file;
+  let { version } = change;
+
+  if (removedFields.some((field) => !field.omitted)) {
+    version = await saveContentType(
+      environment,
+      file,
+      [
+        ...file.fields,
+        ...removedFields.map((field) => ({ ...field, omitted: true })),
+      ],
+      version
+    );
+  }
+  await saveContentType(
+    environment,
+    file,
+    [
+      ...file.fields,
+      ...removedFields.map((field) => ({
+        ...field,
+        omitted: true,
+        deleted: true,
+      })),
+    ],
+    version
+  );
+}
+
+// Apply the editor settings of a file over the current editor interface
+async function updateEditorInterface(environment, file) {
+  const current = await environment.request(
+    "GET",
+    contentTypePath(file.id, "/editor_interface")
+  );
+  const { sys, ...settings } = current;
+  const controls = new Map(
+    (settings.controls || []).map((control) => [control.fieldId, control])
+  );
+  (file.editor.controls || []).forEach((control) =>
+    controls.set(control.fieldId, control)
+  );
+
+  await environment.request(
+    "PUT",
+    contentTypePath(file.id, "/editor_interface"),
+    {
+      body: { ...settings, ...file.editor, controls: [...controls.values()] },
+      headers: versionHeader(sys.version),
+    }
+  );
+}
+
+// Make the planned changes through the Management API, one content type at
+// a time, creations first so new content types can be linked to.
+// `environment.request(method, resource, options)` sends a request to the
+// environment. `onApplied` is called after each content type.
+export async function applyModelPlan(plan, environment, { onApplied } = {}) {
+  for (const { id, file } of plan.create) {
+    await saveContentType(environment, file, file.fields);
+    if (file.editor) await updateEditorInterface(environment, file);
+    onApplied?.({ id, action: "create" });
+  }
+  for (const change of plan.update) {
+    if (change.contentTypeChanged) {
+      await updateContentType(environment, change);
+    }
+    if (change.editorInterfaceChanged) {
+      await updateEditorInterface(environment, change.file);
+    }
+    onApplied?.({ id: change.id, action: "update" });
+  }
+}
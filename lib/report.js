@@ -0,0 +1,142 @@
+import { analyzeCompleteness } from "./completeness.js";
+import { computeSummary } from "./summary.js";
+import { computeUsage } from "./usage.js";
+import { computeScorecard } from "./scorecard.js";
+import { buildReferenceGraph, toMermaid } from "./graph.js";
+import {
+  describeFilter,
+  filterContentTypes,
+  isEmptyFilter,
+} from "./filters.js";
+import {
+  generateMarkdownReport,
+  generateTemplateReport,
+} from "./formats/markdown.js";
+import { generateJsonReport } from "./formats/json.js";
+import { generateCsvReport } from "./formats/csv.js";
+import { generateHtmlReport } from "./formats/html.js";
+
+// Report renderers by format name
+export const REPORT_FORMATS = {
+  md: { extension: "md", render: generateMarkdownReport },
+  json: { extension: "json", render: generateJsonReport },
+  // One row per field, so there is no place for report-wide sections
+  csv: {
+    extension: "csv",
+    render: generateCsvReport,
+    unsupported: ["usage", "scorecard"],
+  },
+  html: { extension: "html", render: generateHtmlReport },
+};
+REPORT_FORMATS.markdown = REPORT_FORMATS.md;
+
+// Throw when the format is unknown or can't show a requested section. Run it
+// before loading the model: --usage pages through every entry. Templates
+// render every section, whatever the format.
+export function checkReportOptions({
+  format = "md",
+  template = null,
+  ...sections
+}) {
+  const reportFormat = REPORT_FORMATS[format];
+  if (!reportFormat) {
+    throw new Error(
+      `Unknown format: ${format}. Use one of: ${Object.keys(
+        REPORT_FORMATS
+      ).join(", ")}`
+    );
+  }
+  const unsupported = template
+    ? []
+    : (reportFormat.unsupported || []).filter((name) => sections[name]);
+  if (unsupported.length > 0) {
+    throw new Error(
+      `The ${format} format has no ${unsupported
+        .map((name) => `--${name}`)
+        .join(" or ")} section. Use md, json or html, or a --template`
+    );
+  }
+  return reportFormat;
+}
+
+// Render the report for a loaded model. `usage` needs the model's entries;
+// `filter` takes the options of filterContentTypes and scopes everything in
+// the report, summary statistics included. `template` is the text of a
+// report template to render instead of the format's layout; the format then
+// only sets the extension. `scorecard` adds the complexity scorecard: true,
+// or thresholds overriding SCORECARD_THRESHOLDS. Returns the rendered
+// `content` along with the data it was built from.
+export function buildReport(
+  model,
+  {
+    format = "md",
+    spaceId = model.spaceId,
+    environmentId = model.environmentId,
+    usage = false,
+    graph = false,
+    graphStyle = "flowchart",
+    filter = null,
+    template = null,
+    scorecard = false,
+  } = {}
+) {
+  const reportFormat = checkReportOptions({
+    format,
+    template,
+    usage,
+    scorecard,
+  });
+  if (usage && !model.entries) {
+    throw new Error("Usage statistics need the entries of the model");
+  }
+
+  // An empty model still gets a report; filters that match nothing are an error
+  const filtered = !isEmptyFilter(filter);
+  const { contentTypes, dependencies } = filtered
+    ? filterContentTypes(model.contentTypes, filter)
+    : { contentTypes: model.contentTypes, dependencies: [] };
+  if (filtered && contentTypes.length === 0) {
+    throw new Error("No content types match the filters");
+  }
+
+  const usageStats = usage
+    ? computeUsage(contentTypes, model.entries, model.locales)
+    : null;
+  const completeness = analyzeCompleteness(contentTypes);
+  const summary = computeSummary(contentTypes);
+  const referenceGraph = graph ? buildReferenceGraph(contentTypes) : null;
+  const scorecardData = scorecard
+    ? computeScorecard(contentTypes, {
+        thresholds: scorecard === true ? {} : scorecard,
+        totalContentTypes: model.contentTypes.length,
+      })
+    : null;
+
+  const context = {
+    spaceId,
+    environmentId,
+    summary,
+    completeness,
+    mermaid: referenceGraph ? toMermaid(referenceGraph, graphStyle) : null,
+    usage: usageStats,
+    scorecard: scorecardData,
+    editorInterfaces: model.editorInterfaces || null,
+    locales: model.locales || null,
+    filter: filtered ? describeFilter(filter) : null,
+  };
+  const content = template
+    ? generateTemplateReport(template, contentTypes, context)
+    : reportFormat.render(contentTypes, context);
+
+  return {
+    content,
+    extension: reportFormat.extension,
+    contentTypes,
+    dependencies,
+    summary,
+    completeness,
+    usage: usageStats,
+    scorecard: scorecardData,
+    graph: referenceGraph,
+  };
+}
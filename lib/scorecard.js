@@ -0,0 +1,272 @@
+import { ANY_ENTRY, buildReferenceGraph } from "./graph.js";
+
+// Scorecard thresholds. Content types over them are called out in the
+// report. `fieldLimit` and `contentTypeLimit` are Contentful's default
+// technical limits; some plans have lower ones. `limitWarning` is the share
+// of a limit, in percent, from which a content type or the space is flagged.
+export const SCORECARD_THRESHOLDS = {
+  maxFields: 30,
+  maxFanIn: 10,
+  maxFanOut: 8,
+  maxDepth: 4,
+  minValidationCoverage: 50,
+  fieldLimit: 50,
+  contentTypeLimit: 250,
+  limitWarning: 80,
+};
+
+// Field types that take no validations besides `required`
+const UNVALIDATED_TYPES = new Set(["Boolean", "Location"]);
+
+// Check threshold overrides from a config file against the known ones
+export function resolveThresholds(overrides = {}) {
+  Object.entries(overrides).forEach(([name, value]) => {
+    if (!(name in SCORECARD_THRESHOLDS)) {
+      throw new Error(
+        `Unknown scorecard threshold "${name}". Available thresholds: ${Object.keys(
+          SCORECARD_THRESHOLDS
+        ).join(", ")}`
+      );
+    }
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      throw new Error(
+        `Invalid value for scorecard threshold "${name}": ${JSON.stringify(
+          value
+        )}. Use a number of 0 or more`
+      );
+    }
+  });
+  return { ...SCORECARD_THRESHOLDS, ...overrides };
+}
+
+function percent(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) : 0;
+}
+
+// Share of the fields that can be validated which have at least one
+// validation, on the field or on its array items. Null without such fields.
+export function getValidationCoverage(contentType) {
+  const fields = (contentType.fields || []).filter(
+    (field) => !UNVALIDATED_TYPES.has(field.type)
+  );
+  const validated = fields.filter(
+    (field) =>
+      (field.validations?.length || 0) +
+        (field.items?.validations?.length || 0) >
+      0
+  );
+  return fields.length > 0 ? percent(validated.length, fields.length) : null;
+}
+
+// Tarjan's algorithm: groups of content types that can all reach each other
+function findComponents(ids, adjacency) {
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let counter = 0;
+
+  const visit = (id) => {
+    index.set(id, counter);
+    lowLink.set(id, counter);
+    counter += 1;
+    stack.push(id);
+    onStack.add(id);
+
+    adjacency.get(id).forEach((to) => {
+      if (!index.has(to)) {
+        visit(to);
+        lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(to)));
+      } else if (onStack.has(to)) {
+        lowLink.set(id, Math.min(lowLink.get(id), index.get(to)));
+      }
+    });
+
+    if (lowLink.get(id) === index.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+      components.push(component);
+    }
+  };
+
+  ids.forEach((id) => {
+    if (!index.has(id)) visit(id);
+  });
+  return components;
+}
+
+// Shortest way from a content type back to itself inside its component,
+// e.g. ["page", "section", "page"]
+function findCycle(start, members, adjacency) {
+  const previous = new Map();
+  const queue = [start];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    for (const to of adjacency.get(id)) {
+      if (to === start) {
+        const path = [id];
+        while (path[0] !== start) path.unshift(previous.get(path[0]));
+        return [...path, start];
+      }
+      if (members.has(to) && !previous.has(to)) {
+        previous.set(to, id);
+        queue.push(to);
+      }
+    }
+  }
+  return null;
+}
+
+// Complexity and health metrics: per content type its field count, the
+// content types linking to it (fan-in) and it links to (fan-out), its depth
+// (the longest reference chain below it) and validation coverage. For the
+// space, the reference cycles, the content types nothing links to and how
+// close the model is to Contentful's limits. `totalContentTypes` is the size
+// of the whole environment when `contentTypes` is filtered.
+export function computeScorecard(
+  contentTypes,
+  { thresholds = {}, totalContentTypes = contentTypes.length } = {}
+) {
+  const limits = resolveThresholds(thresholds);
+  const graph = buildReferenceGraph(contentTypes);
+  const ids = contentTypes.map((ct) => ct.sys.id);
+
+  // Links between content types, with content types outside the scope as
+  // leaves. Fields accepting any content type are counted separately.
+  const adjacency = new Map(ids.map((id) => [id, new Set()]));
+  const linkedFrom = new Map(ids.map((id) => [id, new Set()]));
+  const unrestricted = new Map(ids.map((id) => [id, new Set()]));
+  graph.edges.forEach((edge) => {
+    if (edge.to === ANY_ENTRY) {
+      unrestricted.get(edge.from).add(edge.field);
+      return;
+    }
+    if (!adjacency.has(edge.to)) adjacency.set(edge.to, new Set());
+    adjacency.get(edge.from).add(edge.to);
+    if (linkedFrom.has(edge.to)) linkedFrom.get(edge.to).add(edge.from);
+  });
+
+  const components = findComponents([...adjacency.keys()], adjacency);
+  const componentOf = new Map();
+  components.forEach((component, i) =>
+    component.forEach((id) => componentOf.set(id, i))
+  );
+
+  // Tarjan emits components after the ones they link to, so depths can be
+  // filled in order. Content types in a cycle share its depth.
+  const componentDepths = [];
+  components.forEach((component, i) => {
+    let depth = 0;
+    component.forEach((id) => {
+      adjacency.get(id).forEach((to) => {
+        const target = componentOf.get(to);
+        if (target !== i) depth = Math.max(depth, componentDepths[target] + 1);
+      });
+    });
+    componentDepths[i] = depth;
+  });
+
+  const cycles = components
+    .filter(
+      (component) =>
+        component.length > 1 || adjacency.get(component[0]).has(component[0])
+    )
+    .map((component) => {
+      const members = new Set(component);
+      const start = ids.find((id) => members.has(id));
+      return findCycle(start, members, adjacency);
+    })
+    .sort((a, b) => ids.indexOf(a[0]) - ids.indexOf(b[0]));
+
+  const scored = contentTypes.map((contentType) => {
+    const id = contentType.sys.id;
+    const fields = contentType.fields?.length || 0;
+    const others = (set) => [...set].filter((other) => other !== id);
+    const fanIn = others(linkedFrom.get(id)).length;
+    const fanOut = others(adjacency.get(id)).length;
+    const depth = componentDepths[componentOf.get(id)];
+    const validationCoverage = getValidationCoverage(contentType);
+
+    const issues = [];
+    if (fields > limits.maxFields) {
+      issues.push(`${fields} fields (threshold: ${limits.maxFields})`);
+    }
+    if (percent(fields, limits.fieldLimit) >= limits.limitWarning) {
+      issues.push(
+        `${fields} of the ${limits.fieldLimit} fields Contentful allows`
+      );
+    }
+    if (fanIn > limits.maxFanIn) {
+      issues.push(
+        `Linked from ${fanIn} content types (threshold: ${limits.maxFanIn})`
+      );
+    }
+    if (fanOut > limits.maxFanOut) {
+      issues.push(
+        `Links to ${fanOut} content types (threshold: ${limits.maxFanOut})`
+      );
+    }
+    if (depth > limits.maxDepth) {
+      issues.push(
+        `Reference chains ${depth} levels deep (threshold: ${limits.maxDepth})`
+      );
+    }
+    if (
+      validationCoverage !== null &&
+      validationCoverage < limits.minValidationCoverage
+    ) {
+      issues.push(
+        `${validationCoverage}% of fields validated (threshold: ${limits.minValidationCoverage}%)`
+      );
+    }
+
+    return {
+      id,
+      name: contentType.name,
+      fields,
+      fanIn,
+      fanOut,
+      unrestrictedFields: [...unrestricted.get(id)],
+      depth,
+      validationCoverage,
+      issues,
+    };
+  });
+
+  const usageOfLimit = (count, limit) => ({
+    count,
+    limit,
+    percent: percent(count, limit),
+    nearLimit: percent(count, limit) >= limits.limitWarning,
+  });
+  const largest = scored.reduce(
+    (max, contentType) =>
+      !max || contentType.fields > max.fields ? contentType : max,
+    null
+  );
+
+  return {
+    thresholds: limits,
+    contentTypes: scored,
+    cycles,
+    orphans: scored
+      .filter((contentType) => contentType.fanIn === 0)
+      .map((contentType) => contentType.id),
+    limits: {
+      contentTypes: usageOfLimit(totalContentTypes, limits.contentTypeLimit),
+      fields: largest && {
+        contentType: largest.id,
+        ...usageOfLimit(largest.fields, limits.fieldLimit),
+      },
+    },
+    flagged: scored
+      .filter((contentType) => contentType.issues.length > 0)
+      .map((contentType) => contentType.id),
+  };
+}
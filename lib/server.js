@@ -0,0 +1,321 @@
+import crypto from "crypto";
+import http from "http";
+
+// Webhook topics that change the content model
+export const WEBHOOK_TOPICS = [
+  "ContentManagement.ContentType.save",
+  "ContentManagement.ContentType.publish",
+  "ContentManagement.ContentType.unpublish",
+  "ContentManagement.ContentType.delete",
+];
+
+// Requests signed longer ago than this are rejected as replays
+const SIGNATURE_TTL = 30000;
+
+// Larger bodies are refused; content type payloads are a few KB
+const MAX_BODY_SIZE = 1024 * 1024;
+
+const CONTENT_TYPES = {
+  md: "text/markdown; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+  html: "text/html; charset=utf-8",
+};
+
+// Contentful signs the method, path, the headers listed in
+// x-contentful-signed-headers and the body, one per line
+function canonicalRequest({ method, path, headers, body }, signedHeaders) {
+  const headerPart = signedHeaders
+    .map((name) => `${name}:${String(headers[name] ?? "").trim()}`)
+    .join(";");
+  return [method.toUpperCase(), path, headerPart, body].join("\n");
+}
+
+function hmac(secret, value) {
+  return crypto.createHmac("sha256", secret).update(value).digest("hex");
+}
+
+// Sign a request like Contentful does when a webhook has a signing secret.
+// Handy to send signed test payloads to a local server.
+export function signWebhookRequest(
+  { method = "POST", path, headers = {}, body },
+  secret,
+  { timestamp = Date.now() } = {}
+) {
+  const signedHeaders = {
+    ...Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [
+        name.toLowerCase(),
+        value,
+      ])
+    ),
+    "x-contentful-timestamp": String(timestamp),
+  };
+  const names = Object.keys(signedHeaders).sort();
+  return {
+    ...signedHeaders,
+    "x-contentful-signed-headers": names.join(","),
+    "x-contentful-signature": hmac(
+      secret,
+      canonicalRequest({ method, path, headers: signedHeaders, body }, names)
+    ),
+  };
+}
+
+// Check a request against the webhook signing secret. Headers must be keyed
+// by lowercase name, as Node does. Returns an error message, or null when
+// the signature is valid.
+export function verifyWebhookSignature(
+  request,
+  secret,
+  { ttl = SIGNATURE_TTL, now = Date.now() } = {}
+) {
+  const { headers } = request;
+  const signature = headers["x-contentful-signature"];
+  const signedHeaderList = headers["x-contentful-signed-headers"];
+  if (!signature || !signedHeaderList) {
+    return "Missing request signature";
+  }
+
+  const signedHeaders = signedHeaderList
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+  if (!signedHeaders.includes("x-contentful-timestamp")) {
+    return "The request timestamp isn't signed";
+  }
+  const timestamp = Number(headers["x-contentful-timestamp"]);
+  if (!Number.isFinite(timestamp) || Math.abs(now - timestamp) > ttl) {
+    return "The request signature has expired";
+  }
+
+  const expected = Buffer.from(
+    hmac(secret, canonicalRequest(request, signedHeaders))
+  );
+  const actual = Buffer.from(String(signature));
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return "Invalid request signature";
+  }
+  return null;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(Object.assign(new Error("Payload too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { "Content-Type": CONTENT_TYPES.json });
+  res.end(`${JSON.stringify(data)}\n`);
+}
+
+// HTTP server that regenerates the report when a content type webhook comes
+// in and serves the latest report of each environment:
+//
+//   POST /webhook             Contentful webhook (content type topics)
+//   GET  /                    Latest report of the default environment
+//   GET  /reports/<env id>    Latest report of an environment
+//   GET  /health              Status of every environment's report
+//
+// `regenerate(environmentId)` builds and saves a report and resolves to
+// { content, extension }. Regenerations run one at a time per environment;
+// webhooks arriving meanwhile are folded into a single rerun.
+export function createWebhookServer({
+  spaceId,
+  environmentId,
+  secret = null,
+  regenerate,
+  log = console.log,
+}) {
+  const reports = new Map();
+  const jobs = new Map();
+
+  const status = (envId) => {
+    if (!reports.has(envId)) {
+      reports.set(envId, {
+        content: null,
+        extension: null,
+        updatedAt: null,
+        error: null,
+      });
+    }
+    return reports.get(envId);
+  };
+
+  async function run(envId) {
+    const report = status(envId);
+    try {
+      const { content, extension } = await regenerate(envId);
+      Object.assign(report, {
+        content,
+        extension,
+        updatedAt: new Date().toISOString(),
+        error: null,
+      });
+    } catch (error) {
+      // Keep serving the previous report
+      report.error = error.message;
+      log(`❌ ${envId}: ${error.message}`);
+    }
+  }
+
+  // Start a regeneration, or schedule one rerun if one is in progress
+  function schedule(envId) {
+    const job = jobs.get(envId);
+    if (job) {
+      job.pending = true;
+      return job.promise;
+    }
+
+    const entry = { pending: false, promise: null };
+    entry.promise = (async () => {
+      do {
+        entry.pending = false;
+        await run(envId);
+      } while (entry.pending);
+      jobs.delete(envId);
+    })();
+    jobs.set(envId, entry);
+    return entry.promise;
+  }
+
+  async function handleWebhook(req, res) {
+    const body = await readBody(req);
+
+    if (secret) {
+      const error = verifyWebhookSignature(
+        { method: req.method, path: req.url, headers: req.headers, body },
+        secret
+      );
+      if (error) {
+        log(`⚠️  Rejected webhook: ${error}`);
+        return sendJson(res, 401, { error });
+      }
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      return sendJson(res, 400, { error: "The body is not valid JSON" });
+    }
+
+    const topic = req.headers["x-contentful-topic"];
+    if (!WEBHOOK_TOPICS.includes(topic)) {
+      return sendJson(res, 200, {
+        status: "ignored",
+        reason: `Not a content type topic: ${topic || "none"}`,
+      });
+    }
+
+    const payloadSpace = payload?.sys?.space?.sys?.id;
+    if (payloadSpace && payloadSpace !== spaceId) {
+      return sendJson(res, 200, {
+        status: "ignored",
+        reason: `Webhook for another space: ${payloadSpace}`,
+      });
+    }
+
+    const envId = payload?.sys?.environment?.sys?.id || "master";
+    log(`📨 ${topic} ${payload?.sys?.id || ""} (${envId})`);
+    schedule(envId);
+    return sendJson(res, 202, { status: "queued", environmentId: envId });
+  }
+
+  function serveReport(res, envId) {
+    const report = reports.get(envId);
+    if (!report?.content) {
+      return sendJson(res, 404, {
+        error: `No report for environment ${envId} yet`,
+      });
+    }
+    res.writeHead(200, {
+      "Content-Type": CONTENT_TYPES[report.extension] || "text/plain",
+      "Last-Modified": new Date(report.updatedAt).toUTCString(),
+    });
+    return res.end(report.content);
+  }
+
+  // The path of a request target, or null when it can't be parsed
+  function parsePath(target) {
+    try {
+      return new URL(target, "http://localhost").pathname;
+    } catch {
+      return null;
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    const handle = async () => {
+      const pathname = parsePath(req.url);
+      if (pathname === null) {
+        return sendJson(res, 400, { error: "Malformed request target" });
+      }
+      if (req.method === "POST" && pathname === "/webhook") {
+        return handleWebhook(req, res);
+      }
+      if (req.method !== "GET") {
+        return sendJson(res, 405, { error: "Method not allowed" });
+      }
+      if (pathname === "/") return serveReport(res, environmentId);
+      if (pathname.startsWith("/reports/")) {
+        let envId;
+        try {
+          envId = decodeURIComponent(pathname.slice("/reports/".length));
+        } catch {
+          return sendJson(res, 400, { error: "Malformed environment id" });
+        }
+        return serveReport(res, envId);
+      }
+      if (pathname === "/health") {
+        return sendJson(res, 200, {
+          status: "ok",
+          environments: Object.fromEntries(
+            [...reports.entries()].map(([envId, report]) => [
+              envId,
+              {
+                updatedAt: report.updatedAt,
+                error: report.error,
+                regenerating: jobs.has(envId),
+              },
+            ])
+          ),
+        });
+      }
+      return sendJson(res, 404, { error: "Not found" });
+    };
+
+    handle().catch((error) => {
+      if (res.headersSent) return;
+      sendJson(res, error.status || 500, { error: error.message });
+    });
+  });
+
+  return {
+    server,
+    // Regenerate a report without a webhook, e.g. on startup
+    regenerate: schedule,
+    // Resolves once no regeneration is running
+    async whenIdle() {
+      while (jobs.size > 0) {
+        await Promise.all([...jobs.values()].map((job) => job.promise));
+      }
+    },
+  };
+}
@@ -0,0 +1,231 @@
+import fs from "fs/promises";
+import path from "path";
+import { diffContentTypes } from "./diff.js";
+
+// Bump when the snapshot layout changes
+export const SNAPSHOT_VERSION = 1;
+
+// Keep the schema and drop volatile sys data like versions and users, so
+// snapshots of an unchanged model only differ in their timestamp
+export function normalizeContentType(contentType) {
+  return {
+    sys: {
+      id: contentType.sys.id,
+      type: "ContentType",
+      createdAt: contentType.sys.createdAt || null,
+      updatedAt: contentType.sys.updatedAt || null,
+    },
+    name: contentType.name,
+    description: contentType.description || "",
+    displayField: contentType.displayField || null,
+    fields: contentType.fields || [],
+  };
+}
+
+// A snapshot is also a valid --input and diff source ({ contentTypes })
+export function createSnapshot(
+  contentTypes,
+  { spaceId, environmentId, createdAt = new Date().toISOString() }
+) {
+  return {
+    version: SNAPSHOT_VERSION,
+    spaceId,
+    environmentId,
+    createdAt,
+    contentTypes: [...contentTypes]
+      .sort((a, b) => a.sys.id.localeCompare(b.sys.id))
+      .map(normalizeContentType),
+  };
+}
+
+// Directory holding the snapshots of one environment
+export function getSnapshotDir(rootDir, spaceId, environmentId) {
+  return path.join(rootDir, spaceId, environmentId);
+}
+
+// Write a snapshot into the store and return its path
+export async function saveSnapshot(rootDir, snapshot) {
+  const dir = getSnapshotDir(rootDir, snapshot.spaceId, snapshot.environmentId);
+  await fs.mkdir(dir, { recursive: true });
+
+  const filePath = path.join(
+    dir,
+    `${snapshot.createdAt.replace(/[:.]/g, "-")}.json`
+  );
+  await fs.writeFile(
+    filePath,
+    `${JSON.stringify(snapshot, null, 2)}\n`,
+    "utf8"
+  );
+  return filePath;
+}
+
+// Read every snapshot in a directory, oldest first
+export async function loadSnapshots(dir) {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const snapshots = await Promise.all(
+    files
+      .filter((file) => file.endsWith(".json"))
+      .map(async (file) => {
+        const filePath = path.join(dir, file);
+        const raw = await fs.readFile(filePath, "utf8");
+        try {
+          return { ...JSON.parse(raw), file: filePath };
+        } catch (error) {
+          throw new Error(
+            `Could not parse ${filePath} as JSON: ${error.message}`
+          );
+        }
+      })
+  );
+
+  return snapshots
+    .filter((snapshot) => Array.isArray(snapshot.contentTypes))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Walk the snapshots in order and collect, per content type, when it first
+// appeared and every change between consecutive snapshots
+export function buildTimeline(snapshots) {
+  const byId = new Map();
+  const track = (contentType, firstSeen) => {
+    if (!byId.has(contentType.sys.id)) {
+      byId.set(contentType.sys.id, {
+        id: contentType.sys.id,
+        name: contentType.name,
+        createdAt: contentType.sys.createdAt || null,
+        firstSeen,
+        removedAt: null,
+        events: [],
+      });
+    }
+    return byId.get(contentType.sys.id);
+  };
+
+  snapshots.forEach((snapshot, index) => {
+    if (index === 0) {
+      snapshot.contentTypes.forEach((ct) => track(ct, snapshot.createdAt));
+      return;
+    }
+
+    const date = snapshot.createdAt;
+    const diff = diffContentTypes(
+      snapshots[index - 1].contentTypes,
+      snapshot.contentTypes
+    );
+
+    diff.added.forEach((ct) => {
+      const entry = track(ct, date);
+      entry.removedAt = null;
+      entry.events.push({
+        date,
+        kind: "content-type-added",
+        field: null,
+        message: `Content type added (${ct.fields.length} fields)`,
+        breaking: false,
+      });
+    });
+
+    diff.removed.forEach((ct) => {
+      const entry = track(ct, date);
+      entry.removedAt = date;
+      entry.events.push({
+        date,
+        kind: "content-type-removed",
+        field: null,
+        message: "Content type removed",
+        breaking: true,
+      });
+    });
+
+    diff.changed.forEach((ct) => {
+      const entry = byId.get(ct.id);
+      entry.name = ct.name;
+      ct.changes.forEach((change) => {
+        entry.events.push({
+          date,
+          kind: change.kind,
+          field: change.field,
+          message: change.message,
+          breaking: change.breaking,
+        });
+      });
+    });
+  });
+
+  return {
+    snapshots: snapshots.length,
+    from: snapshots[0]?.createdAt || null,
+    to: snapshots[snapshots.length - 1]?.createdAt || null,
+    contentTypes: [...byId.values()].sort((a, b) => a.id.localeCompare(b.id)),
+  };
+}
+
+// "2024-02-01 09:30 UTC"
+function formatTimestamp(value) {
+  return `${new Date(value).toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+
+// Generate Markdown timeline of content model changes
+export function generateHistoryReport(timeline, { spaceId, environmentId }) {
+  const lines = [];
+  const changeCount = timeline.contentTypes.reduce(
+    (sum, ct) => sum + ct.events.length,
+    0
+  );
+
+  lines.push(
+    `# Contentful Content Model History\n\n**Generated:** ${new Date().toLocaleDateString()}  \n**Space ID:** ${spaceId}  \n**Environment:** ${environmentId}  \n**Snapshots:** ${
+      timeline.snapshots
+    } (${formatTimestamp(timeline.from)} to ${formatTimestamp(
+      timeline.to
+    )})  \n**Changes:** ${changeCount}\n`
+  );
+
+  lines.push(
+    "Changes are dated by the first snapshot that shows them, so they happened between that snapshot and the one before it."
+  );
+  lines.push("");
+
+  timeline.contentTypes.forEach((contentType) => {
+    lines.push(`## ${contentType.name} (\`${contentType.id}\`)`);
+    lines.push("");
+    if (contentType.createdAt) {
+      lines.push(`- **Created:** ${formatTimestamp(contentType.createdAt)}`);
+    }
+    lines.push(
+      `- **First Snapshot:** ${formatTimestamp(contentType.firstSeen)}`
+    );
+    if (contentType.removedAt) {
+      lines.push(`- **Removed:** ${formatTimestamp(contentType.removedAt)}`);
+    }
+    lines.push("");
+
+    if (contentType.events.length === 0) {
+      lines.push("No changes recorded.");
+      lines.push("");
+      return;
+    }
+
+    lines.push("| Date | Field | Change |");
+    lines.push("| --- | --- | --- |");
+    contentType.events.forEach((event) => {
+      const marker = event.breaking ? " ⚠️" : "";
+      lines.push(
+        `| ${formatTimestamp(event.date)} | ${
+          event.field ? `\`${event.field}\`` : "-"
+        } | ${event.message.replace(/\|/g, "\\|")}${marker} |`
+      );
+    });
+    lines.push("");
+  });
+
+  return lines.join("\n");
+}
@@ -0,0 +1,217 @@
+import fs from "fs/promises";
+import { createApiClient } from "./api.js";
+
+// Pull the content types array out of any of the shapes we accept as input:
+// a `contentful-cli space export` file ({ contentTypes: [...] }), a raw API
+// collection response ({ items: [...] }) or a plain array of content types.
+export function extractContentTypes(data) {
+  let contentTypes;
+
+  if (Array.isArray(data)) {
+    contentTypes = data;
+  } else if (data && Array.isArray(data.contentTypes)) {
+    contentTypes = data.contentTypes;
+  } else if (data && Array.isArray(data.items)) {
+    contentTypes = data.items;
+  }
+
+  if (!contentTypes) {
+    throw new Error(
+      "No content types found. Expected a space export ({ contentTypes }), an API response ({ items }) or an array of content types."
+    );
+  }
+
+  const invalid = contentTypes.find(
+    (contentType) => !contentType?.sys?.id || !Array.isArray(contentType.fields)
+  );
+  if (invalid) {
+    throw new Error(
+      `Invalid content type in input: ${JSON.stringify(invalid).slice(0, 200)}`
+    );
+  }
+
+  return contentTypes;
+}
+
+// Read the space and environment ids from the first content type's sys links,
+// which both space exports and raw API dumps carry
+function readSysLinks(contentTypes) {
+  const sys = contentTypes[0]?.sys || {};
+  return {
+    spaceId: sys.space?.sys?.id || null,
+    environmentId: sys.environment?.sys?.id || null,
+  };
+}
+
+async function readJsonFile(filePath) {
+  const raw = await fs.readFile(filePath, "utf8");
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Could not parse ${filePath} as JSON: ${error.message}`);
+  }
+}
+
+// Load the content model from a JSON file on disk (offline mode)
+export async function loadContentTypesFromFile(filePath) {
+  const data = await readJsonFile(filePath);
+  const contentTypes = extractContentTypes(data);
+
+  // Space exports also carry entries, assets and locales unless they were
+  // skipped
+  return {
+    contentTypes,
+    entries: Array.isArray(data.entries) ? data.entries : null,
+    assets: Array.isArray(data.assets) ? data.assets : null,
+    locales: Array.isArray(data.locales) ? data.locales : null,
+    editorInterfaces: Array.isArray(data.editorInterfaces)
+      ? data.editorInterfaces
+      : null,
+    ...readSysLinks(contentTypes),
+    // Snapshots record the ids at the top level
+    ...(data.spaceId ? { spaceId: data.spaceId } : {}),
+    ...(data.environmentId ? { environmentId: data.environmentId } : {}),
+  };
+}
+
+// Load entries (and assets, if present) from a space export, an API
+// collection response or a plain array of entries
+export async function loadEntriesFromFile(filePath) {
+  const data = await readJsonFile(filePath);
+
+  let entries;
+  if (Array.isArray(data)) {
+    entries = data;
+  } else if (data && Array.isArray(data.entries)) {
+    entries = data.entries;
+  } else if (data && Array.isArray(data.items)) {
+    entries = data.items;
+  }
+
+  if (!entries) {
+    throw new Error(
+      `No entries found in ${filePath}. Expected a space export ({ entries }), an API response ({ items }) or an array of entries.`
+    );
+  }
+
+  return {
+    entries,
+    assets: Array.isArray(data.assets) ? data.assets : null,
+  };
+}
+
+// API client scoped to one environment. `baseUrl`, `concurrency` and the
+// `onProgress`/`onRetry` callbacks are passed on to createApiClient.
+// Resources are paths below the environment, e.g. "content_types".
+export function createEnvironmentApi({
+  spaceId,
+  environmentId,
+  accessToken,
+  baseUrl,
+  concurrency,
+  onProgress,
+  onRetry,
+}) {
+  const api = createApiClient({
+    accessToken,
+    baseUrl,
+    concurrency,
+    onProgress,
+    onRetry,
+  });
+  const prefix = `/spaces/${encodeURIComponent(
+    spaceId
+  )}/environments/${encodeURIComponent(environmentId)}`;
+
+  return {
+    getAll: (resource, options) => api.getAll(`${prefix}/${resource}`, options),
+    request: (method, resource, options) =>
+      api.request(method, `${prefix}/${resource}`, options),
+  };
+}
+
+async function fetchEnvironmentEntries(
+  environment,
+  { assets = false, contentTypeIds = null } = {}
+) {
+  const fetchEntries = (query) =>
+    environment.getAll("entries", { query, label: "Entries" });
+
+  // Requests run in parallel, the API client caps how many are in flight
+  const [entries, locales, assetItems] = await Promise.all([
+    contentTypeIds
+      ? Promise.all(
+          contentTypeIds.map((contentTypeId) =>
+            fetchEntries({ content_type: contentTypeId })
+          )
+        ).then((lists) => lists.flat())
+      : fetchEntries(),
+    environment.getAll("locales", { label: "Locales" }),
+    assets ? environment.getAll("assets", { label: "Assets" }) : null,
+  ]);
+
+  return { entries, assets: assetItems, locales };
+}
+
+// Load entries and locales from the Contentful Management API, optionally
+// with assets. `contentTypeIds` limits the entries to those content types.
+export async function fetchEntries(config, options = {}) {
+  return fetchEnvironmentEntries(createEnvironmentApi(config), options);
+}
+
+// Load the content model from the Contentful Management API. Entries and
+// locales are only fetched when asked for, since large spaces take a while.
+// Locales (without entries) and editor interfaces are fetched with `locales`
+// and `editorInterfaces`.
+export async function fetchContentTypes(
+  config,
+  { entries = false, locales = false, editorInterfaces = false } = {}
+) {
+  const environment = createEnvironmentApi(config);
+
+  const [contentTypes, entryData, localeItems, editorInterfaceItems] =
+    await Promise.all([
+      environment.getAll("content_types", {
+        pageSize: 1000,
+        label: "Content types",
+      }),
+      entries ? fetchEnvironmentEntries(environment) : null,
+      locales && !entries
+        ? environment.getAll("locales", { label: "Locales" })
+        : null,
+      editorInterfaces
+        ? environment.getAll("editor_interfaces", {
+            label: "Editor interfaces",
+          })
+        : null,
+    ]);
+
+  return {
+    contentTypes,
+    entries: entryData?.entries || null,
+    assets: null,
+    locales: entryData?.locales || localeItems,
+    editorInterfaces: editorInterfaceItems,
+    spaceId: config.spaceId,
+    environmentId: config.environmentId,
+  };
+}
+
+// A source that names an existing file is a saved snapshot
+export async function isSnapshotFile(source) {
+  try {
+    return (await fs.stat(source)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+// Load the content model from a source that is either a snapshot file or an
+// environment id in the configured space. `options` are passed on to
+// fetchContentTypes.
+export async function loadContentModel(source, config, options = {}) {
+  if (await isSnapshotFile(source)) {
+    return loadContentTypesFromFile(source);
+  }
+  return fetchContentTypes({ ...config, environmentId: source }, options);
+}
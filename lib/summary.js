@@ -0,0 +1,68 @@
+import { getFieldTypeDescription } from "./formatters.js";
+
+// Summary statistics for a set of content types
+export function computeSummary(contentTypes) {
+  const totalFields = contentTypes.reduce(
+    (sum, ct) => sum + (ct.fields?.length || 0),
+    0
+  );
+
+  const requiredFields = contentTypes.reduce((sum, ct) => {
+    return sum + (ct.fields?.filter((f) => f.required).length || 0);
+  }, 0);
+
+  const localizedFields = contentTypes.reduce((sum, ct) => {
+    return sum + (ct.fields?.filter((f) => f.localized).length || 0);
+  }, 0);
+
+  // Resource links (cross-space references) count as references too
+  const isLink = (type) => type === "Link" || type === "ResourceLink";
+  const referenceFields = contentTypes.reduce((sum, ct) => {
+    return (
+      sum +
+      (ct.fields?.filter(
+        (f) => isLink(f.type) || (f.type === "Array" && isLink(f.items?.type))
+      ).length || 0)
+    );
+  }, 0);
+
+  const richTextFields = contentTypes.reduce((sum, ct) => {
+    return sum + (ct.fields?.filter((f) => f.type === "RichText").length || 0);
+  }, 0);
+
+  const disabledFields = contentTypes.reduce((sum, ct) => {
+    return sum + (ct.fields?.filter((f) => f.disabled).length || 0);
+  }, 0);
+
+  const fieldsWithValidations = contentTypes.reduce((sum, ct) => {
+    return (
+      sum +
+      (ct.fields?.filter((f) => f.validations && f.validations.length > 0)
+        .length || 0)
+    );
+  }, 0);
+
+  // Field type breakdown, most common first
+  const fieldTypeCounts = {};
+  contentTypes.forEach((ct) => {
+    ct.fields?.forEach((field) => {
+      const typeDesc = getFieldTypeDescription(field);
+      fieldTypeCounts[typeDesc] = (fieldTypeCounts[typeDesc] || 0) + 1;
+    });
+  });
+  const fieldTypes = Object.fromEntries(
+    Object.entries(fieldTypeCounts).sort(([, a], [, b]) => b - a)
+  );
+
+  return {
+    contentTypes: contentTypes.length,
+    totalFields,
+    requiredFields,
+    localizedFields,
+    referenceFields,
+    richTextFields,
+    disabledFields,
+    fieldsWithValidations,
+    fieldTypes,
+  };
+}
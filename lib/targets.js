@@ -0,0 +1,194 @@
+import fs from "fs/promises";
+import { diffContentTypes } from "./diff.js";
+
+const DEFAULT_TOKEN_ENV = "CONTENTFUL_MANAGEMENT_TOKEN";
+
+// Read a targets config file: { "targets": [...] } or a plain array
+export async function loadTargetsConfig(filePath) {
+  const raw = await fs.readFile(filePath, "utf8");
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Could not parse ${filePath} as JSON: ${error.message}`);
+  }
+
+  const targets = Array.isArray(data) ? data : data?.targets;
+  if (!Array.isArray(targets) || targets.length === 0) {
+    throw new Error(
+      `${filePath} has no targets. Expected { "targets": [...] }`
+    );
+  }
+  return targets;
+}
+
+// Validate the targets and resolve their tokens. Each target names the
+// environment variable holding its token in `tokenEnv`, so the config file
+// can be committed. Targets with an `input` file need no credentials.
+export function resolveTargets(targets, env = process.env) {
+  const names = new Set();
+
+  return targets.map((target, index) => {
+    const label = `Target ${index + 1}`;
+    if (!target || typeof target !== "object") {
+      throw new Error(`${label} must be an object`);
+    }
+    if (!target.input && !target.spaceId) {
+      throw new Error(`${label} needs a spaceId or an input file`);
+    }
+
+    const environmentId = target.environmentId || "master";
+    const name =
+      target.name ||
+      (target.input ? target.input : `${target.spaceId}-${environmentId}`);
+    if (names.has(name)) {
+      throw new Error(`Duplicate target name: ${name}`);
+    }
+    names.add(name);
+
+    const resolved = {
+      name,
+      input: target.input || null,
+      spaceId: target.spaceId || null,
+      environmentId,
+      accessToken: null,
+    };
+
+    if (!target.input) {
+      const tokenEnv = target.tokenEnv || DEFAULT_TOKEN_ENV;
+      resolved.accessToken = env[tokenEnv];
+      if (!resolved.accessToken) {
+        throw new Error(
+          `${label} (${name}) needs a token in the ${tokenEnv} environment variable`
+        );
+      }
+    }
+
+    return resolved;
+  });
+}
+
+// File name for a target's report, safe on every platform
+export function targetFileName(name) {
+  return name.replace(/[^A-Za-z0-9._-]+/g, "-");
+}
+
+// Content type ids that appear in more than one target, with the differences
+// of each target's definition from the first target that has it. Only field
+// changes count as drift; name, description and order changes are listed too.
+export function compareSharedContentTypes(results) {
+  const byId = new Map();
+  results
+    .filter((result) => result.contentTypes)
+    .forEach((result) => {
+      result.contentTypes.forEach((contentType) => {
+        if (!byId.has(contentType.sys.id)) byId.set(contentType.sys.id, []);
+        byId.get(contentType.sys.id).push({ target: result.name, contentType });
+      });
+    });
+
+  return [...byId.entries()]
+    .filter(([, occurrences]) => occurrences.length > 1)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([id, occurrences]) => {
+      const [baseline, ...others] = occurrences;
+      const differences = others
+        .map(({ target, contentType }) => {
+          const diff = diffContentTypes([baseline.contentType], [contentType]);
+          const changes = diff.changed.flatMap((ct) => ct.changes);
+          return { target, changes };
+        })
+        .filter(({ changes }) => changes.length > 0);
+
+      return {
+        id,
+        name: baseline.contentType.name,
+        targets: occurrences.map((occurrence) => occurrence.target),
+        baseline: baseline.target,
+        fieldsMatch: differences.every(({ changes }) =>
+          changes.every((change) => !change.field)
+        ),
+        differences,
+      };
+    });
+}
+
+// Markdown index linking every target's report, followed by the shared
+// content types and how they drifted
+export function generateTargetsIndex(results, shared) {
+  const lines = [];
+
+  lines.push(
+    `# Contentful Multi-Space Report\n\n**Generated:** ${new Date().toLocaleDateString()}  \n**Targets:** ${
+      results.length
+    }\n`
+  );
+
+  lines.push("## Targets");
+  lines.push("");
+  lines.push(
+    "| Target | Space ID | Environment | Content Types | Fields | Report |"
+  );
+  lines.push("| --- | --- | --- | --- | --- | --- |");
+  results.forEach((result) => {
+    const report = result.error
+      ? `❌ ${result.error.replace(/\|/g, "\\|")}`
+      : `[${result.filename}](${encodeURI(result.filename)})`;
+    lines.push(
+      `| ${result.name} | ${result.spaceId || "-"} | ${
+        result.environmentId || "-"
+      } | ${result.summary?.contentTypes ?? "-"} | ${
+        result.summary?.totalFields ?? "-"
+      } | ${report} |`
+    );
+  });
+  lines.push("");
+
+  lines.push("## Shared Content Types");
+  lines.push("");
+  if (shared.length === 0) {
+    lines.push("No content type id appears in more than one target.");
+    lines.push("");
+    return lines.join("\n");
+  }
+
+  lines.push("| Content Type | Targets | Fields Match |");
+  lines.push("| --- | --- | --- |");
+  shared.forEach((contentType) => {
+    let status = "⚠️ Drifted";
+    if (contentType.fieldsMatch) {
+      status =
+        contentType.differences.length > 0
+          ? "✅ Yes (metadata differs)"
+          : "✅ Yes";
+    }
+    lines.push(
+      `| \`${contentType.id}\` | ${contentType.targets.join(
+        ", "
+      )} | ${status} |`
+    );
+  });
+  lines.push("");
+
+  const differing = shared.filter((ct) => ct.differences.length > 0);
+  if (differing.length > 0) {
+    lines.push("## Drift Details");
+    lines.push("");
+    differing.forEach((contentType) => {
+      lines.push(`### ${contentType.name} (\`${contentType.id}\`)`);
+      lines.push("");
+      lines.push(`Compared to ${contentType.baseline}:`);
+      lines.push("");
+      contentType.differences.forEach(({ target, changes }) => {
+        lines.push(`- **${target}**`);
+        changes.forEach((change) => {
+          const field = change.field ? `\`${change.field}\`: ` : "";
+          lines.push(`  - ${field}${change.message}`);
+        });
+      });
+      lines.push("");
+    });
+  }
+
+  return lines.join("\n");
+}
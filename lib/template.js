@@ -0,0 +1,36 @@
+import Handlebars from "handlebars";
+
+// Handlebars templates for custom report layouts. Reports aren't HTML, so
+// values are inserted as is, without HTML escaping. Two helpers are added to
+// the built-in ones:
+//
+//   {{join tags ", "}}    The items of a list, with a separator (default ", ")
+//   {{json summary}}      A value as JSON
+
+const OPTIONS = { noEscape: true };
+
+// Own environment, so the helpers don't leak into other users of the package
+const handlebars = Handlebars.create();
+
+handlebars.registerHelper("join", (list, ...args) => {
+  // The last argument is always the Handlebars options object
+  const separator = args.length > 1 ? String(args[0]) : ", ";
+  return Array.isArray(list) ? list.join(separator) : list ?? "";
+});
+
+handlebars.registerHelper("json", (value) =>
+  value === undefined ? "" : JSON.stringify(value)
+);
+
+// Parse a template once and render it with any number of data objects.
+// Handlebars compiles on first use; precompiling here throws syntax errors
+// right away, with the line they are on.
+export function compileTemplate(source) {
+  const text = String(source);
+  handlebars.precompile(text, OPTIONS);
+  return handlebars.compile(text, OPTIONS);
+}
+
+export function renderTemplate(source, data) {
+  return compileTemplate(source)(data);
+}
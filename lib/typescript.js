@@ -0,0 +1,254 @@
+import { formatValidations } from "./formatters.js";
+
+// Helper types emitted at the top of every definitions file
+const PRELUDE = `export interface Link<TLinkType extends string = string> {
+  sys: { type: "Link"; linkType: TLinkType; id: string };
+}
+
+export interface ResourceLink<TLinkType extends string = string> {
+  sys: { type: "ResourceLink"; linkType: TLinkType; urn: string };
+}
+
+export interface EntrySys<TContentTypeId extends string = string> {
+  id: string;
+  type: "Entry";
+  createdAt: string;
+  updatedAt: string;
+  locale?: string;
+  contentType: { sys: { type: "Link"; linkType: "ContentType"; id: TContentTypeId } };
+}
+
+export interface Asset {
+  sys: { id: string; type: "Asset"; createdAt: string; updatedAt: string };
+  fields: {
+    title?: string;
+    description?: string;
+    file?: {
+      url: string;
+      fileName: string;
+      contentType: string;
+      details?: { size?: number; image?: { width: number; height: number } };
+    };
+  };
+}
+
+export interface Location {
+  lat: number;
+  lon: number;
+}
+
+export interface RichTextNode {
+  nodeType: string;
+  data: Record<string, unknown>;
+  content?: RichTextNode[];
+  value?: string;
+  marks?: { type: string }[];
+}
+
+export interface RichTextDocument extends RichTextNode {
+  nodeType: "document";
+  content: RichTextNode[];
+}`;
+
+const RESERVED_NAMES = new Set([
+  "Link",
+  "ResourceLink",
+  "EntrySys",
+  "Asset",
+  "Location",
+  "RichTextNode",
+  "RichTextDocument",
+  "AnyEntry",
+  "ContentTypeMap",
+]);
+
+// PascalCase interface name for a content type id
+function toPascalCase(id) {
+  const name = id
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join("");
+  return /^[A-Za-z]/.test(name) ? name : `T${name}`;
+}
+
+// Assign a unique interface name to every content type
+function buildInterfaceNames(contentTypes) {
+  const names = new Map();
+  const used = new Set(RESERVED_NAMES);
+
+  contentTypes.forEach((contentType) => {
+    const base = toPascalCase(contentType.sys.id);
+    let name = used.has(base) ? `${base}Entry` : base;
+    for (let i = 2; used.has(name); i++) {
+      name = `${base}Entry${i}`;
+    }
+    used.add(name);
+    names.set(contentType.sys.id, name);
+  });
+
+  return names;
+}
+
+function propertyKey(id) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(id) ? id : JSON.stringify(id);
+}
+
+function collectValues(validations, key) {
+  const values = [];
+  (validations || []).forEach((validation) => {
+    if (Array.isArray(validation[key])) {
+      values.push(...validation[key]);
+    } else if (validation[key] !== undefined) {
+      values.push(validation[key]);
+    }
+  });
+  return values;
+}
+
+// Map a single (non-array) value type to a TypeScript type
+function scalarType(
+  type,
+  { linkType, validations, allowedResources },
+  context
+) {
+  const options = collectValues(validations, "in");
+
+  switch (type) {
+    case "Symbol":
+    case "Text":
+      return options.length > 0
+        ? options.map((option) => JSON.stringify(String(option))).join(" | ")
+        : "string";
+    case "Integer":
+    case "Number":
+      return options.length > 0
+        ? options.map((option) => Number(option)).join(" | ")
+        : "number";
+    case "Boolean":
+      return "boolean";
+    case "Date":
+      return "string";
+    case "Location":
+      return "Location";
+    case "Object":
+      return "Record<string, unknown>";
+    case "RichText":
+      return "RichTextDocument";
+    case "Link": {
+      if (linkType === "Asset") return "Asset";
+      if (linkType !== "Entry") return `Link<${JSON.stringify(linkType)}>`;
+
+      // Targets that aren't part of the model can't be typed precisely
+      const targets = [
+        ...new Set(collectValues(validations, "linkContentType")),
+      ];
+      if (
+        targets.length === 0 ||
+        targets.some((id) => !context.names.has(id))
+      ) {
+        return "AnyEntry";
+      }
+      return targets.map((id) => context.names.get(id)).join(" | ");
+    }
+    case "ResourceLink": {
+      // Resource links stay unresolved: they point to other spaces or apps
+      const linkTypes = [
+        ...new Set((allowedResources || []).map((resource) => resource.type)),
+      ].map((value) => JSON.stringify(value));
+      return linkTypes.length > 0
+        ? `ResourceLink<${linkTypes.join(" | ")}>`
+        : "ResourceLink";
+    }
+    default:
+      return "unknown";
+  }
+}
+
+function fieldType(field, context) {
+  if (field.type === "Array" && field.items) {
+    const itemType = scalarType(field.items.type, field.items, context);
+    return itemType.includes(" | ") ? `Array<${itemType}>` : `${itemType}[]`;
+  }
+  return scalarType(field.type, field, context);
+}
+
+// Doc comment with the field name and its validations
+function fieldComment(field) {
+  const parts = [field.name];
+  const validations = formatValidations(field.validations, field);
+  if (validations !== "None") parts.push(`Validations: ${validations}`);
+  if (field.items?.validations?.length > 0) {
+    parts.push(
+      `Item validations: ${formatValidations(
+        field.items.validations,
+        field.items
+      )}`
+    );
+  }
+  return `    /** ${parts.join(". ").replace(/\*\//g, "*\\/")} */`;
+}
+
+function renderInterface(contentType, context) {
+  const name = context.names.get(contentType.sys.id);
+  const lines = [];
+
+  const description = contentType.description
+    ? ` - ${contentType.description.replace(/\*\//g, "*\\/")}`
+    : "";
+  lines.push(`/** ${contentType.name}${description} */`);
+  lines.push(`export interface ${name} {`);
+  lines.push(`  sys: EntrySys<${JSON.stringify(contentType.sys.id)}>;`);
+  lines.push("  fields: {");
+
+  // Omitted fields are not delivered by the API, so they get no property
+  contentType.fields
+    .filter((field) => !field.omitted)
+    .forEach((field) => {
+      const optional = field.required ? "" : "?";
+      lines.push(fieldComment(field));
+      lines.push(
+        `    ${propertyKey(field.id)}${optional}: ${fieldType(field, context)};`
+      );
+    });
+
+  lines.push("  };");
+  lines.push("}");
+  return lines.join("\n");
+}
+
+// Generate a .d.ts file with one interface per content type. Reference fields
+// are typed as the resolved entries they can link to.
+export function generateTypeDefinitions(
+  contentTypes,
+  { spaceId, environmentId } = {}
+) {
+  const context = { names: buildInterfaceNames(contentTypes) };
+  const sections = [];
+
+  sections.push(
+    `// Generated from Contentful space ${spaceId}, environment ${environmentId}.\n// Do not edit by hand: regenerate with \`node contentful-content-types-script.js types\`.`
+  );
+  sections.push(PRELUDE);
+  contentTypes.forEach((contentType) => {
+    sections.push(renderInterface(contentType, context));
+  });
+
+  const union = [...context.names.values()];
+  sections.push(
+    `/** Any entry in the space */\nexport type AnyEntry = ${
+      union.length > 0 ? union.join(" | ") : "never"
+    };`
+  );
+
+  const idMap = contentTypes
+    .map(
+      (ct) => `  ${propertyKey(ct.sys.id)}: ${context.names.get(ct.sys.id)};`
+    )
+    .join("\n");
+  sections.push(
+    `/** Content type id to entry interface */\nexport interface ContentTypeMap {\n${idMap}\n}`
+  );
+
+  return `${sections.join("\n\n")}\n`;
+}
@@ -0,0 +1,126 @@
+// Publishing status of an entry, derived from its sys versions
+export function getEntryStatus(sys) {
+  if (sys.archivedVersion) return "archived";
+  if (!sys.publishedVersion) return "draft";
+  if (sys.version > sys.publishedVersion + 1) return "changed";
+  return "published";
+}
+
+// Empty strings and arrays count as missing, like in the web app
+function hasValue(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === "string") return value.trim() !== "";
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+function percent(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+// Locale codes to report on: the environment's locales when known, otherwise
+// every locale that appears in the entries
+function resolveLocaleCodes(entries, locales) {
+  if (locales && locales.length > 0) {
+    return locales.map((locale) => locale.code);
+  }
+  const codes = new Set();
+  entries.forEach((entry) => {
+    Object.values(entry.fields || {}).forEach((values) => {
+      Object.keys(values || {}).forEach((code) => codes.add(code));
+    });
+  });
+  return [...codes].sort();
+}
+
+// Entry counts per content type and fill rates per field. Fill rates are the
+// percent of entries with a value in any locale; localized fields also get a
+// rate per locale.
+export function computeUsage(contentTypes, entries, locales = null) {
+  const localeCodes = resolveLocaleCodes(entries, locales);
+  const entriesByType = new Map();
+  entries.forEach((entry) => {
+    const id = entry.sys.contentType?.sys?.id;
+    if (!entriesByType.has(id)) entriesByType.set(id, []);
+    entriesByType.get(id).push(entry);
+  });
+
+  const byContentType = {};
+  contentTypes.forEach((contentType) => {
+    const typeEntries = entriesByType.get(contentType.sys.id) || [];
+    const statuses = { published: 0, draft: 0, changed: 0, archived: 0 };
+    let lastUpdatedAt = null;
+
+    typeEntries.forEach((entry) => {
+      statuses[getEntryStatus(entry.sys)] += 1;
+      if (!lastUpdatedAt || entry.sys.updatedAt > lastUpdatedAt) {
+        lastUpdatedAt = entry.sys.updatedAt;
+      }
+    });
+
+    const fields = {};
+    contentType.fields.forEach((field) => {
+      const values = typeEntries.map(
+        (entry) => (entry.fields || {})[field.id] || {}
+      );
+      const filled = values.filter((byLocale) =>
+        Object.values(byLocale).some(hasValue)
+      ).length;
+
+      const usage = {
+        filled,
+        fillRate: percent(filled, typeEntries.length),
+        locales: null,
+      };
+
+      if (field.localized) {
+        usage.locales = {};
+        localeCodes.forEach((code) => {
+          const localeFilled = values.filter((byLocale) =>
+            hasValue(byLocale[code])
+          ).length;
+          usage.locales[code] = {
+            filled: localeFilled,
+            fillRate: percent(localeFilled, typeEntries.length),
+          };
+        });
+      }
+
+      fields[field.id] = usage;
+    });
+
+    byContentType[contentType.sys.id] = {
+      entries: typeEntries.length,
+      ...statuses,
+      lastUpdatedAt,
+      fields,
+    };
+  });
+
+  const usageList = Object.entries(byContentType);
+  return {
+    locales: localeCodes,
+    totalEntries: usageList.reduce((sum, [, usage]) => sum + usage.entries, 0),
+    unusedContentTypes: usageList
+      .filter(([, usage]) => usage.entries === 0)
+      .map(([id]) => id),
+    emptyFields: usageList.flatMap(([id, usage]) =>
+      usage.entries === 0
+        ? []
+        : Object.entries(usage.fields)
+            .filter(([, field]) => field.filled === 0)
+            .map(([fieldId]) => `${id}.${fieldId}`)
+    ),
+    byContentType,
+  };
+}
+
+// "85% (en-US 100%, de-DE 70%)"
+export function formatFillRate(fieldUsage) {
+  const locales = fieldUsage.locales
+    ? ` (${Object.entries(fieldUsage.locales)
+        .map(([code, usage]) => `${code} ${usage.fillRate}%`)
+        .join(", ")})`
+    : "";
+  return `${fieldUsage.fillRate}%${locales}`;
+}
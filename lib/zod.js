@@ -0,0 +1,246 @@
+import { getValidationKind } from "./formatters.js";
+import { UNCHECKABLE_VALIDATIONS } from "./json-schema.js";
+
+// Shared helpers emitted at the top of the generated module
+const PRELUDE = `import { z } from "zod";
+
+const link = (linkType) =>
+  z.object({
+    sys: z.object({
+      type: z.literal("Link"),
+      linkType: z.literal(linkType),
+      id: z.string(),
+    }),
+  });
+
+const location = z.object({ lat: z.number(), lon: z.number() }).strict();
+
+const richText = z
+  .object({
+    nodeType: z.literal("document"),
+    data: z.record(z.unknown()),
+    content: z.array(z.unknown()),
+  })
+  .passthrough();
+
+const date = z.string().regex(/^\\d{4}-\\d{2}-\\d{2}/);`;
+
+function baseExpression(type, linkType) {
+  switch (type) {
+    case "Symbol":
+    case "Text":
+      return "z.string()";
+    case "Integer":
+      return "z.number().int()";
+    case "Number":
+      return "z.number()";
+    case "Boolean":
+      return "z.boolean()";
+    case "Date":
+      return "date";
+    case "Location":
+      return "location";
+    case "Object":
+      return "z.union([z.record(z.unknown()), z.array(z.unknown())])";
+    case "RichText":
+      return "richText";
+    case "Link":
+      return `link(${JSON.stringify(linkType)})`;
+    default:
+      return "z.unknown()";
+  }
+}
+
+function messageArg(validation) {
+  return validation.message
+    ? `, { message: ${JSON.stringify(validation.message)} }`
+    : "";
+}
+
+function regexLiteral(value) {
+  const pattern = value.pattern ?? value;
+  return `new RegExp(${JSON.stringify(pattern)}, ${JSON.stringify(
+    value.flags || ""
+  )})`;
+}
+
+// Append the Zod calls for one validation. Returns the new expression, or a
+// reason string in `skipped` when it can't be expressed.
+function applyValidation(expression, validation, { type }) {
+  const kind = getValidationKind(validation);
+  const value = validation[kind];
+  const message = messageArg(validation);
+
+  if (UNCHECKABLE_VALIDATIONS[kind]) {
+    return { expression, skipped: UNCHECKABLE_VALIDATIONS[kind] };
+  }
+
+  switch (kind) {
+    case "message":
+      return { expression };
+    case "size":
+    case "range": {
+      // z.string().min() counts characters, z.array().min() counts items
+      let result = expression;
+      if (value.min !== undefined) {
+        result += `.min(${value.min}${message})`;
+      }
+      if (value.max !== undefined) {
+        result += `.max(${value.max}${message})`;
+      }
+      return { expression: result };
+    }
+    case "in": {
+      const numeric = type === "Integer" || type === "Number";
+      const options = value.map((option) =>
+        numeric ? Number(option) : JSON.stringify(String(option))
+      );
+      return {
+        expression: `${expression}.refine((value) => [${options.join(
+          ", "
+        )}].includes(value)${
+          message || `, { message: "Value is not one of the allowed options" }`
+        })`,
+      };
+    }
+    case "regexp":
+      return {
+        expression: `${expression}.regex(${regexLiteral(value)}${message})`,
+      };
+    case "prohibitRegexp":
+      return {
+        expression: `${expression}.refine((value) => !${regexLiteral(
+          value
+        )}.test(value)${
+          message || `, { message: "Value matches a prohibited pattern" }`
+        })`,
+      };
+    case "dateRange": {
+      const checks = [];
+      if (value.min) {
+        checks.push(
+          `new Date(value) >= new Date(${JSON.stringify(value.min)})`
+        );
+      }
+      if (value.max) {
+        checks.push(
+          `new Date(value) <= new Date(${JSON.stringify(value.max)})`
+        );
+      }
+      if (checks.length === 0) return { expression };
+      return {
+        expression: `${expression}.refine((value) => ${checks.join(" && ")}${
+          message || `, { message: "Date is out of range" }`
+        })`,
+      };
+    }
+    default:
+      return { expression, skipped: `unknown validation kind "${kind}"` };
+  }
+}
+
+// Validations that wrap the schema in .refine(), after which the type
+// specific methods like .min() and .regex() are no longer available
+const REFINE_KINDS = ["in", "prohibitRegexp", "dateRange"];
+
+function applyValidations(expression, validations, options, warn) {
+  const ordered = [...(validations || [])].sort(
+    (a, b) =>
+      REFINE_KINDS.includes(getValidationKind(a)) -
+      REFINE_KINDS.includes(getValidationKind(b))
+  );
+
+  let result = expression;
+  ordered.forEach((validation) => {
+    const applied = applyValidation(result, validation, options);
+    if (applied.skipped) {
+      warn(getValidationKind(validation), applied.skipped);
+    }
+    result = applied.expression;
+  });
+  return result;
+}
+
+function fieldExpression(field, warn) {
+  if (field.type === "Array" && field.items) {
+    const items = applyValidations(
+      baseExpression(field.items.type, field.items.linkType),
+      field.items.validations,
+      { type: field.items.type },
+      (kind, reason) => warn(`items.${kind}`, reason)
+    );
+    return applyValidations(
+      `z.array(${items})`,
+      field.validations,
+      { type: field.type },
+      warn
+    );
+  }
+
+  return applyValidations(
+    baseExpression(field.type, field.linkType),
+    field.validations,
+    { type: field.type },
+    warn
+  );
+}
+
+function schemaName(contentTypeId) {
+  return `${contentTypeId.replace(/[^A-Za-z0-9_$]/g, "_")}Schema`;
+}
+
+// Generate an ES module exporting one Zod object schema per content type,
+// validating the field values of one locale like the JSON Schema exporter
+export function generateZodModule(contentTypes) {
+  const warnings = [];
+  const sections = [
+    "// Generated from the Contentful content model. Do not edit by hand.",
+    PRELUDE,
+  ];
+
+  contentTypes.forEach((contentType) => {
+    const lines = [];
+    lines.push(`// ${contentType.name}`);
+    lines.push(`export const ${schemaName(contentType.sys.id)} = z`);
+    lines.push("  .object({");
+
+    contentType.fields.forEach((field) => {
+      const warn = (validation, reason) =>
+        warnings.push({
+          contentType: contentType.sys.id,
+          field: field.id,
+          validation,
+          reason,
+        });
+
+      const expression = fieldExpression(field, warn);
+      lines.push(
+        `    ${JSON.stringify(field.id)}: ${expression}${
+          field.required ? "" : ".optional()"
+        },`
+      );
+    });
+
+    lines.push("  })");
+    lines.push("  .strict();");
+    sections.push(lines.join("\n"));
+  });
+
+  const map = contentTypes
+    .map((ct) => `  ${JSON.stringify(ct.sys.id)}: ${schemaName(ct.sys.id)},`)
+    .join("\n");
+  sections.push(`export const schemas = {\n${map}\n};`);
+
+  if (warnings.length > 0) {
+    sections.push(
+      [
+        "// Warnings: these validations could not be expressed and are not enforced",
+        ...warnings.map(
+          (w) => `//   ${w.contentType}.${w.field} ${w.validation}: ${w.reason}`
+        ),
+      ].join("\n")
+    );
+  }
+
+  return { source: `${sections.join("\n\n")}\n`, warnings };
+}
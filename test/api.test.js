@@ -0,0 +1,257 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createApiClient, getRetryDelay } from "../lib/api.js";
+
+// Start a mock API on a free port. `handle` gets each request and its parsed
+// URL; every request is recorded. The server stops when the test ends.
+async function startMockApi(t, handle) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    requests.push({
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      authorization: req.headers.authorization,
+    });
+    handle(req, res, url);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+
+  const { port } = server.address();
+  return { requests, baseUrl: `http://127.0.0.1:${port}` };
+}
+
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(data));
+}
+
+// A collection endpoint of `total` items that returns at most `maxLimit`
+// items per page, like the API does
+function collection(total, maxLimit = 1000) {
+  const items = Array.from({ length: total }, (_, i) => ({ sys: { id: i } }));
+  return (url) => {
+    const skip = Number(url.searchParams.get("skip"));
+    const limit = Math.min(Number(url.searchParams.get("limit")), maxLimit);
+    return { total, skip, limit, items: items.slice(skip, skip + limit) };
+  };
+}
+
+// A client for the mock API that records retry delays instead of waiting
+function testClient(baseUrl, options = {}) {
+  const delays = [];
+  const client = createApiClient({
+    accessToken: "test-token",
+    baseUrl,
+    sleep: async (ms) => {
+      delays.push(ms);
+    },
+    ...options,
+  });
+  return { client, delays };
+}
+
+test("getRetryDelay honors the rate-limit reset header", () => {
+  const headers = (values) => new Headers(values);
+  assert.equal(
+    getRetryDelay(headers({ "x-contentful-ratelimit-reset": "3" }), 0),
+    3100
+  );
+  assert.equal(getRetryDelay(headers({ "retry-after": "0" }), 4), 100);
+  assert.equal(getRetryDelay(headers({}), 0), 1000);
+  assert.equal(getRetryDelay(headers({}), 2), 4000);
+  assert.equal(getRetryDelay(null, 10), 30000);
+});
+
+test("getAll pages through skip and total with the access token", async (t) => {
+  const page = collection(7, 3);
+  const api = await startMockApi(t, (req, res, url) =>
+    sendJson(res, 200, page(url))
+  );
+  const progress = [];
+  const { client } = testClient(api.baseUrl, {
+    onProgress: (update) => progress.push(update),
+  });
+
+  const items = await client.getAll("/spaces/s/entries", {
+    query: { content_type: "article" },
+    pageSize: 500,
+    label: "entries",
+  });
+
+  assert.deepEqual(
+    items.map((item) => item.sys.id),
+    [0, 1, 2, 3, 4, 5, 6]
+  );
+  // The API capped the first page at 3, so later pages ask for 3
+  assert.deepEqual(
+    api.requests.map(({ query }) => [query.skip, query.limit]),
+    [
+      ["0", "500"],
+      ["3", "3"],
+      ["6", "3"],
+    ]
+  );
+  assert.ok(
+    api.requests.every(
+      ({ query, authorization }) =>
+        query.content_type === "article" &&
+        authorization === "Bearer test-token"
+    )
+  );
+  assert.deepEqual(progress[0], { label: "entries", loaded: 3, total: 7 });
+  assert.deepEqual(progress.at(-1), { label: "entries", loaded: 7, total: 7 });
+});
+
+test("rate-limited requests wait for the reset header and retry", async (t) => {
+  let calls = 0;
+  const api = await startMockApi(t, (req, res) => {
+    calls += 1;
+    if (calls === 1) {
+      sendJson(
+        res,
+        429,
+        { sys: { id: "RateLimitExceeded" } },
+        { "X-Contentful-RateLimit-Reset": "2" }
+      );
+    } else {
+      sendJson(res, 200, { sys: { id: "space" } });
+    }
+  });
+  const retries = [];
+  const { client, delays } = testClient(api.baseUrl, {
+    onRetry: (retry) => retries.push(retry),
+  });
+
+  assert.deepEqual(await client.get("/spaces/space"), {
+    sys: { id: "space" },
+  });
+  assert.equal(api.requests.length, 2);
+  assert.deepEqual(delays, [2100]);
+  assert.deepEqual(retries, [
+    {
+      method: "GET",
+      path: "/spaces/space",
+      status: 429,
+      attempt: 0,
+      delay: 2100,
+    },
+  ]);
+});
+
+test("server errors are retried with exponential backoff", async (t) => {
+  const statuses = [503, 502, 500];
+  const api = await startMockApi(t, (req, res) => {
+    const status = statuses.shift() ?? 200;
+    sendJson(res, status, { ok: status === 200 });
+  });
+  const { client, delays } = testClient(api.baseUrl);
+
+  assert.deepEqual(await client.get("/spaces/space"), { ok: true });
+  assert.equal(api.requests.length, 4);
+  assert.deepEqual(delays, [1000, 2000, 4000]);
+});
+
+test("the last failed response is thrown once the retries run out", async (t) => {
+  const api = await startMockApi(t, (req, res) =>
+    sendJson(res, 503, { message: "Service unavailable" })
+  );
+  const { client, delays } = testClient(api.baseUrl, { maxRetries: 2 });
+
+  await assert.rejects(client.get("/spaces/space"), (error) => {
+    assert.equal(
+      error.message,
+      "GET /spaces/space failed with 503: Service unavailable"
+    );
+    assert.equal(error.status, 503);
+    assert.deepEqual(error.response.data, { message: "Service unavailable" });
+    return true;
+  });
+  assert.equal(api.requests.length, 3);
+  assert.equal(delays.length, 2);
+});
+
+test("client errors fail right away with the API response", async (t) => {
+  const api = await startMockApi(t, (req, res) => {
+    if (req.headers.authorization !== "Bearer test-token") {
+      sendJson(res, 401, {
+        sys: { id: "AccessTokenInvalid" },
+        message: "The access token you sent could not be found or is invalid.",
+      });
+    } else if (req.method === "PUT") {
+      res.writeHead(422, { "Content-Type": "text/plain" });
+      res.end("Validation failed");
+    } else {
+      sendJson(res, 200, { ok: true });
+    }
+  });
+
+  const { client: unauthorized, delays } = testClient(api.baseUrl, {
+    accessToken: "wrong-token",
+  });
+  await assert.rejects(unauthorized.get("/spaces/space"), (error) => {
+    assert.equal(error.status, 401);
+    assert.equal(error.response.data.sys.id, "AccessTokenInvalid");
+    assert.match(error.message, /^GET \/spaces\/space failed with 401: /);
+    return true;
+  });
+  assert.equal(api.requests.length, 1);
+  assert.deepEqual(delays, []);
+
+  // Bodies that aren't JSON still end up in response.data
+  const { client } = testClient(api.baseUrl);
+  await assert.rejects(
+    client.request("PUT", "/spaces/space/content_types/article", {
+      body: { name: "Article" },
+    }),
+    (error) => {
+      assert.equal(error.status, 422);
+      assert.deepEqual(error.response.data, { message: "Validation failed" });
+      return true;
+    }
+  );
+});
+
+test("network errors are retried, then reported", async () => {
+  // Take a free port and close it again, so connections are refused
+  const closed = http.createServer();
+  await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+  const { port } = closed.address();
+  await new Promise((resolve) => closed.close(resolve));
+
+  const retries = [];
+  const { client, delays } = testClient(`http://127.0.0.1:${port}`, {
+    maxRetries: 2,
+    onRetry: (retry) => retries.push(retry.status),
+  });
+
+  await assert.rejects(client.get("/spaces/space"), {
+    message: "GET /spaces/space failed: fetch failed",
+  });
+  assert.deepEqual(retries, [null, null]);
+  assert.deepEqual(delays, [1000, 2000]);
+});
+
+test("no more than `concurrency` requests are in flight", async (t) => {
+  const page = collection(20, 2);
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const api = await startMockApi(t, (req, res, url) => {
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    setTimeout(() => {
+      inFlight -= 1;
+      sendJson(res, 200, page(url));
+    }, 10);
+  });
+  const { client } = testClient(api.baseUrl, { concurrency: 3 });
+
+  const items = await client.getAll("/spaces/s/entries");
+
+  assert.equal(items.length, 20);
+  assert.equal(api.requests.length, 10);
+  assert.equal(maxInFlight, 3);
+});
@@ -0,0 +1,193 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  auditEntries,
+  generateAuditReport,
+  needsAssets,
+} from "../lib/audit.js";
+import { loadContentTypesFromFile } from "../lib/sources.js";
+
+const model = await loadContentTypesFromFile(
+  path.join(
+    path.dirname(fileURLToPath(import.meta.url)),
+    "fixtures",
+    "audit-entries.json"
+  )
+);
+
+const audit = (options = {}) =>
+  auditEntries(model.contentTypes, model.entries, {
+    locales: model.locales,
+    assets: model.assets,
+    ...options,
+  });
+
+// Violations as "entry field locale rule", in report order
+const summarize = (violations) =>
+  violations.map(
+    (violation) =>
+      `${violation.entryId} ${violation.field} ${violation.locale} ${violation.rule}`
+  );
+
+test("auditEntries passes values that meet their validations", () => {
+  const { violations } = audit();
+  // page-valid only shares its slug with page-duplicate
+  assert.deepEqual(
+    summarize(violations.filter((v) => v.entryId === "page-valid")),
+    ["page-valid slug en-US unique"]
+  );
+  assert.equal(
+    violations.some((violation) => violation.contentType !== "page"),
+    false
+  );
+});
+
+test("auditEntries reports each failing validation of an entry", () => {
+  const { violations } = audit();
+  assert.deepEqual(
+    summarize(violations.filter((v) => v.entryId === "page-invalid")),
+    [
+      "page-invalid title en-US size",
+      "page-invalid slug en-US regexp",
+      "page-invalid rating en-US range",
+      "page-invalid category en-US in",
+      "page-invalid author en-US linkContentType",
+      "page-invalid tags en-US size",
+      "page-invalid tags en-US items.in",
+      "page-invalid body en-US nodes",
+      "page-invalid body en-US nodes",
+      "page-invalid body en-US nodes",
+      "page-invalid body en-US nodes",
+    ]
+  );
+
+  const messages = Object.fromEntries(
+    violations
+      .filter((v) => v.entryId === "page-invalid" && v.rule !== "nodes")
+      .map((v) => [v.rule, v.message])
+  );
+  assert.equal(messages.size, "Has 3 items, expected at most 2 items");
+  assert.equal(messages.range, "Value is 9, expected 1-5");
+  assert.equal(
+    messages.linkContentType,
+    'Links to post-1 of type "post", allowed: person'
+  );
+  assert.equal(
+    messages["items.in"],
+    'Item 2: Value "c" is not one of the allowed options'
+  );
+});
+
+test("auditEntries checks rich text nodes against their node type rules", () => {
+  const { violations } = audit();
+  assert.deepEqual(
+    violations
+      .filter((v) => v.rule === "nodes")
+      .map((v) => `${v.entryId} ${v.field}: ${v.message}`),
+    [
+      'page-invalid body: embedded-entry-block: Links to post-1 of type "post", allowed: person',
+      "page-invalid body: Has 2 embedded-entry-block nodes, expected at most 1",
+      "page-invalid body: embedded-asset-block: Asset manual is application/pdf, allowed: image",
+      "page-invalid body: resource-hyperlink: Links to crn:contentful:::content:spaces/other/entries/article-1, which is not an allowed resource",
+    ]
+  );
+  assert.equal(needsAssets(model.contentTypes), true);
+});
+
+test("auditEntries reports duplicates of unique fields within a content type", () => {
+  const { violations } = audit();
+  const unique = violations.filter((v) => v.rule === "unique");
+  assert.deepEqual(summarize(unique), [
+    "page-valid slug en-US unique",
+    "page-duplicate slug en-US unique",
+  ]);
+  // post-1 uses the same slug, but in another content type
+  assert.equal(
+    unique[0].message,
+    'Value "home" is also used by page-duplicate'
+  );
+  assert.equal(unique[1].message, 'Value "home" is also used by page-valid');
+});
+
+test("auditEntries reports missing required values in the default locale", () => {
+  const contentTypes = model.contentTypes.map((ct) =>
+    ct.sys.id === "page"
+      ? {
+          ...ct,
+          fields: ct.fields.map((field) =>
+            field.id === "tags" ? { ...field, required: true } : field
+          ),
+        }
+      : ct
+  );
+  const { violations, checkedEntries, invalidEntries } = auditEntries(
+    contentTypes,
+    model.entries,
+    { locales: model.locales }
+  );
+  assert.deepEqual(summarize(violations.filter((v) => v.rule === "required")), [
+    "page-duplicate tags en-US required",
+  ]);
+  assert.equal(checkedEntries, 5);
+  assert.equal(invalidEntries, 3);
+});
+
+test("generateAuditReport tallies violations by rule", () => {
+  const report = generateAuditReport(audit(), {
+    spaceId: "space",
+    environmentId: "master",
+  });
+  assert.match(report, /\*\*Violations:\*\* 13/);
+  assert.match(report, /- `unique`: 2/);
+  assert.match(
+    report,
+    /\| `page-invalid` \| page \| published \| `rating` \| en-US \| `range` \| Value is 9, expected 1-5 \|/
+  );
+});
+
+test("invalid patterns are reported as warnings instead of failing the audit", () => {
+  const contentTypes = [
+    {
+      sys: { id: "code" },
+      fields: [
+        {
+          id: "sku",
+          type: "Symbol",
+          validations: [{ regexp: { pattern: "([A-Z" } }],
+        },
+        {
+          id: "name",
+          type: "Symbol",
+          validations: [
+            { regexp: { pattern: "^[a-z]+$", flags: "g" } },
+            { prohibitRegexp: { pattern: "(?<", flags: null } },
+          ],
+        },
+      ],
+    },
+  ];
+  // The same value twice: a compiled /g pattern must not keep its position
+  const entries = ["first", "second"].map((id) => ({
+    sys: { id, contentType: { sys: { id: "code" } } },
+    fields: { sku: { "en-US": "AB-1" }, name: { "en-US": "widget" } },
+  }));
+  const result = auditEntries(contentTypes, entries);
+
+  assert.deepEqual(result.violations, []);
+  assert.deepEqual(
+    result.warnings.map(
+      (warning) => `${warning.contentType}.${warning.field} ${warning.rule}`
+    ),
+    ["code.sku regexp", "code.name prohibitRegexp"]
+  );
+  assert.match(
+    result.warnings[0].message,
+    /^Pattern is not checked: Invalid regular expression: \/\(\[A-Z\/: /
+  );
+  assert.match(
+    generateAuditReport(result, { spaceId: "space", environmentId: "master" }),
+    /## Unchecked Validations\n\n- `code\.sku` `regexp`: Pattern is not checked: /
+  );
+});
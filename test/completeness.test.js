@@ -0,0 +1,127 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeCompleteness } from "../lib/completeness.js";
+import { loadFixture } from "./helpers.js";
+
+const model = await loadFixture();
+
+test("analyzeCompleteness lists every validation kind in the fixture", () => {
+  assert.deepEqual(analyzeCompleteness(model).validationTypes, [
+    "assetFileSize",
+    "assetImageDimensions",
+    "dateRange",
+    "enabledMarks",
+    "enabledNodeTypes",
+    "in",
+    "items.in",
+    "items.linkContentType",
+    "items.linkContentTypes",
+    "items.linkMimetypeGroup",
+    "items.size",
+    "linkContentType",
+    "linkMimetypeGroup",
+    "message",
+    "nodes",
+    "prohibitRegexp",
+    "range",
+    "regexp",
+    "size",
+    "unique",
+  ]);
+});
+
+test("analyzeCompleteness lists field types and rich text settings", () => {
+  const completeness = analyzeCompleteness(model);
+  assert.deepEqual(completeness.fieldTypes, [
+    "Array",
+    "Array<Link>",
+    "Array<ResourceLink>",
+    "Array<Symbol>",
+    "Boolean",
+    "Date",
+    "Integer",
+    "Link",
+    "Location",
+    "Number",
+    "Object",
+    "ResourceLink",
+    "RichText",
+    "Symbol",
+    "Text",
+  ]);
+  assert.deepEqual(completeness.richTextNodeTypes, [
+    "asset-hyperlink",
+    "embedded-asset-block",
+    "embedded-entry-block",
+    "embedded-entry-inline",
+    "entry-hyperlink",
+    "heading-2",
+    "hyperlink",
+    "resource-hyperlink",
+    "unordered-list",
+  ]);
+  assert.deepEqual(completeness.richTextMarks, ["bold", "code", "italic"]);
+});
+
+test("analyzeCompleteness captures every fixture validation", () => {
+  assert.deepEqual(analyzeCompleteness(model).uncapturedValidations, []);
+});
+
+test("analyzeCompleteness reports validations the formatter can't describe", () => {
+  const contentTypes = [
+    {
+      sys: { id: "page" },
+      name: "Page",
+      fields: [
+        {
+          id: "title",
+          name: "Title",
+          type: "Symbol",
+          validations: [{ futureRule: true }, { unique: true }],
+        },
+      ],
+    },
+  ];
+
+  // Accepts the content types array as well as a model
+  assert.deepEqual(analyzeCompleteness(contentTypes).uncapturedValidations, [
+    {
+      contentType: "Page",
+      field: "Title",
+      validation: { futureRule: true },
+    },
+  ]);
+});
+
+test("analyzeCompleteness checks array item validations", () => {
+  const contentTypes = [
+    {
+      sys: { id: "page" },
+      name: "Page",
+      fields: [
+        {
+          id: "keywords",
+          name: "Keywords",
+          type: "Array",
+          items: {
+            type: "Symbol",
+            validations: [{ in: ["a", "b"] }, { futureRule: true }],
+          },
+        },
+      ],
+    },
+  ];
+
+  const completeness = analyzeCompleteness(contentTypes);
+  assert.deepEqual(completeness.validationTypes, [
+    "items.futureRule",
+    "items.in",
+  ]);
+  assert.deepEqual(completeness.uncapturedValidations, [
+    {
+      contentType: "Page",
+      field: "Keywords (items)",
+      validation: { futureRule: true },
+    },
+  ]);
+});
@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateCsvReport } from "../lib/formats/csv.js";
+import { buildReport } from "../lib/report.js";
+import { loadFixture, matchGolden } from "./helpers.js";
+
+const model = await loadFixture();
+
+// Split CSV text into rows of fields, following RFC 4180 quoting
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(value);
+      value = "";
+    } else if (char === "\r" && text[i + 1] === "\n") {
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = "";
+      i += 1;
+    } else {
+      value += char;
+    }
+  }
+  return rows;
+}
+
+test("the csv report matches the golden file", async () => {
+  const { content } = buildReport(model, { format: "csv" });
+  assert.equal(content, await matchGolden("report.csv", content));
+});
+
+test("one row per field after the header, with CRLF line endings", () => {
+  const report = generateCsvReport(model.contentTypes);
+  const rows = parseCsv(report);
+  assert.equal(rows.length, 29);
+  assert.equal(rows[0][0], "Content Type ID");
+  assert.ok(rows.every((row) => row.length === 12));
+  assert.ok(report.endsWith("\r\n"));
+  assert.equal(report.split("\r\n").length, 30);
+});
+
+test("values with commas, quotes and newlines are quoted", () => {
+  const report = generateCsvReport([
+    {
+      sys: { id: "page" },
+      name: 'Page, "main"',
+      fields: [
+        {
+          id: "intro",
+          name: "Intro\nline two",
+          type: "Symbol",
+          validations: [{ in: ["a", "b"] }],
+        },
+        { id: "plain", name: "Plain", type: "Symbol" },
+      ],
+    },
+  ]);
+  const lines = report.split("\r\n");
+  assert.equal(
+    lines[1],
+    'page,"Page, ""main""",intro,"Intro\nline two",Symbol,Symbol,no,no,no,no,"Options: [""a"", ""b""]",'
+  );
+  assert.equal(
+    lines[2],
+    'page,"Page, ""main""",plain,Plain,Symbol,Symbol,no,no,no,no,None,'
+  );
+  assert.deepEqual(parseCsv(report)[1].slice(0, 4), [
+    "page",
+    'Page, "main"',
+    "intro",
+    "Intro\nline two",
+  ]);
+});
@@ -0,0 +1,175 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  diffContentTypes,
+  generateDiffReport,
+  stableStringify,
+} from "../lib/diff.js";
+import { loadFixture } from "./helpers.js";
+
+const model = await loadFixture();
+
+// A copy of the fixture content types with `edit` applied to article's
+// fields. `edit` returns the new field, several fields, or null to remove it.
+function editArticle(edit) {
+  return structuredClone(model.contentTypes).map((contentType) =>
+    contentType.sys.id === "article"
+      ? {
+          ...contentType,
+          fields: contentType.fields.flatMap((field) => edit(field) ?? []),
+        }
+      : contentType
+  );
+}
+
+// Changes as "field kind: message", with a ⚠️ for breaking ones
+const summarize = (diff) =>
+  diff.changed.flatMap((contentType) =>
+    contentType.changes.map(
+      (change) =>
+        `${change.field} ${change.kind}: ${change.message}${
+          change.breaking ? " ⚠️" : ""
+        }`
+    )
+  );
+
+test("stableStringify ignores key order", () => {
+  assert.equal(
+    stableStringify({ b: [1, { d: 1, c: 2 }], a: null }),
+    stableStringify({ a: null, b: [1, { c: 2, d: 1 }] })
+  );
+});
+
+test("identical models have no changes", () => {
+  const diff = diffContentTypes(model.contentTypes, model.contentTypes);
+  assert.deepEqual(diff, { added: [], removed: [], changed: [], breaking: [] });
+  assert.match(
+    generateDiffReport(diff, { from: "a", to: "b" }),
+    /No breaking changes detected\.\n[\s\S]*The content models are identical\./
+  );
+});
+
+test("added and removed content types are listed, removals as breaking", () => {
+  const [article, author] = model.contentTypes;
+  const page = { ...author, sys: { ...author.sys, id: "page" }, name: "Page" };
+  const diff = diffContentTypes([article, author], [article, page]);
+  assert.deepEqual(
+    diff.added.map((ct) => ct.sys.id),
+    ["page"]
+  );
+  assert.deepEqual(
+    diff.removed.map((ct) => ct.sys.id),
+    ["author"]
+  );
+  assert.deepEqual(diff.breaking, [
+    {
+      contentType: "author",
+      field: null,
+      kind: "content-type-removed",
+      message: "Content type removed",
+      breaking: true,
+    },
+  ]);
+});
+
+test("added and removed fields", () => {
+  const diff = diffContentTypes(
+    model.contentTypes,
+    editArticle((field) => {
+      if (field.id === "legacyId") return null;
+      if (field.id === "embargo") {
+        return [
+          field,
+          { id: "subtitle", name: "Subtitle", type: "Symbol", required: true },
+        ];
+      }
+      return field;
+    })
+  );
+  assert.deepEqual(summarize(diff), [
+    "legacyId field-removed: Field removed (Symbol) ⚠️",
+    "subtitle field-added: Field added (Symbol, required) ⚠️",
+  ]);
+  assert.equal(diff.breaking.length, 2);
+});
+
+test("changed field types and flags", () => {
+  const diff = diffContentTypes(
+    model.contentTypes,
+    editArticle((field) => {
+      if (field.id === "summary") {
+        return { ...field, name: "Teaser", type: "Symbol" };
+      }
+      if (field.id === "title") return { ...field, localized: false };
+      if (field.id === "category") return { ...field, required: true };
+      if (field.id === "slug") return { ...field, required: false };
+      return field;
+    })
+  );
+  assert.deepEqual(summarize(diff), [
+    "title flag: Localized: yes → no ⚠️",
+    "slug flag: Required: yes → no",
+    'summary name: Name: "Summary" → "Teaser"',
+    "summary type: Type: Text → Symbol ⚠️",
+    "category flag: Required: no → yes ⚠️",
+  ]);
+});
+
+test("narrowed validations are breaking, widened ones are not", () => {
+  const diff = diffContentTypes(
+    model.contentTypes,
+    editArticle((field) => {
+      switch (field.id) {
+        // Narrowed
+        case "title":
+          return {
+            ...field,
+            validations: [
+              { unique: true },
+              { size: { min: 10, max: 120 }, message: "Keep titles short" },
+            ],
+          };
+        case "category":
+          return { ...field, validations: [{ in: ["news", "opinion"] }] };
+        case "author":
+          return { ...field, validations: [] };
+        case "legacyId":
+          return { ...field, validations: [{ regexp: { pattern: "^\\d+$" } }] };
+        // Widened
+        case "summary":
+          return { ...field, validations: [{ size: { min: 10 } }] };
+        case "tags":
+          return {
+            ...field,
+            items: {
+              ...field.items,
+              validations: [
+                { size: { min: 2, max: 20 } },
+                { in: ["tech", "culture"] },
+              ],
+            },
+          };
+        default:
+          return field;
+      }
+    })
+  );
+  assert.deepEqual(summarize(diff), [
+    'title validations: Validations: Unique | Length: 5-120 chars; Message: "Keep titles short" → Unique | Length: 10-120 chars; Message: "Keep titles short" (`size` min raised to 10) ⚠️',
+    "summary validations: Validations: Min length: 20 chars → Min length: 10 chars",
+    'category validations: Validations: Options: ["news", "opinion", "feature"] → Options: ["news", "opinion"] (narrowed `in`: removed "feature") ⚠️',
+    // The type description names the allowed content types too
+    "author type: Type: Reference to [author] → Reference to Entry",
+    "author validations: Validations: Links to: [author] → None",
+    'tags validations: Array item validations: Length: 2-20 chars | Options: ["tech", "science", "culture"] → Length: 2-20 chars | Options: ["tech", "culture"] (narrowed `in`: removed "science") ⚠️',
+    "legacyId validations: Validations: None → Pattern: /^\\d+$/ (new `regexp` validation) ⚠️",
+  ]);
+
+  const report = generateDiffReport(diff, { from: "dev", to: "master" });
+  assert.match(report, /\*\*Changed Content Types:\*\* 1/);
+  assert.match(
+    report,
+    /## ⚠️ Breaking Changes\n\n- `article\.title`: Validations: /
+  );
+  assert.match(report, /- `category`: Validations: .*removed "feature"\) ⚠️\n/);
+});
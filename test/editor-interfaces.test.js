@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  formatEditorLayout,
+  formatWidget,
+  formatWidgetSettings,
+  getEntryEditors,
+  getFieldControl,
+  indexEditorInterfaces,
+} from "../lib/editor-interfaces.js";
+import { loadFixture } from "./helpers.js";
+
+const model = await loadFixture();
+const byId = indexEditorInterfaces(model.editorInterfaces);
+
+test("editor interfaces are indexed by content type id", () => {
+  assert.deepEqual([...byId.keys()], ["article", "author"]);
+  assert.equal(indexEditorInterfaces(null).size, 0);
+  // Interfaces without a content type link are skipped
+  assert.equal(indexEditorInterfaces([{ sys: { id: "default" } }]).size, 0);
+});
+
+test("field controls are found by field id", () => {
+  const article = byId.get("article");
+  assert.equal(getFieldControl(article, "slug").widgetId, "slugEditor");
+  assert.equal(getFieldControl(article, "summary"), undefined);
+  assert.equal(getFieldControl(null, "slug"), undefined);
+});
+
+test("formatWidget names the widget, its namespace and whether it is disabled", () => {
+  assert.equal(
+    formatWidget({ widgetId: "singleLine", widgetNamespace: "builtin" }),
+    "`singleLine` (builtin)"
+  );
+  assert.equal(
+    formatWidget({
+      widgetId: "seo-preview",
+      widgetNamespace: "app",
+      disabled: true,
+    }),
+    "`seo-preview` (app, disabled)"
+  );
+  // The namespace defaults to builtin; no widget is the default one
+  assert.equal(formatWidget({ widgetId: "rating" }), "`rating` (builtin)");
+  assert.equal(formatWidget(null), "Default");
+  assert.equal(formatWidget({ fieldId: "title" }), "Default");
+});
+
+test("formatWidgetSettings lists settings as JSON values, without help text", () => {
+  assert.equal(
+    formatWidgetSettings({
+      helpText: "Shown in listings",
+      trueLabel: "Yes",
+      stars: 5,
+      options: ["a", "b"],
+    }),
+    'trueLabel: "Yes", stars: 5, options: ["a","b"]'
+  );
+  assert.equal(formatWidgetSettings({ helpText: "Only help" }), null);
+  assert.equal(formatWidgetSettings(undefined), null);
+});
+
+test("getEntryEditors reads the editors list or the older single editor", () => {
+  assert.deepEqual(getEntryEditors(byId.get("article")).map(formatWidget), [
+    "`default-editor` (editor-builtin)",
+  ]);
+  const legacy = {
+    editor: { widgetId: "custom", widgetNamespace: "extension" },
+  };
+  assert.deepEqual(getEntryEditors(legacy), [legacy.editor]);
+  assert.equal(getEntryEditors(byId.get("author")), null);
+});
+
+test("formatEditorLayout nests field groups with their widgets", () => {
+  const editorInterface = {
+    editorLayout: [
+      {
+        groupId: "content",
+        name: "Content",
+        items: [
+          { fieldId: "title" },
+          { fieldId: "body" },
+          {
+            groupId: "seo",
+            name: "SEO",
+            items: [{ fieldId: "slug" }],
+          },
+        ],
+      },
+      { groupId: "empty", name: "Empty", items: [] },
+    ],
+    groupControls: [
+      {
+        groupId: "content",
+        widgetId: "topLevelTab",
+        widgetNamespace: "builtin",
+      },
+      {
+        groupId: "seo",
+        widgetId: "fieldset",
+        widgetNamespace: "builtin",
+        settings: { collapsedByDefault: true },
+      },
+    ],
+  };
+
+  assert.deepEqual(formatEditorLayout(editorInterface), [
+    "  - Content (`content`) [`topLevelTab` (builtin)]: `title`, `body`",
+    "    - SEO (`seo`) [`fieldset` (builtin) - collapsedByDefault: true]: `slug`",
+    "  - Empty (`empty`): No fields",
+  ]);
+  assert.deepEqual(formatEditorLayout(byId.get("article")), []);
+});
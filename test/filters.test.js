@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  describeFilter,
+  filterContentTypes,
+  globToRegExp,
+  isEmptyFilter,
+} from "../lib/filters.js";
+import { buildReport } from "../lib/report.js";
+import { loadFixture } from "./helpers.js";
+
+const model = await loadFixture();
+
+const ids = ({ contentTypes }) => contentTypes.map((ct) => ct.sys.id);
+
+test("globToRegExp matches whole ids with * and ?", () => {
+  assert.equal(globToRegExp("art*").test("article"), true);
+  assert.equal(globToRegExp("art*").test("part"), false);
+  assert.equal(globToRegExp("auth?r").test("author"), true);
+  assert.equal(globToRegExp("auth?r").test("authors"), false);
+  // Other regular expression characters are literal
+  assert.equal(globToRegExp("blog.post").test("blog-post"), false);
+  assert.equal(globToRegExp("blog.post").test("blog.post"), true);
+});
+
+test("isEmptyFilter ignores withDependencies on its own", () => {
+  assert.equal(isEmptyFilter(undefined), true);
+  assert.equal(isEmptyFilter({ include: [], withDependencies: true }), true);
+  assert.equal(isEmptyFilter({ tags: ["editorial"] }), false);
+  assert.equal(isEmptyFilter({ fields: ["required"] }), false);
+});
+
+test("filterContentTypes selects by include, exclude and tags", () => {
+  const filter = (options) => filterContentTypes(model.contentTypes, options);
+  assert.deepEqual(ids(filter({ include: ["a*"] })), ["article", "author"]);
+  assert.deepEqual(ids(filter({ include: ["a*"], exclude: ["auth*"] })), [
+    "article",
+  ]);
+  assert.deepEqual(ids(filter({ tags: ["editorial"] })), ["article"]);
+  assert.deepEqual(ids(filter({ tags: ["missing"] })), []);
+});
+
+test("withDependencies adds referenced content types, even excluded ones", () => {
+  const { contentTypes, dependencies } = filterContentTypes(
+    model.contentTypes,
+    { include: ["article"], exclude: ["author"], withDependencies: true }
+  );
+  assert.deepEqual(ids({ contentTypes }), ["article", "author"]);
+  // seoSettings is referenced by author but isn't part of the fixture
+  assert.deepEqual(dependencies, ["author", "seoSettings"]);
+});
+
+test("field filters keep matching fields and drop emptied content types", () => {
+  const { contentTypes } = filterContentTypes(model.contentTypes, {
+    fields: ["references", "required"],
+  });
+  assert.deepEqual(
+    contentTypes.map((ct) => `${ct.sys.id}: ${ct.fields.map((f) => f.id)}`),
+    ["article: author"]
+  );
+  assert.throws(
+    () => filterContentTypes(model.contentTypes, { fields: ["bogus"] }),
+    /^Error: Unknown field filter: bogus\. Use one of: references, /
+  );
+});
+
+test("describeFilter lists the active filters", () => {
+  assert.equal(
+    describeFilter({
+      include: ["a*"],
+      exclude: ["author"],
+      tags: ["editorial"],
+      fields: ["references", "required"],
+      withDependencies: true,
+    }),
+    "content types a*, excluding author, tagged editorial, with dependencies, references and required fields only"
+  );
+});
+
+test("buildReport renders an empty model but rejects filters matching nothing", () => {
+  const { content, summary } = buildReport(
+    { ...model, contentTypes: [] },
+    { format: "json" }
+  );
+  assert.equal(summary.contentTypes, 0);
+  assert.ok(content.length > 0);
+  assert.throws(() => buildReport(model, { filter: { include: ["nope"] } }), {
+    message: "No content types match the filters",
+  });
+});
@@ -0,0 +1,197 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  formatAllowedResources,
+  formatRichTextNodes,
+  formatTaxonomy,
+  formatValidations,
+  getAnnotations,
+  getFieldTypeDescription,
+  getTaxonomy,
+  getValidationKind,
+  normalizeNodeSettings,
+} from "../lib/formatters.js";
+import { findField, loadFixture } from "./helpers.js";
+
+const model = await loadFixture();
+
+// Expected formatValidations output for every fixture field
+const FIELD_VALIDATIONS = {
+  "article.title": 'Unique | Length: 5-120 chars; Message: "Keep titles short"',
+  "article.slug":
+    "Pattern: /^[a-z0-9-]+$/i | Prohibited pattern: /admin/ | Max length: 80 chars",
+  "article.summary": "Min length: 20 chars",
+  "article.category": 'Options: ["news", "opinion", "feature"]',
+  "article.body":
+    'Rich text nodes: [heading-2, unordered-list, hyperlink, entry-hyperlink, embedded-entry-block, embedded-asset-block, embedded-entry-inline, resource-hyperlink]; Message: "Only some nodes are allowed" | Rich text marks: [bold, italic, code] | Rich text content: Embedded entries: [author], at most 3 per document; Inline entries: [author, article], 1-10 per document; Entry links: [article]; Embedded assets: file size at most 1048576 bytes; Asset links: asset types [pdfdocument]; Resource links: entries [article] of space shared-space; External links: allowed',
+  "article.author": "Links to: [author]",
+  "article.heroImage":
+    "Asset types: [image] | Asset size: 1024-5242880 bytes | Image dimensions: width: 800-4000px, min height: 600px",
+  "article.related": "Array size: 1-3 items",
+  "article.tags": "Max items: 10",
+  "article.gallery": "Min items: 2",
+  "article.publishDate": "Date range: 2020-01-01 to 2030-12-31",
+  "article.embargo": "Date after: 2024-01-01",
+  "article.legacyId": "None",
+  "author.age": "Range: 18 to 120",
+  "author.rating": "Max value: 5",
+  "author.articleCount": "Min value: 0",
+  "author.bio": "Max length: 2000 chars",
+  "author.retiredOn": "Date before: 2099-12-31",
+  "author.website": 'Pattern: /^https?:///; Message: "Must be a URL"',
+  "author.seo": "Links to: seoSettings",
+};
+
+// Expected output for array item validations
+const ITEM_VALIDATIONS = {
+  "article.related": "Links to: article",
+  "article.tags":
+    'Length: 2-20 chars | Options: ["tech", "science", "culture"]',
+  "article.gallery": "Asset types: [image, video]",
+  "author.partners": "Links to any: [author, article]",
+  "author.links": "None",
+};
+
+const FIELD_TYPES = {
+  "article.title": "Symbol",
+  "article.summary": "Text",
+  "article.body": "RichText",
+  "article.author": "Reference to [author]",
+  "article.canonical": "Resource link to [article]",
+  "article.heroImage": "Reference to Asset",
+  "article.related": "Array<Reference to [article]>",
+  "article.tags": "Array<Symbol>",
+  "article.gallery": "Array<Reference to Asset>",
+  "article.publishDate": "Date",
+  "author.age": "Integer",
+  "author.rating": "Number",
+  "author.active": "Boolean",
+  "author.location": "Location",
+  "author.metadata": "Object",
+  "author.partners": "Array<Reference to Entry>",
+  "author.products":
+    "Array<Resource link to [product, bundle, Shopify:Product]>",
+};
+
+Object.entries(FIELD_VALIDATIONS).forEach(([key, expected]) => {
+  test(`formatValidations: ${key}`, () => {
+    const field = findField(model, key);
+    assert.equal(formatValidations(field.validations, field), expected);
+  });
+});
+
+Object.entries(ITEM_VALIDATIONS).forEach(([key, expected]) => {
+  test(`formatValidations: ${key} items`, () => {
+    const field = findField(model, key);
+    assert.equal(
+      formatValidations(field.items.validations, field.items),
+      expected
+    );
+  });
+});
+
+Object.entries(FIELD_TYPES).forEach(([key, expected]) => {
+  test(`getFieldTypeDescription: ${key}`, () => {
+    assert.equal(getFieldTypeDescription(findField(model, key)), expected);
+  });
+});
+
+test("formatValidations prints regexp flags once", () => {
+  assert.equal(
+    formatValidations([{ regexp: { pattern: "^a", flags: "gi" } }]),
+    "Pattern: /^a/gi"
+  );
+  assert.equal(
+    formatValidations([{ prohibitRegexp: { pattern: "b", flags: "m" } }]),
+    "Prohibited pattern: /b/m"
+  );
+  assert.equal(
+    formatValidations([{ regexp: { pattern: "^a", flags: null } }]),
+    "Pattern: /^a/"
+  );
+});
+
+test("formatValidations prints array sizes as item counts only", () => {
+  const field = { type: "Array", items: { type: "Symbol" } };
+  assert.equal(
+    formatValidations([{ size: { min: 1, max: 5 } }], field),
+    "Array size: 1-5 items"
+  );
+  assert.equal(
+    formatValidations([{ size: { min: 1, max: 5 } }], { type: "Symbol" }),
+    "Length: 1-5 chars"
+  );
+});
+
+test("formatValidations flags validations it can't describe", () => {
+  assert.equal(formatValidations([{ foo: 1 }]), 'Other: {"foo":1}');
+  assert.equal(formatValidations([{}]), "Unknown validation");
+  assert.equal(formatValidations([]), "None");
+  assert.equal(formatValidations(undefined), "None");
+  assert.equal(formatValidations([{ message: "Hi" }]), 'Message: "Hi"');
+});
+
+test("getValidationKind ignores the message", () => {
+  assert.equal(getValidationKind({ size: { max: 1 }, message: "x" }), "size");
+  assert.equal(getValidationKind({ message: "x" }), "message");
+});
+
+test("normalizeNodeSettings accepts every node settings shape", () => {
+  const validation = { linkContentType: ["author"] };
+  assert.deepEqual(normalizeNodeSettings([validation]), {
+    validations: [validation],
+    allowedResources: null,
+  });
+  assert.deepEqual(normalizeNodeSettings(validation), {
+    validations: [validation],
+    allowedResources: null,
+  });
+  assert.deepEqual(
+    normalizeNodeSettings({ allowedResources: [{ type: "Shopify:Product" }] }),
+    { validations: [], allowedResources: [{ type: "Shopify:Product" }] }
+  );
+});
+
+test("formatRichTextNodes describes node limits and unknown nodes", () => {
+  assert.deepEqual(
+    formatRichTextNodes({
+      "future-node": [],
+      "embedded-entry-inline": [{ size: { min: 2 } }],
+      "embedded-resource-block": {
+        validations: [{ size: { max: 1 } }],
+        allowedResources: [{ type: "Shopify:Product" }],
+      },
+    }),
+    [
+      "Inline entries: at least 2 per document",
+      "Embedded resources: at most 1 per document, Shopify:Product",
+      "future-node: allowed",
+    ]
+  );
+});
+
+test("formatAllowedResources names the source space", () => {
+  assert.deepEqual(
+    formatAllowedResources(
+      findField(model, "author.products").items.allowedResources
+    ),
+    ["entries [product, bundle] of space shop-space", "Shopify:Product"]
+  );
+  assert.deepEqual(formatAllowedResources(undefined), []);
+});
+
+test("getAnnotations and getTaxonomy read the content type metadata", () => {
+  const article = model.contentTypes.find((ct) => ct.sys.id === "article");
+  assert.deepEqual(getAnnotations(article), {
+    contentType: ["Contentful:AggregateRoot"],
+    fields: { related: ["Contentful:AggregateComponent"] },
+  });
+  assert.equal(
+    formatTaxonomy(getTaxonomy(article)),
+    "Concept scheme topics (required), Concept breaking-news"
+  );
+
+  const author = model.contentTypes.find((ct) => ct.sys.id === "author");
+  assert.deepEqual(getAnnotations(author), { contentType: [], fields: {} });
+  assert.deepEqual(getTaxonomy(author), []);
+});
@@ -0,0 +1,157 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ANY_ENTRY,
+  buildReferenceGraph,
+  collectLinkContentTypes,
+  toDot,
+  toMermaid,
+} from "../lib/graph.js";
+import { loadFixture } from "./helpers.js";
+
+const model = await loadFixture();
+
+const contentType = (id, fields) => ({ sys: { id }, name: id, fields });
+
+const richText = (id, validations) => ({ id, type: "RichText", validations });
+
+// Edges as "from -> to: field kind cardinality"
+const summarize = (graph) =>
+  graph.edges.map(
+    (edge) =>
+      `${edge.from} -> ${edge.to}: ${edge.field} ${edge.kind} ${edge.cardinality}`
+  );
+
+test("collectLinkContentTypes reads single ids and lists", () => {
+  assert.deepEqual(
+    collectLinkContentTypes([
+      { linkContentType: "author" },
+      { size: { max: 3 } },
+      { linkContentType: ["article", "page"] },
+    ]),
+    ["author", "article", "page"]
+  );
+  assert.deepEqual(collectLinkContentTypes(undefined), []);
+});
+
+test("reference fields point at their allowed content types or any entry", () => {
+  const graph = buildReferenceGraph(model.contentTypes);
+  assert.deepEqual(
+    graph.nodes.map((node) => node.id),
+    ["article", "author"]
+  );
+  assert.deepEqual(
+    summarize(graph).filter((edge) => edge.includes("reference")),
+    [
+      "article -> author: author reference one",
+      "article -> article: related reference many",
+      "author -> *: partners reference many",
+      "author -> seoSettings: seo reference one",
+      "author -> *: links reference many",
+    ]
+  );
+});
+
+test("rich text without node restrictions can link any entry", () => {
+  const graph = buildReferenceGraph([
+    contentType("page", [richText("body", [])]),
+  ]);
+  assert.deepEqual(summarize(graph), [
+    "page -> *: body embedded many",
+    "page -> *: body hyperlink many",
+  ]);
+  assert.match(toMermaid(graph), /anyEntry\(\("Any entry"\)\)/);
+});
+
+test("rich text edges follow enabledNodeTypes and every node settings shape", () => {
+  const graph = buildReferenceGraph([
+    contentType("page", [
+      // Only entry links, restricted in the { validations } shape
+      richText("links", [
+        { enabledNodeTypes: ["paragraph", "entry-hyperlink"] },
+        {
+          nodes: {
+            "entry-hyperlink": {
+              validations: [{ linkContentType: ["article"] }],
+              allowedResources: [],
+            },
+            "embedded-entry-block": [{ linkContentType: ["author"] }],
+          },
+        },
+      ]),
+      // Block embeds as a list, inline embeds as an older single object
+      richText("embeds", [
+        { enabledNodeTypes: ["embedded-entry-block", "embedded-entry-inline"] },
+        {
+          nodes: {
+            "embedded-entry-block": [
+              { linkContentType: ["author"] },
+              { size: { max: 2 } },
+            ],
+            "embedded-entry-inline": { linkContentType: ["author"] },
+          },
+        },
+      ]),
+      // No entry nodes at all
+      richText("plain", [{ enabledNodeTypes: ["paragraph", "hyperlink"] }]),
+    ]),
+  ]);
+
+  assert.deepEqual(summarize(graph), [
+    "page -> article: links hyperlink many",
+    // Block and inline embeds of the same content type are one edge
+    "page -> author: embeds embedded many",
+  ]);
+});
+
+test("the graph renders as Mermaid flowchart, ER diagram and DOT", () => {
+  const graph = buildReferenceGraph([
+    contentType("blog-post", [
+      {
+        id: "author",
+        type: "Link",
+        linkType: "Entry",
+        validations: [{ linkContentType: ["person"] }],
+      },
+      { id: "body", type: "RichText", validations: [] },
+    ]),
+    { ...contentType("person", []), name: 'The "person"' },
+  ]);
+
+  assert.equal(
+    toMermaid(graph),
+    [
+      "flowchart LR",
+      '  blog_post["blog-post"]',
+      "  person[\"The 'person'\"]",
+      '  anyEntry(("Any entry"))',
+      '  blog_post -->|"author (1)"| person',
+      '  blog_post -.->|"body (embedded)"| anyEntry',
+      '  blog_post -.->|"body (hyperlink)"| anyEntry',
+    ].join("\n")
+  );
+  assert.match(
+    toMermaid(graph, "er"),
+    /\n {2}blog_post \|\|--o\| person : "author \(1\)"\n {2}blog_post \|\|\.\.o\{ anyEntry : "body \(embedded\)"/
+  );
+
+  const dot = toDot(graph);
+  assert.match(dot, /^digraph ContentModel \{\n/);
+  assert.match(
+    dot,
+    /\n {2}"person" \[label="The \\"person\\"\\n\(person\)"\];\n/
+  );
+  assert.match(
+    dot,
+    new RegExp(
+      `\\n {2}"${ANY_ENTRY.replace(
+        "*",
+        "\\*"
+      )}" \\[label="Any entry", shape=ellipse, style=dashed\\];\\n`
+    )
+  );
+  assert.match(
+    dot,
+    /\n {2}"blog-post" -> "\*" \[label="body \(hyperlink\)", arrowhead=crow, style=dashed\];\n\}\n$/
+  );
+});
@@ -0,0 +1,52 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadContentTypesFromFile } from "../lib/sources.js";
+
+const testDir = path.dirname(fileURLToPath(import.meta.url));
+
+export const FIXTURE_PATH = path.join(testDir, "fixtures", "space-export.json");
+
+// The fixture space export, loaded the way --input loads it
+export function loadFixture() {
+  return loadContentTypesFromFile(FIXTURE_PATH);
+}
+
+// A field of the fixture by "contentTypeId.fieldId"
+export function findField(model, key) {
+  const [contentTypeId, fieldId] = key.split(".");
+  const contentType = model.contentTypes.find(
+    (ct) => ct.sys.id === contentTypeId
+  );
+  return contentType?.fields.find((field) => field.id === fieldId);
+}
+
+// Reports print dates with toLocaleDateString, which depends on the locale
+// and time zone of the machine. Replace them so golden files match anywhere.
+export function normalizeDates(content, model) {
+  const dates = new Set([new Date().toLocaleDateString()]);
+  model.contentTypes.forEach((ct) => {
+    dates.add(new Date(ct.sys.createdAt).toLocaleDateString());
+    dates.add(new Date(ct.sys.updatedAt).toLocaleDateString());
+  });
+  (model.entries || []).forEach((entry) => {
+    dates.add(new Date(entry.sys.updatedAt).toLocaleDateString());
+  });
+  let normalized = content;
+  dates.forEach((date) => {
+    normalized = normalized.split(date).join("<date>");
+  });
+  return normalized;
+}
+
+// Compare against a golden file in test/golden. Run the tests with
+// UPDATE_GOLDEN=1 to write the current output instead.
+export async function matchGolden(name, actual) {
+  const goldenPath = path.join(testDir, "golden", name);
+  if (process.env.UPDATE_GOLDEN) {
+    await fs.mkdir(path.dirname(goldenPath), { recursive: true });
+    await fs.writeFile(goldenPath, actual, "utf8");
+    return actual;
+  }
+  return fs.readFile(goldenPath, "utf8");
+}
@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildReport, checkReportOptions } from "../lib/report.js";
+import { generateHtmlReport } from "../lib/formats/html.js";
+import { loadFixture, matchGolden, normalizeDates } from "./helpers.js";
+
+const model = await loadFixture();
+
+test("the html report matches the golden file", async () => {
+  const { content } = buildReport(model, { format: "html" });
+  const report = normalizeDates(content, model);
+  assert.equal(report, await matchGolden("report.html", report));
+});
+
+test("names, descriptions and values are escaped", () => {
+  const report = generateHtmlReport(
+    [
+      {
+        sys: {
+          id: "page",
+          createdAt: "2024-01-01T00:00:00Z",
+          updatedAt: "2024-01-01T00:00:00Z",
+        },
+        name: "<script>alert(1)</script>",
+        description: 'Pages & "posts" <b>only</b>',
+        displayField: "title",
+        fields: [
+          {
+            id: "title",
+            name: "Title <i>",
+            type: "Symbol",
+            defaultValue: { "en-US": "<none>" },
+            validations: [{ regexp: { pattern: "^<[a-z]+>$" } }],
+          },
+        ],
+      },
+    ],
+    {
+      spaceId: "space",
+      environmentId: "<env>",
+      filter: "tagged <new>",
+    }
+  );
+
+  assert.equal(report.includes("<script>alert(1)</script>"), false);
+  assert.match(report, /<h2>&lt;script&gt;alert\(1\)&lt;\/script&gt;<\/h2>/);
+  assert.match(
+    report,
+    /<li><a href="#ct-page">&lt;script&gt;alert\(1\)&lt;\/script&gt;<\/a><\/li>/
+  );
+  assert.match(
+    report,
+    /<blockquote>Pages &amp; &quot;posts&quot; &lt;b&gt;only&lt;\/b&gt;<\/blockquote>/
+  );
+  assert.match(
+    report,
+    /<summary>Title &lt;i&gt; <code>title<\/code><\/summary>/
+  );
+  assert.match(report, /data-search="title &lt;i&gt; title"/);
+  assert.match(report, /<li>en-US: <code>&lt;none&gt;<\/code><\/li>/);
+  assert.match(report, /Pattern: \/\^&lt;\[a-z\]\+&gt;\$\//);
+  assert.match(report, /<li><strong>Environment:<\/strong> &lt;env&gt;<\/li>/);
+  assert.match(
+    report,
+    /<li><strong>Filter:<\/strong> tagged &lt;new&gt;<\/li>/
+  );
+});
+
+test("references to reported content types link to their sections", () => {
+  const { content } = buildReport(model, {
+    format: "html",
+    filter: { include: ["article"] },
+  });
+  // author isn't part of this report, so it stays plain text
+  assert.match(
+    content,
+    /<li><strong>Type:<\/strong> Array&lt;Reference to \[<a href="#ct-article">article<\/a>\]&gt;<\/li>/
+  );
+  assert.match(
+    content,
+    /<li><strong>Type:<\/strong> Reference to \[author\]<\/li>/
+  );
+});
+
+test("the html report has the sections of the Markdown report", () => {
+  const { content } = buildReport(model, {
+    format: "html",
+    usage: true,
+    scorecard: true,
+    graph: true,
+  });
+  [
+    '<section id="locales">',
+    "<h3>Localized Fields by Content Type</h3>",
+    '<pre class="mermaid">flowchart LR',
+    '<section id="usage">',
+    '<section id="scorecard">',
+    "<h3>Editor Interface</h3>",
+  ].forEach((section) => assert.ok(content.includes(section), section));
+
+  // Fixture locales, usage and editor interfaces end up on the fields
+  assert.match(
+    content,
+    /<td><code>de-CH<\/code> → <code>de-DE<\/code> → <code>en-US<\/code><\/td>/
+  );
+  assert.match(
+    content,
+    /<li><strong>Fill Rate:<\/strong> 100% \(en-US 100%, de-DE 50%, de-CH 0%\)<\/li>/
+  );
+  assert.match(
+    content,
+    /<li><strong>Widget:<\/strong> <code>singleLine<\/code> \(builtin\)<\/li>/
+  );
+  assert.match(content, /<li>en-US: <code>news<\/code><\/li>/);
+});
+
+test("formats reject sections they can't show, before the model is loaded", () => {
+  assert.throws(() => checkReportOptions({ format: "csv", usage: true }), {
+    message:
+      "The csv format has no --usage section. Use md, json or html, or a --template",
+  });
+  assert.throws(() => checkReportOptions({ format: "pdf" }), {
+    message: "Unknown format: pdf. Use one of: md, json, csv, html, markdown",
+  });
+  // A template renders every section
+  checkReportOptions({ format: "csv", usage: true, template: "{{usage}}" });
+  checkReportOptions({ format: "html", usage: true, scorecard: true });
+  assert.throws(() => buildReport(model, { format: "csv", scorecard: true }), {
+    message: /no --scorecard section/,
+  });
+});
@@ -0,0 +1,144 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  analyzeImpact,
+  generateImpactReport,
+  getEntryLinks,
+  parseImpactTarget,
+} from "../lib/impact.js";
+import { loadFixture } from "./helpers.js";
+
+const model = await loadFixture();
+
+const summarize = (references) =>
+  references.map(
+    (reference) =>
+      `${reference.contentType}.${reference.field} ${reference.kind}`
+  );
+
+test("parseImpactTarget reads content type and field ids", () => {
+  assert.deepEqual(parseImpactTarget("article"), {
+    contentTypeId: "article",
+    fieldId: null,
+  });
+  assert.deepEqual(parseImpactTarget("article.title"), {
+    contentTypeId: "article",
+    fieldId: "title",
+  });
+  assert.throws(() => parseImpactTarget("article."), /Invalid target/);
+  assert.throws(() => parseImpactTarget("a.b.c"), /Invalid target/);
+});
+
+test("getEntryLinks treats rich text without validations as unrestricted", () => {
+  assert.deepEqual(
+    getEntryLinks({ id: "body", type: "RichText", validations: [] }),
+    [
+      { kind: "embedded", cardinality: "many", contentTypes: null },
+      { kind: "embedded", cardinality: "many", contentTypes: null },
+      { kind: "hyperlink", cardinality: "many", contentTypes: null },
+    ]
+  );
+  assert.deepEqual(getEntryLinks({ id: "title", type: "Symbol" }), []);
+});
+
+test("getEntryLinks reads rich text nodes in the API's array form", () => {
+  const links = getEntryLinks({
+    id: "body",
+    type: "RichText",
+    validations: [
+      { enabledNodeTypes: ["entry-hyperlink"] },
+      { nodes: { "entry-hyperlink": [{ linkContentType: ["page"] }] } },
+    ],
+  });
+  assert.deepEqual(links, [
+    { kind: "hyperlink", cardinality: "many", contentTypes: ["page"] },
+  ]);
+});
+
+test("analyzeImpact lists the fields that can link to a content type", () => {
+  const impact = analyzeImpact(model.contentTypes, {
+    contentTypeId: "author",
+  });
+
+  assert.deepEqual(summarize(impact.references), [
+    "article.body embedded",
+    "article.author reference",
+    "author.partners reference",
+  ]);
+  assert.deepEqual(summarize(impact.unrestricted), ["author.links reference"]);
+  assert.equal(impact.entries, null);
+});
+
+test("analyzeImpact counts the entries linking to the target", () => {
+  const impact = analyzeImpact(
+    model.contentTypes,
+    { contentTypeId: "author" },
+    { entries: model.entries }
+  );
+
+  assert.deepEqual(impact.entries, {
+    targetEntries: 1,
+    linkingEntries: 1,
+    filledEntries: null,
+  });
+  const author = impact.references.find(
+    (reference) => reference.field === "author"
+  );
+  assert.equal(author.entries, 1);
+});
+
+test("analyzeImpact lists the settings that use a field", () => {
+  const impact = analyzeImpact(
+    model.contentTypes,
+    { contentTypeId: "article", fieldId: "title" },
+    { editorInterfaces: model.editorInterfaces, entries: model.entries }
+  );
+
+  assert.equal(impact.fieldDependents.length, 2);
+  assert.match(impact.fieldDependents[0], /Display field/);
+  assert.match(impact.fieldDependents[1], /`slug` \(slugEditor\)/);
+  assert.equal(impact.entries.filledEntries, 2);
+  // Inline embeds of the body accept articles too
+  assert.deepEqual(summarize(impact.references), [
+    "article.body embedded",
+    "article.body hyperlink",
+    "article.related reference",
+    "author.partners reference",
+  ]);
+});
+
+test("analyzeImpact rejects unknown targets", () => {
+  assert.throws(
+    () => analyzeImpact(model.contentTypes, { contentTypeId: "nope" }),
+    /Unknown content type: nope/
+  );
+  assert.throws(
+    () =>
+      analyzeImpact(model.contentTypes, {
+        contentTypeId: "article",
+        fieldId: "nope",
+      }),
+    /Unknown field: article.nope/
+  );
+});
+
+test("generateImpactReport renders both reference tables", () => {
+  const report = generateImpactReport(
+    analyzeImpact(
+      model.contentTypes,
+      { contentTypeId: "author" },
+      { entries: model.entries }
+    ),
+    { spaceId: "fixture-space", environmentId: "master" }
+  );
+
+  assert.match(report, /^# Contentful Impact Analysis: Author \(`author`\)/);
+  assert.match(
+    report,
+    /\| Article \(`article`\) \| Author \(`author`\) \| Reference \| One \| 1 \|/
+  );
+  assert.match(
+    report,
+    /## Unrestricted References\n\n.*\n\n.*\n.*\n\| Author \(`author`\) \| Links \(`links`\) \| Reference \| Many \| 0 \|/
+  );
+});
@@ -0,0 +1,127 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  formatSchemaWarnings,
+  generateJsonSchemas,
+} from "../lib/json-schema.js";
+import { loadFixture } from "./helpers.js";
+
+const model = await loadFixture();
+const { schemas, warnings } = generateJsonSchemas(model.contentTypes);
+
+const warningsFor = (key) =>
+  warnings
+    .filter((warning) => `${warning.contentType}.${warning.field}` === key)
+    .map((warning) => `${warning.validation}: ${warning.reason}`);
+
+test("one object schema per content type, listing its required fields", () => {
+  assert.deepEqual(Object.keys(schemas), ["article", "author"]);
+  const { properties, ...article } = schemas.article;
+  assert.deepEqual(article, {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    $id: "contentful:article",
+    title: "Article",
+    description: "A news article",
+    type: "object",
+    required: ["title", "slug", "author", "publishDate"],
+    additionalProperties: false,
+  });
+  // Optional fields are only left out of `required`
+  assert.equal(Object.keys(properties).length, 14);
+  assert.deepEqual(schemas.author.required, ["name"]);
+});
+
+test("size limits the length of text and the items of arrays", () => {
+  assert.deepEqual(schemas.article.properties.title, {
+    title: "Title",
+    type: "string",
+    minLength: 5,
+    maxLength: 120,
+    description: "Keep titles short",
+  });
+  const { tags } = schemas.article.properties;
+  assert.equal(tags.maxItems, 10);
+  assert.deepEqual(tags.items, {
+    type: "string",
+    minLength: 2,
+    maxLength: 20,
+    enum: ["tech", "science", "culture"],
+  });
+});
+
+test("range and in become bounds and enums", () => {
+  assert.deepEqual(schemas.author.properties.age, {
+    title: "Age",
+    type: "integer",
+    minimum: 18,
+    maximum: 120,
+  });
+  assert.deepEqual(schemas.article.properties.category.enum, [
+    "news",
+    "opinion",
+    "feature",
+  ]);
+  const numeric = generateJsonSchemas([
+    {
+      sys: { id: "score" },
+      name: "Score",
+      fields: [
+        { id: "stars", type: "Integer", validations: [{ in: ["1", 2] }] },
+      ],
+    },
+  ]);
+  assert.deepEqual(numeric.schemas.score.properties.stars.enum, [1, 2]);
+});
+
+test("regexp becomes a pattern unless it has flags", () => {
+  assert.deepEqual(schemas.author.properties.website, {
+    title: "Website",
+    type: "string",
+    pattern: "^https?://",
+    description: "Must be a URL",
+  });
+  const { slug } = schemas.article.properties;
+  assert.equal(slug.pattern, undefined);
+  assert.deepEqual(slug.not, { pattern: "admin" });
+  assert.deepEqual(warningsFor("article.slug"), [
+    'regexp: regular expression flags "i" are not supported by JSON Schema',
+  ]);
+});
+
+test("links are checked by shape, their targets are reported as warnings", () => {
+  assert.deepEqual(
+    schemas.article.properties.author.properties.sys.properties,
+    {
+      type: { const: "Link" },
+      linkType: { const: "Entry" },
+      id: { type: "string" },
+    }
+  );
+  assert.equal(
+    schemas.article.properties.related.items.properties.sys.properties.linkType
+      .const,
+    "Entry"
+  );
+  assert.deepEqual(warningsFor("article.author"), [
+    "linkContentType: linked entries are not resolved during validation",
+  ]);
+  assert.deepEqual(warningsFor("article.related"), [
+    "items.linkContentType: linked entries are not resolved during validation",
+  ]);
+  assert.deepEqual(warningsFor("article.heroImage"), [
+    "linkMimetypeGroup: asset metadata is not available during validation",
+    "assetFileSize: asset metadata is not available during validation",
+    "assetImageDimensions: asset metadata is not available during validation",
+  ]);
+});
+
+test("formatSchemaWarnings lists the skipped validations", () => {
+  assert.equal(
+    formatSchemaWarnings(warnings.slice(0, 1), "JSON Schema Warnings"),
+    "## JSON Schema Warnings\n\nThese validations could not be expressed and are not enforced:\n\n- `article.title` `unique`: uniqueness is checked across entries by Contentful\n"
+  );
+  assert.equal(
+    formatSchemaWarnings([], "Zod Warnings"),
+    "## Zod Warnings\n\nAll validations were translated.\n"
+  );
+});
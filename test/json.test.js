@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { describeField, generateJsonReport } from "../lib/formats/json.js";
+import { buildReport } from "../lib/report.js";
+import { findField, loadFixture, matchGolden } from "./helpers.js";
+
+const model = await loadFixture();
+
+test("the json report matches the golden file", async () => {
+  const { content } = buildReport(model, { format: "json" });
+  assert.equal(content, await matchGolden("report.json", content));
+});
+
+test("the json report has no timestamp and sorts content types by id", () => {
+  const context = {
+    spaceId: "space",
+    environmentId: "master",
+    summary: null,
+    completeness: null,
+  };
+  const report = generateJsonReport([...model.contentTypes].reverse(), context);
+  assert.equal(report, generateJsonReport(model.contentTypes, context));
+
+  const data = JSON.parse(report);
+  assert.deepEqual(
+    data.contentTypes.map((ct) => ct.id),
+    ["article", "author"]
+  );
+  assert.deepEqual(Object.keys(data), [
+    "spaceId",
+    "environmentId",
+    "filter",
+    "locales",
+    "summary",
+    "completeness",
+    "usage",
+    "scorecard",
+    "contentTypes",
+  ]);
+});
+
+test("the json report includes usage and scorecard data when asked for", () => {
+  const data = JSON.parse(
+    buildReport(model, { format: "json", usage: true, scorecard: true }).content
+  );
+  assert.equal(data.usage.totalEntries, 3);
+  assert.deepEqual(
+    data.scorecard.contentTypes.map((ct) => ct.id),
+    ["article", "author"]
+  );
+  assert.equal(
+    JSON.parse(buildReport(model, { format: "json" }).content).usage,
+    null
+  );
+});
+
+test("describeField parses validations with readable descriptions", () => {
+  const title = describeField(findField(model, "article.title"));
+  assert.deepEqual(title.validations, [
+    { kind: "unique", value: true, message: null, description: "Unique" },
+    {
+      kind: "size",
+      value: { min: 5, max: 120 },
+      message: "Keep titles short",
+      description: 'Length: 5-120 chars; Message: "Keep titles short"',
+    },
+  ]);
+  assert.equal(title.items, null);
+
+  const tags = describeField(findField(model, "article.tags"));
+  assert.equal(tags.typeDescription, "Array<Symbol>");
+  assert.deepEqual(
+    tags.items.validations.map((validation) => validation.kind),
+    ["size", "in"]
+  );
+});
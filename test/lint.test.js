@@ -0,0 +1,248 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { promisify } from "util";
+import { lintContentTypes, resolveRules } from "../lib/lint.js";
+
+const SCRIPT_PATH = fileURLToPath(
+  new URL("../contentful-content-types-script.js", import.meta.url)
+);
+
+const field = (id, props = {}) => ({
+  id,
+  name: id,
+  type: "Symbol",
+  validations: [{ size: { max: 100 } }],
+  ...props,
+});
+
+const contentType = (id, fields, props = {}) => ({
+  sys: { id },
+  name: id,
+  description: `The ${id} content type`,
+  displayField: fields[0]?.id,
+  fields,
+  ...props,
+});
+
+// Passes every rule, content-type-id-convention included
+const clean = () => [
+  contentType("page", [
+    field("title"),
+    field("category", { validations: [{ in: ["news", "blog"] }] }),
+    field("author", {
+      type: "Link",
+      linkType: "Entry",
+      validations: [{ linkContentType: ["person"] }],
+    }),
+    field("tags", {
+      type: "Array",
+      validations: [],
+      items: { type: "Symbol", validations: [{ size: { max: 20 } }] },
+    }),
+    field("hidden", { disabled: true }),
+  ]),
+  contentType("person", [field("name", { required: true })]),
+];
+
+// Only `rule` enabled, as an error
+const lintRule = (contentTypes, rule, options = {}) =>
+  lintContentTypes(contentTypes, {
+    rules: Object.fromEntries(
+      resolveRules().map(({ id }) => [
+        id,
+        id === rule ? ["error", options] : "off",
+      ])
+    ),
+  });
+
+// Violations as "contentType.field: message"
+const summarize = ({ violations }) =>
+  violations.map(
+    (violation) =>
+      `${violation.contentType}${
+        violation.field ? `.${violation.field}` : ""
+      }: ${violation.message}`
+  );
+
+// [rule, options, edit making `clean()` fail it, expected violations]
+const CASES = [
+  [
+    "display-field",
+    {},
+    ([page, person]) => [{ ...page, displayField: null }, person],
+    ["page: No display field set"],
+  ],
+  [
+    "description",
+    {},
+    ([page, person]) => [page, { ...person, description: "  " }],
+    ["person: Missing description"],
+  ],
+  [
+    "symbol-size",
+    {},
+    ([page, person]) => [
+      {
+        ...page,
+        fields: [
+          ...page.fields,
+          field("slug", { validations: [{ size: { min: 1 } }] }),
+          field("keywords", {
+            type: "Array",
+            items: { type: "Symbol" },
+          }),
+        ],
+      },
+      person,
+    ],
+    [
+      "page.slug: Symbol field has no size max validation",
+      "page.keywords: Symbol field has no size max validation",
+    ],
+  ],
+  [
+    "reference-restriction",
+    {},
+    ([page, person]) => [
+      {
+        ...page,
+        fields: [
+          ...page.fields,
+          field("related", {
+            type: "Array",
+            validations: [],
+            items: { type: "Link", linkType: "Entry" },
+          }),
+        ],
+      },
+      person,
+    ],
+    ["page.related: Reference field has no linkContentType restriction"],
+  ],
+  [
+    "unknown-content-type",
+    {},
+    ([page]) => [page],
+    ['page.author: Links to unknown content type "person"'],
+  ],
+  [
+    "required-hidden",
+    {},
+    ([page, person]) => [
+      page,
+      {
+        ...person,
+        fields: [
+          ...person.fields,
+          field("legacy", { required: true, omitted: true }),
+        ],
+      },
+    ],
+    ["person.legacy: Field is required but omitted"],
+  ],
+  [
+    "field-id-convention",
+    { pattern: "^[a-z]+$" },
+    ([page, person]) => [
+      page,
+      { ...person, fields: [...person.fields, field("firstName")] },
+    ],
+    ["person.firstName: Field id does not match ^[a-z]+$"],
+  ],
+  [
+    "content-type-id-convention",
+    {},
+    ([page, person]) => [page, { ...person, sys: { id: "Person" } }],
+    ["Person: Content type id does not match ^[a-z][a-zA-Z0-9]*$"],
+  ],
+];
+
+CASES.forEach(([rule, options, edit, expected]) => {
+  test(`${rule} passes a clean model and reports violations`, () => {
+    assert.deepEqual(summarize(lintRule(clean(), rule, options)), []);
+
+    const result = lintRule(edit(clean()), rule, options);
+    assert.deepEqual(summarize(result), expected);
+    assert.ok(result.violations.every((v) => v.rule === rule));
+  });
+});
+
+test("every rule has a case", () => {
+  assert.deepEqual(
+    CASES.map(([rule]) => rule).sort(),
+    resolveRules()
+      .map(({ id }) => id)
+      .sort()
+  );
+});
+
+test("severities come from the rule defaults and the config", () => {
+  const contentTypes = [
+    contentType("page", [field("title")], { displayField: null }),
+  ];
+  const defaults = lintContentTypes(contentTypes);
+  assert.deepEqual(
+    defaults.violations.map((v) => `${v.rule} ${v.severity}`),
+    ["display-field warn"]
+  );
+  assert.equal(defaults.errorCount, 0);
+  assert.equal(defaults.warningCount, 1);
+
+  const strict = lintContentTypes(contentTypes, {
+    rules: { "display-field": "error" },
+  });
+  assert.equal(strict.errorCount, 1);
+  assert.equal(strict.warningCount, 0);
+
+  assert.throws(() => resolveRules({ rules: { nope: "warn" } }), {
+    message: /^Unknown lint rule "nope"\. Available rules: display-field, /,
+  });
+  assert.throws(() => resolveRules({ rules: { description: "fatal" } }), {
+    message:
+      'Invalid severity "fatal" for lint rule "description". Use one of: off, warn, error',
+  });
+});
+
+const dirs = [];
+after(() =>
+  Promise.all(dirs.map((dir) => fs.rm(dir, { recursive: true, force: true })))
+);
+
+// Run the lint command over a content types file; resolves to the exit code
+async function runLint(contentTypes, lintConfig) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "content-lint-"));
+  dirs.push(dir);
+  await fs.writeFile(
+    path.join(dir, "content-types.json"),
+    JSON.stringify({ contentTypes })
+  );
+  await fs.writeFile(
+    path.join(dir, ".contentful-lint.json"),
+    JSON.stringify(lintConfig)
+  );
+
+  try {
+    await promisify(execFile)(
+      process.execPath,
+      [SCRIPT_PATH, "lint", "--input=content-types.json"],
+      { cwd: dir }
+    );
+    return 0;
+  } catch (error) {
+    return error.code;
+  }
+}
+
+test("lint exits with 1 on errors only", async () => {
+  const warnings = [contentType("page", [field("title"), field("Slug")])];
+  assert.equal(await runLint(warnings, {}), 0);
+  assert.equal(
+    await runLint(warnings, { rules: { "field-id-convention": "error" } }),
+    1
+  );
+});
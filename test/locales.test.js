@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  computeLocalizationMatrix,
+  describeLocales,
+  getFallbackChain,
+  getLocaleDefaults,
+} from "../lib/locales.js";
+import { loadFixture } from "./helpers.js";
+
+const model = await loadFixture();
+
+test("fallback chains follow fallbackCode to the end", () => {
+  assert.deepEqual(getFallbackChain("de-CH", model.locales), [
+    "de-CH",
+    "de-DE",
+    "en-US",
+  ]);
+  assert.deepEqual(getFallbackChain("en-US", model.locales), ["en-US"]);
+  assert.deepEqual(getFallbackChain("fr-FR", model.locales), []);
+});
+
+test("fallback chains stop at cycles and missing locales", () => {
+  const locales = [
+    { code: "a", fallbackCode: "b" },
+    { code: "b", fallbackCode: "a" },
+    { code: "c", fallbackCode: "gone" },
+  ];
+  assert.deepEqual(getFallbackChain("a", locales), ["a", "b"]);
+  assert.deepEqual(getFallbackChain("c", locales), ["c"]);
+});
+
+test("describeLocales puts the default locale first", () => {
+  const described = describeLocales([...model.locales].reverse());
+  assert.deepEqual(
+    described.map(
+      (locale) =>
+        `${locale.code} ${locale.default} ${locale.optional} ${locale.fallbackCode}`
+    ),
+    [
+      "en-US true false null",
+      "de-CH false true de-DE",
+      "de-DE false true en-US",
+    ]
+  );
+  assert.deepEqual(described[1].fallbackChain, ["de-CH", "de-DE", "en-US"]);
+});
+
+test("the localization matrix counts the editable fields per locale", () => {
+  const matrix = computeLocalizationMatrix(
+    [
+      {
+        sys: { id: "page" },
+        name: "Page",
+        fields: [
+          { id: "title", localized: true },
+          { id: "slug" },
+          { id: "legacy", localized: true, disabled: true },
+          { id: "internal", omitted: true },
+        ],
+      },
+    ],
+    model.locales
+  );
+  assert.deepEqual(matrix, [
+    {
+      contentType: "page",
+      name: "Page",
+      localizedFields: ["title"],
+      locales: { "en-US": 2, "de-DE": 1, "de-CH": 1 },
+    },
+  ]);
+});
+
+test("default values are split per locale when keyed by locale code", () => {
+  assert.deepEqual(
+    getLocaleDefaults(
+      { "en-US": "news", "de-DE": "nachrichten" },
+      model.locales
+    ),
+    [
+      ["en-US", "news"],
+      ["de-DE", "nachrichten"],
+    ]
+  );
+  // Without known locales any object keys count
+  assert.deepEqual(getLocaleDefaults({ fr: true }), [["fr", true]]);
+  // Object values that aren't keyed by the environment's locales
+  assert.equal(getLocaleDefaults({ lat: 1, lon: 2 }, model.locales), null);
+  assert.equal(getLocaleDefaults("news", model.locales), null);
+  assert.equal(getLocaleDefaults(["a"], model.locales), null);
+  assert.equal(getLocaleDefaults(null), null);
+});
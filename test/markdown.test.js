@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import {
+  buildTemplateData,
+  DEFAULT_TEMPLATE_PATH,
+  generateMarkdownReport,
+} from "../lib/formats/markdown.js";
+import { buildReport } from "../lib/report.js";
+import { matchGolden, loadFixture, normalizeDates } from "./helpers.js";
+
+const model = await loadFixture();
+
+test("generateMarkdownReport matches the golden file", async () => {
+  const report = normalizeDates(
+    generateMarkdownReport(model.contentTypes, {
+      spaceId: "fixture-space",
+      environmentId: "master",
+    }),
+    model
+  );
+  assert.equal(report, await matchGolden("report.md", report));
+});
+
+test("the full report matches the golden file", async () => {
+  const { content } = buildReport(model, {
+    usage: true,
+    graph: true,
+    scorecard: true,
+  });
+  const report = normalizeDates(content, model);
+  assert.equal(report, await matchGolden("report-full.md", report));
+});
+
+test("a filtered report matches the golden file", async () => {
+  const { content, summary } = buildReport(model, {
+    filter: { fields: ["references"] },
+  });
+  assert.equal(summary.totalFields, 9);
+  const report = normalizeDates(content, model);
+  assert.equal(report, await matchGolden("report-references.md", report));
+});
+
+test("buildReport renders a custom template", () => {
+  const template = [
+    "{{#each contentTypes}}",
+    "## {{name}}",
+    "| Field | Type | Validations |",
+    "{{#each fields}}",
+    "| {{id}} | {{typeDescription}} | {{#each validationRules}}{{this}}{{#unless @last}}<br>{{/unless}}{{else}}-{{/each}} |",
+    "{{/each}}",
+    "{{/each}}",
+    "{{summary.totalFields}} fields",
+  ].join("\n");
+  const { content, extension } = buildReport(model, {
+    template,
+    filter: { include: ["author"] },
+  });
+
+  assert.equal(extension, "md");
+  assert.match(content, /^## Author\n\| Field \| Type \| Validations \|\n/);
+  assert.match(content, /\| age \| Integer \| Range: 18 to 120 \|/);
+  assert.match(content, /\| name \| Symbol \| - \|/);
+  assert.match(content, /\n14 fields$/);
+});
+
+test("the default template is the Markdown report", async () => {
+  const template = await fs.readFile(DEFAULT_TEMPLATE_PATH, "utf8");
+  const { content } = buildReport(model, { template, graph: true });
+  assert.equal(
+    content.replace(/\n+$/, "\n"),
+    buildReport(model, { graph: true }).content
+  );
+});
+
+test("buildTemplateData describes fields for templates", () => {
+  const data = buildTemplateData(model.contentTypes, {
+    spaceId: "fixture-space",
+    environmentId: "master",
+    editorInterfaces: model.editorInterfaces,
+  });
+  const tags = data.contentTypes[0].fields.find((field) => field.id === "tags");
+
+  assert.equal(data.totalContentTypes, 2);
+  assert.equal(data.locales, null);
+  assert.equal(tags.typeDescription, "Array<Symbol>");
+  assert.deepEqual(tags.items.validationRules, [
+    "Length: 2-20 chars",
+    'Options: ["tech", "science", "culture"]',
+  ]);
+  assert.equal(tags.fillRate, null);
+  assert.equal(typeof tags.widget, "string");
+});
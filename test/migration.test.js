@@ -0,0 +1,180 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateMigrationScript } from "../lib/migration.js";
+
+const field = (id, props = {}) => ({
+  id,
+  name: id,
+  type: "Symbol",
+  localized: false,
+  required: false,
+  validations: [],
+  disabled: false,
+  omitted: false,
+  ...props,
+});
+
+const contentType = (id, fields) => ({
+  sys: { id },
+  name: id,
+  displayField: fields[0].id,
+  fields,
+});
+
+const generate = (target, source) =>
+  generateMigrationScript(
+    { contentTypes: target, editorInterfaces: null },
+    { contentTypes: source, editorInterfaces: null },
+    { sourceLabel: "dev", targetLabel: "master" }
+  );
+
+// Run a generated script against a stand-in for contentful-migration that
+// records every call as "method(firstArgument)"
+function runScript(script) {
+  const calls = [];
+  const chain = () =>
+    new Proxy(
+      {},
+      {
+        get:
+          (_, method) =>
+          (...args) => {
+            calls.push(`${method}(${JSON.stringify(args[0])})`);
+            return chain();
+          },
+      }
+    );
+  const module = {};
+  new Function("module", script)(module);
+  module.exports(chain());
+  return calls;
+}
+
+test("content type variables are distinct, valid identifiers", () => {
+  const ids = [
+    "blog-post",
+    "blog_post",
+    "default",
+    "class",
+    "new",
+    "migration",
+  ];
+  const { script } = generate(
+    [],
+    ids.map((id) => contentType(id, [field("title")]))
+  );
+
+  const declarations = script
+    .split("\n")
+    .filter((line) => line.includes("createContentType"))
+    .map((line) => line.trim().split(",")[0]);
+  assert.deepEqual(declarations, [
+    'const ct_blog_post = migration.createContentType("blog-post"',
+    'const ct_blog_post_2 = migration.createContentType("blog_post"',
+    'const ct_default = migration.createContentType("default"',
+    'const ct_class = migration.createContentType("class"',
+    'const ct_new = migration.createContentType("new"',
+    'const ct_migration = migration.createContentType("migration"',
+  ]);
+
+  // The script parses, and every content type gets its own field
+  assert.deepEqual(
+    runScript(script),
+    ids.flatMap((id) => [
+      `createContentType(${JSON.stringify(id)})`,
+      'createField("title")',
+      'name("title")',
+      'type("Symbol")',
+    ])
+  );
+});
+
+test("suffixes skip names that are already taken", () => {
+  const { script } = generate(
+    [],
+    ["a-b", "a_b_2", "a_b"].map((id) => contentType(id, [field("title")]))
+  );
+  assert.match(script, /const ct_a_b = migration\.createContentType\("a-b"/);
+  assert.match(
+    script,
+    /const ct_a_b_2 = migration\.createContentType\("a_b_2"/
+  );
+  assert.match(script, /const ct_a_b_3 = migration\.createContentType\("a_b"/);
+  runScript(script);
+});
+
+test("destructive changes are generated commented out", () => {
+  const { script, stats } = generate(
+    [
+      contentType("page", [
+        field("title", { localized: true }),
+        field("legacy"),
+      ]),
+      contentType("old", [field("name")]),
+    ],
+    [
+      contentType("page", [
+        field("title", {
+          required: true,
+          validations: [{ size: { max: 80 } }],
+        }),
+      ]),
+    ]
+  );
+
+  assert.equal(
+    script,
+    `// Generated by contentful-content-types-script.js migration
+// Changes the content model of master to match dev.
+// Review before running:
+//   contentful space migration --space-id <space id> --environment-id <environment id> <this file>
+// The source has no editor interfaces, so field controls are not migrated.
+
+module.exports = function (migration) {
+  // Update page
+  const ct_page = migration.editContentType("page");
+  // ⚠️ DESTRUCTIVE: deletes \`legacy\` and its content in every entry. Review and uncomment to apply.
+  // ct_page.deleteField("legacy");
+  ct_page
+    .editField("title")
+    .required(true)
+    .validations([{"size":{"max":80}}]);
+  // ⚠️ DESTRUCTIVE: turning off localization deletes the values of \`title\` in every locale but the default. Review and uncomment to apply.
+  // ct_page
+    // .editField("title")
+    // .localized(false);
+
+  // ⚠️ DESTRUCTIVE: deletes the old content type. Its entries must be deleted first. Review and uncomment to apply.
+  // migration.deleteContentType("old");
+};
+`
+  );
+  assert.deepEqual(stats, { created: 0, edited: 1, destructive: 3 });
+
+  // Only the safe edit runs
+  assert.deepEqual(runScript(script), [
+    'editContentType("page")',
+    'editField("title")',
+    "required(true)",
+    'validations([{"size":{"max":80}}])',
+  ]);
+});
+
+test("type changes are reported instead of migrated", () => {
+  const { script, warnings } = generate(
+    [contentType("page", [field("title"), field("count")])],
+    [contentType("page", [field("title"), field("count", { type: "Integer" })])]
+  );
+  assert.deepEqual(warnings, [
+    "page: `count` changed type. Contentful can't change the type of a field: create a new field, migrate the entries and delete the old one.",
+  ]);
+  assert.match(script, /\/\/ ⚠️ UNSUPPORTED: `count` changed type/);
+  assert.deepEqual(runScript(script), ['editContentType("page")']);
+});
+
+test("matching models produce an empty migration", () => {
+  const model = [contentType("page", [field("title")])];
+  const { script, stats } = generate(model, model);
+  assert.match(script, /\n {2}\/\/ The content models already match\.\n/);
+  assert.deepEqual(stats, { created: 0, edited: 0, destructive: 0 });
+});
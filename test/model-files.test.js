@@ -0,0 +1,264 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import fs from "fs/promises";
+import http from "http";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { promisify } from "util";
+import YAML from "yaml";
+import {
+  applyModelPlan,
+  exportModel,
+  formatModelPlan,
+  loadModelDirectory,
+  planModelChanges,
+  toModelFile,
+} from "../lib/model-files.js";
+import { loadFixture } from "./helpers.js";
+
+const model = await loadFixture();
+
+const dirs = [];
+after(() =>
+  Promise.all(dirs.map((dir) => fs.rm(dir, { recursive: true, force: true })))
+);
+
+async function exportFixture() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "content-model-"));
+  dirs.push(dir);
+  await exportModel(dir, model);
+  return dir;
+}
+
+async function editFile(dir, id, edit) {
+  const filePath = path.join(dir, `${id}.yaml`);
+  const data = YAML.parse(await fs.readFile(filePath, "utf8"));
+  await fs.writeFile(filePath, YAML.stringify(edit(data)), "utf8");
+}
+
+test("toModelFile leaves out sys data and default values", () => {
+  const file = toModelFile({
+    sys: { id: "tag", version: 4, createdAt: "2024-01-01T00:00:00.000Z" },
+    name: "Tag",
+    description: "",
+    displayField: "label",
+    fields: [
+      {
+        id: "label",
+        name: "Label",
+        type: "Symbol",
+        required: true,
+        localized: false,
+        disabled: false,
+        omitted: false,
+        validations: [],
+      },
+    ],
+  });
+
+  assert.deepEqual(file, {
+    id: "tag",
+    name: "Tag",
+    displayField: "label",
+    fields: [{ id: "label", name: "Label", type: "Symbol", required: true }],
+  });
+});
+
+test("an exported directory plans no changes", async () => {
+  const dir = await exportFixture();
+  assert.deepEqual((await fs.readdir(dir)).sort(), [
+    "article.yaml",
+    "author.yaml",
+  ]);
+
+  const plan = planModelChanges(await loadModelDirectory(dir), model);
+  assert.deepEqual(plan.create, []);
+  assert.deepEqual(plan.update, []);
+  assert.deepEqual(plan.unchanged, ["article", "author"]);
+});
+
+test("planModelChanges describes edits to the files", async () => {
+  const dir = await exportFixture();
+  await editFile(dir, "article", (data) => ({
+    ...data,
+    fields: [
+      ...data.fields.filter((field) => field.id !== "summary"),
+      { id: "kicker", name: "Kicker", type: "Symbol" },
+    ],
+    editor: {
+      controls: [
+        { fieldId: "category", widgetId: "radio", widgetNamespace: "builtin" },
+      ],
+    },
+  }));
+  await fs.unlink(path.join(dir, "author.yaml"));
+  await fs.writeFile(
+    path.join(dir, "tag.yaml"),
+    "id: tag\nname: Tag\nfields:\n  - {id: label, name: Label, type: Symbol}\n",
+    "utf8"
+  );
+
+  const plan = planModelChanges(await loadModelDirectory(dir), model);
+  assert.deepEqual(
+    plan.create.map((change) => change.id),
+    ["tag"]
+  );
+  assert.deepEqual(plan.untracked, [{ id: "author", name: "Author" }]);
+  assert.deepEqual(formatModelPlan(plan), [
+    "+ Tag (tag): new content type (Fields: 1)",
+    "~ Article (article):",
+    "    ⚠️  summary: Field removed (Text)",
+    "    kicker: Field added (Symbol)",
+    "    category: Widget: `dropdown` (builtin) → `radio` (builtin)",
+    "Only in the environment, left as they are: author",
+  ]);
+  assert.deepEqual(
+    plan.update[0].removedFields.map((field) => field.id),
+    ["summary"]
+  );
+});
+
+test("loadModelDirectory rejects invalid files", async () => {
+  const dir = await exportFixture();
+  await fs.writeFile(
+    path.join(dir, "tag.yaml"),
+    "id: label\nname: Tag\nfields: []\n",
+    "utf8"
+  );
+  await assert.rejects(
+    loadModelDirectory(dir),
+    /tag\.yaml: The id must be "tag"/
+  );
+
+  await fs.writeFile(
+    path.join(dir, "tag.yaml"),
+    "id: tag\nname: Tag\nfields:\n  - id: label\n    type: Symbol\n",
+    "utf8"
+  );
+  await assert.rejects(
+    loadModelDirectory(dir),
+    /Field 1 needs an id, a name and a type/
+  );
+
+  await fs.writeFile(
+    path.join(dir, "tag.yaml"),
+    "id: tag\nname: [Tag\n",
+    "utf8"
+  );
+  await assert.rejects(
+    loadModelDirectory(dir),
+    /Could not parse .*tag\.yaml: /
+  );
+});
+
+test("applyModelPlan omits removed fields before deleting them", async () => {
+  const dir = await exportFixture();
+  await editFile(dir, "article", (data) => ({
+    ...data,
+    fields: data.fields.filter((field) => field.id !== "summary"),
+  }));
+  const live = {
+    ...model,
+    contentTypes: model.contentTypes.map((ct) => ({
+      ...ct,
+      sys: { ...ct.sys, version: 5 },
+    })),
+  };
+  const plan = planModelChanges(await loadModelDirectory(dir), live);
+
+  const requests = [];
+  await applyModelPlan(plan, {
+    async request(method, resource, { body, headers } = {}) {
+      const removed = (body?.fields || [])
+        .filter((field) => field.id === "summary")
+        .map((field) => (field.deleted ? "deleted" : "omitted"));
+      requests.push(
+        `${method} ${resource} ${headers?.["X-Contentful-Version"]} ${removed}`
+      );
+      return {
+        sys: { version: Number(headers?.["X-Contentful-Version"]) + 1 },
+      };
+    },
+  });
+
+  assert.deepEqual(requests, [
+    "PUT content_types/article 5 omitted",
+    "PUT content_types/article/published 6 ",
+    "PUT content_types/article 7 deleted",
+    "PUT content_types/article/published 8 ",
+  ]);
+});
+
+test("applyModelPlan clears metadata removed from a file", async () => {
+  const dir = await exportFixture();
+  await editFile(dir, "article", ({ metadata, ...data }) => data);
+  const plan = planModelChanges(await loadModelDirectory(dir), model);
+  assert.deepEqual(
+    plan.update.map((change) => change.changes.map((c) => c.message)),
+    [["Metadata changed (tags, annotations or taxonomy)"]]
+  );
+
+  const saved = [];
+  await applyModelPlan(plan, {
+    async request(method, resource, { body } = {}) {
+      if (body) saved.push(body.metadata);
+      return { sys: { version: 2 } };
+    },
+  });
+  assert.deepEqual(saved, [{}]);
+});
+
+const SCRIPT_PATH = fileURLToPath(
+  new URL("../contentful-content-types-script.js", import.meta.url)
+);
+
+// Run `apply` against a mock Management API serving the fixture. Returns the
+// requests that would change the environment.
+async function runApply(t, dir, flags) {
+  const writes = [];
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    res.writeHead(200, { "Content-Type": "application/json" });
+    if (req.method !== "GET") {
+      writes.push(`${req.method} ${pathname}`);
+      return res.end(JSON.stringify({ sys: { version: 2 } }));
+    }
+    const items = pathname.endsWith("/content_types")
+      ? model.contentTypes
+      : pathname.endsWith("/editor_interfaces")
+      ? model.editorInterfaces
+      : [];
+    res.end(JSON.stringify({ total: items.length, items }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+
+  await promisify(execFile)(
+    process.execPath,
+    [SCRIPT_PATH, "apply", `--dir=${dir}`, ...flags],
+    {
+      cwd: dir,
+      env: {
+        ...process.env,
+        CONTENTFUL_API_URL: `http://127.0.0.1:${server.address().port}`,
+        CONTENTFUL_SPACE_ID: "fixture-space",
+        CONTENTFUL_MANAGEMENT_TOKEN: "test-token",
+      },
+    }
+  ).catch(() => null);
+  return writes;
+}
+
+test("apply only writes with --yes and without --dry-run", async (t) => {
+  const dir = await exportFixture();
+  await editFile(dir, "article", (data) => ({ ...data, name: "Story" }));
+
+  assert.deepEqual(await runApply(t, dir, []), []);
+  assert.deepEqual(await runApply(t, dir, ["--yes", "--dry-run"]), []);
+  assert.deepEqual(await runApply(t, dir, ["--yes"]), [
+    "PUT /spaces/fixture-space/environments/master/content_types/article",
+    "PUT /spaces/fixture-space/environments/master/content_types/article/published",
+  ]);
+});
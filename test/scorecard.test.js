@@ -0,0 +1,143 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  computeScorecard,
+  getValidationCoverage,
+  resolveThresholds,
+  SCORECARD_THRESHOLDS,
+} from "../lib/scorecard.js";
+import { loadFixture } from "./helpers.js";
+
+const model = await loadFixture();
+
+// A content type whose fields link to the given content types
+function linking(id, targets, { fields = 0 } = {}) {
+  return {
+    sys: { id },
+    name: id,
+    fields: [
+      ...targets.map((target) => ({
+        id: `to_${target}`,
+        type: "Link",
+        linkType: "Entry",
+        validations: [{ linkContentType: [target] }],
+      })),
+      ...Array.from({ length: fields }, (_, i) => ({
+        id: `text${i}`,
+        type: "Symbol",
+        validations: [{ size: { max: 10 } }],
+      })),
+    ],
+  };
+}
+
+test("computeScorecard measures the fixture content types", () => {
+  const scorecard = computeScorecard(model.contentTypes);
+  const byId = Object.fromEntries(
+    scorecard.contentTypes.map((contentType) => [contentType.id, contentType])
+  );
+
+  assert.equal(byId.article.fields, 14);
+  assert.equal(byId.article.fanIn, 0);
+  assert.equal(byId.article.fanOut, 1);
+  assert.equal(byId.article.depth, 2);
+  assert.equal(byId.author.fanIn, 1);
+  assert.equal(byId.author.depth, 1);
+  assert.deepEqual(scorecard.cycles, [["article", "article"]]);
+  assert.deepEqual(scorecard.orphans, ["article"]);
+  assert.deepEqual(scorecard.flagged, []);
+  assert.deepEqual(scorecard.limits.contentTypes, {
+    count: 2,
+    limit: 250,
+    percent: 1,
+    nearLimit: false,
+  });
+  assert.equal(scorecard.limits.fields.count, 14);
+});
+
+test("computeScorecard finds cycles through several content types", () => {
+  const scorecard = computeScorecard([
+    linking("page", ["section"]),
+    linking("section", ["card", "page"]),
+    linking("card", []),
+  ]);
+
+  assert.deepEqual(scorecard.cycles, [["page", "section", "page"]]);
+  assert.deepEqual(
+    scorecard.contentTypes.map((contentType) => contentType.depth),
+    [1, 1, 0]
+  );
+  assert.deepEqual(scorecard.orphans, []);
+});
+
+test("computeScorecard follows the longest reference chain", () => {
+  const scorecard = computeScorecard([
+    linking("a", ["b", "d"]),
+    linking("b", ["c"]),
+    linking("c", ["d"]),
+    linking("d", []),
+  ]);
+
+  assert.deepEqual(
+    scorecard.contentTypes.map((contentType) => contentType.depth),
+    [3, 2, 1, 0]
+  );
+  assert.deepEqual(scorecard.cycles, []);
+  assert.deepEqual(scorecard.orphans, ["a"]);
+});
+
+test("computeScorecard calls out content types over the thresholds", () => {
+  const scorecard = computeScorecard(
+    [linking("hub", ["a", "b", "c"], { fields: 45 }), linking("a", [])],
+    { thresholds: { maxFanOut: 2 }, totalContentTypes: 210 }
+  );
+  const hub = scorecard.contentTypes[0];
+
+  assert.deepEqual(scorecard.flagged, ["hub"]);
+  assert.deepEqual(hub.issues, [
+    "48 fields (threshold: 30)",
+    "48 of the 50 fields Contentful allows",
+    "Links to 3 content types (threshold: 2)",
+  ]);
+  assert.equal(scorecard.limits.fields.contentType, "hub");
+  assert.equal(scorecard.limits.fields.nearLimit, true);
+  assert.equal(scorecard.limits.contentTypes.percent, 84);
+  assert.equal(scorecard.limits.contentTypes.nearLimit, true);
+});
+
+test("getValidationCoverage skips fields that take no validations", () => {
+  assert.equal(
+    getValidationCoverage({
+      fields: [
+        { id: "title", type: "Symbol", validations: [{ size: { max: 5 } }] },
+        {
+          id: "tags",
+          type: "Array",
+          items: { type: "Symbol", validations: [{ in: ["a"] }] },
+        },
+        { id: "body", type: "Text" },
+        { id: "featured", type: "Boolean" },
+      ],
+    }),
+    67
+  );
+  assert.equal(
+    getValidationCoverage({ fields: [{ id: "on", type: "Boolean" }] }),
+    null
+  );
+});
+
+test("resolveThresholds checks names and values", () => {
+  assert.deepEqual(resolveThresholds({ maxFields: 40 }), {
+    ...SCORECARD_THRESHOLDS,
+    maxFields: 40,
+  });
+  assert.throws(
+    () => resolveThresholds({ maxField: 40 }),
+    /Unknown scorecard threshold "maxField"/
+  );
+  assert.throws(
+    () => resolveThresholds({ maxDepth: "3" }),
+    /Invalid value for scorecard threshold "maxDepth"/
+  );
+});
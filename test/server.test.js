@@ -0,0 +1,245 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import {
+  createWebhookServer,
+  signWebhookRequest,
+  verifyWebhookSignature,
+} from "../lib/server.js";
+
+const SECRET = "webhook-secret";
+
+const PAYLOAD = JSON.stringify({
+  sys: {
+    id: "article",
+    type: "ContentType",
+    space: { sys: { id: "fixture-space" } },
+    environment: { sys: { id: "staging" } },
+  },
+});
+
+const topicHeader = (action) => ({
+  "x-contentful-topic": `ContentManagement.ContentType.${action}`,
+});
+
+// Start a server on a free port and stop it when the test ends
+async function startServer(t, options) {
+  const calls = [];
+  const webhookServer = createWebhookServer({
+    spaceId: "fixture-space",
+    environmentId: "master",
+    log: () => {},
+    regenerate: async (environmentId) => {
+      calls.push(environmentId);
+      return { content: `# Report ${calls.length}`, extension: "md" };
+    },
+    ...options,
+  });
+  await new Promise((resolve) =>
+    webhookServer.server.listen(0, "127.0.0.1", resolve)
+  );
+  t.after(() => webhookServer.server.close());
+
+  const { port } = webhookServer.server.address();
+  return { ...webhookServer, calls, url: `http://127.0.0.1:${port}` };
+}
+
+test("signed requests verify, tampered ones don't", () => {
+  const request = { method: "POST", path: "/webhook", body: PAYLOAD };
+  const headers = signWebhookRequest(
+    { ...request, headers: topicHeader("publish") },
+    SECRET
+  );
+
+  assert.equal(verifyWebhookSignature({ ...request, headers }, SECRET), null);
+  assert.equal(
+    verifyWebhookSignature({ ...request, headers, body: "{}" }, SECRET),
+    "Invalid request signature"
+  );
+  assert.equal(
+    verifyWebhookSignature({ ...request, headers }, "other-secret"),
+    "Invalid request signature"
+  );
+  assert.equal(
+    verifyWebhookSignature({ ...request, headers: {} }, SECRET),
+    "Missing request signature"
+  );
+});
+
+test("old signatures are rejected", () => {
+  const request = { method: "POST", path: "/webhook", body: PAYLOAD };
+  const headers = signWebhookRequest(request, SECRET, {
+    timestamp: Date.now() - 60000,
+  });
+  assert.equal(
+    verifyWebhookSignature({ ...request, headers }, SECRET),
+    "The request signature has expired"
+  );
+});
+
+test("a content type webhook regenerates its environment's report", async (t) => {
+  const server = await startServer(t);
+
+  const response = await fetch(`${server.url}/webhook`, {
+    method: "POST",
+    headers: topicHeader("publish"),
+    body: PAYLOAD,
+  });
+  assert.equal(response.status, 202);
+  assert.deepEqual(await response.json(), {
+    status: "queued",
+    environmentId: "staging",
+  });
+
+  await server.whenIdle();
+  assert.deepEqual(server.calls, ["staging"]);
+
+  const report = await fetch(`${server.url}/reports/staging`);
+  assert.equal(report.status, 200);
+  assert.match(report.headers.get("content-type"), /^text\/markdown/);
+  assert.equal(await report.text(), "# Report 1");
+
+  const missing = await fetch(`${server.url}/`);
+  assert.equal(missing.status, 404);
+});
+
+test("webhooks during a regeneration are folded into one rerun", async (t) => {
+  let release;
+  const calls = [];
+  const server = await startServer(t, {
+    regenerate: async (environmentId) => {
+      calls.push(environmentId);
+      if (calls.length === 1) {
+        await new Promise((resolve) => {
+          release = resolve;
+        });
+      }
+      return { content: `# Report ${calls.length}`, extension: "md" };
+    },
+  });
+
+  const send = () =>
+    fetch(`${server.url}/webhook`, {
+      method: "POST",
+      headers: topicHeader("save"),
+      body: PAYLOAD,
+    });
+  await send();
+  await send();
+  await send();
+  release();
+  await server.whenIdle();
+
+  assert.deepEqual(calls, ["staging", "staging"]);
+  const report = await fetch(`${server.url}/reports/staging`);
+  assert.equal(await report.text(), "# Report 2");
+});
+
+test("other topics, spaces and bad bodies are not regenerated", async (t) => {
+  const server = await startServer(t);
+
+  const entry = await fetch(`${server.url}/webhook`, {
+    method: "POST",
+    headers: { "x-contentful-topic": "ContentManagement.Entry.publish" },
+    body: PAYLOAD,
+  });
+  assert.equal((await entry.json()).status, "ignored");
+
+  const otherSpace = await fetch(`${server.url}/webhook`, {
+    method: "POST",
+    headers: topicHeader("delete"),
+    body: PAYLOAD.replace("fixture-space", "other-space"),
+  });
+  assert.equal((await otherSpace.json()).status, "ignored");
+
+  const invalid = await fetch(`${server.url}/webhook`, {
+    method: "POST",
+    headers: topicHeader("delete"),
+    body: "not json",
+  });
+  assert.equal(invalid.status, 400);
+
+  await server.whenIdle();
+  assert.deepEqual(server.calls, []);
+});
+
+test("with a secret, only signed webhooks are accepted", async (t) => {
+  const server = await startServer(t, { secret: SECRET });
+
+  const unsigned = await fetch(`${server.url}/webhook`, {
+    method: "POST",
+    headers: topicHeader("unpublish"),
+    body: PAYLOAD,
+  });
+  assert.equal(unsigned.status, 401);
+
+  const headers = signWebhookRequest(
+    {
+      path: "/webhook",
+      headers: topicHeader("unpublish"),
+      body: PAYLOAD,
+    },
+    SECRET
+  );
+  const signed = await fetch(`${server.url}/webhook`, {
+    method: "POST",
+    headers,
+    body: PAYLOAD,
+  });
+  assert.equal(signed.status, 202);
+
+  await server.whenIdle();
+  assert.deepEqual(server.calls, ["staging"]);
+});
+
+test("failed regenerations keep the previous report", async (t) => {
+  let fail = false;
+  const server = await startServer(t, {
+    regenerate: async () => {
+      if (fail) throw new Error("API down");
+      return { content: "# Report", extension: "md" };
+    },
+  });
+
+  await server.regenerate("master");
+  fail = true;
+  await server.regenerate("master");
+
+  const report = await fetch(`${server.url}/`);
+  assert.equal(await report.text(), "# Report");
+
+  const health = await (await fetch(`${server.url}/health`)).json();
+  assert.equal(health.environments.master.error, "API down");
+});
+
+// GET a raw request target, which fetch would normalize
+function getTarget(url, target) {
+  return new Promise((resolve, reject) => {
+    http
+      .get(`${url}/`, { path: target }, (res) => {
+        let body = "";
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () =>
+          resolve({ status: res.statusCode, body: JSON.parse(body) })
+        );
+      })
+      .on("error", reject);
+  });
+}
+
+test("malformed request targets are rejected", async (t) => {
+  const server = await startServer(t);
+
+  assert.deepEqual(await getTarget(server.url, "//"), {
+    status: 400,
+    body: { error: "Malformed request target" },
+  });
+  assert.deepEqual(await getTarget(server.url, "/reports/%E0%A4%A"), {
+    status: 400,
+    body: { error: "Malformed environment id" },
+  });
+
+  // The server keeps answering
+  const health = await fetch(`${server.url}/health`);
+  assert.equal(health.status, 200);
+});
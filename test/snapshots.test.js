@@ -0,0 +1,203 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { promisify } from "util";
+import {
+  buildTimeline,
+  createSnapshot,
+  generateHistoryReport,
+  getSnapshotDir,
+  loadSnapshots,
+  normalizeContentType,
+  saveSnapshot,
+  SNAPSHOT_VERSION,
+} from "../lib/snapshots.js";
+import { FIXTURE_PATH, loadFixture } from "./helpers.js";
+
+const SCRIPT_PATH = fileURLToPath(
+  new URL("../contentful-content-types-script.js", import.meta.url)
+);
+
+const model = await loadFixture();
+const [article, author] = model.contentTypes;
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "content-snapshots-"));
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const snapshot = (createdAt, contentTypes) =>
+  createSnapshot(contentTypes, {
+    spaceId: "space",
+    environmentId: "master",
+    createdAt,
+  });
+
+test("normalizeContentType keeps the schema and drops volatile sys data", () => {
+  const normalized = normalizeContentType(author);
+  assert.deepEqual(normalized.sys, {
+    id: "author",
+    type: "ContentType",
+    createdAt: author.sys.createdAt,
+    updatedAt: author.sys.updatedAt,
+  });
+  assert.deepEqual(Object.keys(normalized), [
+    "sys",
+    "name",
+    "description",
+    "displayField",
+    "fields",
+  ]);
+  assert.equal(normalized.fields, author.fields);
+
+  // Missing values get stable defaults
+  assert.deepEqual(
+    normalizeContentType({ sys: { id: "bare" }, name: "Bare" }),
+    {
+      sys: {
+        id: "bare",
+        type: "ContentType",
+        createdAt: null,
+        updatedAt: null,
+      },
+      name: "Bare",
+      description: "",
+      displayField: null,
+      fields: [],
+    }
+  );
+});
+
+test("snapshots of an unchanged model only differ in their timestamp", () => {
+  const versioned = (contentType, version) => ({
+    ...contentType,
+    sys: { ...contentType.sys, version, publishedVersion: version - 1 },
+  });
+  const first = snapshot("2024-01-01T00:00:00.000Z", [
+    versioned(author, 3),
+    versioned(article, 7),
+  ]);
+  const second = snapshot("2024-02-01T00:00:00.000Z", [
+    versioned(article, 9),
+    versioned(author, 4),
+  ]);
+
+  assert.equal(first.version, SNAPSHOT_VERSION);
+  assert.deepEqual(
+    first.contentTypes.map((ct) => ct.sys.id),
+    ["article", "author"]
+  );
+  assert.deepEqual(
+    { ...first, createdAt: null },
+    { ...second, createdAt: null }
+  );
+});
+
+test("saved snapshots load back oldest first", async () => {
+  const store = path.join(dir, "store");
+  const later = await saveSnapshot(
+    store,
+    snapshot("2024-02-01T09:30:00.000Z", [article])
+  );
+  await saveSnapshot(store, snapshot("2024-01-01T00:00:00.000Z", [article]));
+
+  const envDir = getSnapshotDir(store, "space", "master");
+  assert.equal(later, path.join(envDir, "2024-02-01T09-30-00-000Z.json"));
+  // Other JSON without content types is skipped
+  await fs.writeFile(path.join(envDir, "notes.json"), "{}");
+
+  const loaded = await loadSnapshots(envDir);
+  assert.deepEqual(
+    loaded.map((loadedSnapshot) => loadedSnapshot.createdAt),
+    ["2024-01-01T00:00:00.000Z", "2024-02-01T09:30:00.000Z"]
+  );
+  assert.equal(loaded[1].file, later);
+  assert.deepEqual(await loadSnapshots(path.join(dir, "missing")), []);
+});
+
+test("buildTimeline dates each change by the snapshot that first shows it", () => {
+  const renamed = {
+    ...article,
+    name: "Story",
+    fields: article.fields.filter((field) => field.id !== "legacyId"),
+  };
+  const timeline = buildTimeline([
+    snapshot("2024-01-01T00:00:00.000Z", [article]),
+    snapshot("2024-02-01T00:00:00.000Z", [article, author]),
+    snapshot("2024-03-01T00:00:00.000Z", [renamed, author]),
+    snapshot("2024-04-01T00:00:00.000Z", [renamed]),
+  ]);
+
+  assert.equal(timeline.snapshots, 4);
+  assert.equal(timeline.from, "2024-01-01T00:00:00.000Z");
+  assert.equal(timeline.to, "2024-04-01T00:00:00.000Z");
+
+  const [story, writer] = timeline.contentTypes;
+  assert.equal(story.name, "Story");
+  assert.equal(story.firstSeen, "2024-01-01T00:00:00.000Z");
+  assert.equal(story.removedAt, null);
+  assert.deepEqual(
+    story.events.map(
+      (event) => `${event.date.slice(0, 7)} ${event.field}: ${event.message}`
+    ),
+    [
+      '2024-03 null: Name: "Article" → "Story"',
+      "2024-03 legacyId: Field removed (Symbol)",
+    ]
+  );
+
+  assert.equal(writer.firstSeen, "2024-02-01T00:00:00.000Z");
+  assert.equal(writer.removedAt, "2024-04-01T00:00:00.000Z");
+  assert.deepEqual(
+    writer.events.map((event) => `${event.kind} ${event.breaking}`),
+    ["content-type-added false", "content-type-removed true"]
+  );
+});
+
+test("generateHistoryReport renders a table per content type", () => {
+  const timeline = buildTimeline([
+    snapshot("2024-01-01T00:00:00.000Z", [article, author]),
+    snapshot("2024-02-01T09:30:00.000Z", [
+      {
+        ...article,
+        fields: article.fields.filter((field) => field.id !== "legacyId"),
+      },
+      author,
+    ]),
+  ]);
+  const report = generateHistoryReport(timeline, {
+    spaceId: "space",
+    environmentId: "master",
+  });
+
+  assert.match(
+    report,
+    /\*\*Snapshots:\*\* 2 \(2024-01-01 00:00 UTC to 2024-02-01 09:30 UTC\) {2}\n\*\*Changes:\*\* 1\n/
+  );
+  assert.match(
+    report,
+    /\| 2024-02-01 09:30 UTC \| `legacyId` \| Field removed \(Symbol\) ⚠️ \|/
+  );
+  assert.match(
+    report,
+    /## Author \(`author`\)\n\n- \*\*Created:\*\* .+ UTC\n- \*\*First Snapshot:\*\* 2024-01-01 00:00 UTC\n\nNo changes recorded\./
+  );
+});
+
+test("reports read from --input store no snapshot", async () => {
+  const cwd = await fs.mkdtemp(path.join(dir, "run-"));
+  const { stdout } = await promisify(execFile)(
+    process.execPath,
+    [SCRIPT_PATH, `--input=${FIXTURE_PATH}`],
+    { cwd, env: { ...process.env, OUTPUT_DIR: "reports" } }
+  );
+  assert.match(stdout, /No snapshot stored for a model read from --input/);
+  // Only the report itself
+  const files = await fs.readdir(path.join(cwd, "reports"));
+  assert.deepEqual(
+    files.map((file) => path.extname(file)),
+    [".md"]
+  );
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeSummary } from "../lib/summary.js";
+import { loadFixture } from "./helpers.js";
+
+const model = await loadFixture();
+
+test("computeSummary counts the fixture fields", () => {
+  const summary = computeSummary(model.contentTypes);
+  assert.equal(summary.contentTypes, 2);
+  assert.equal(summary.totalFields, 28);
+  assert.equal(summary.requiredFields, 5);
+  assert.equal(summary.localizedFields, 4);
+  assert.equal(summary.referenceFields, 9);
+  assert.equal(summary.richTextFields, 1);
+  assert.equal(summary.disabledFields, 1);
+  assert.equal(summary.fieldsWithValidations, 19);
+});
+
+test("computeSummary breaks down field types, most common first", () => {
+  const { fieldTypes } = computeSummary(model.contentTypes);
+  assert.deepEqual(Object.entries(fieldTypes).slice(0, 3), [
+    ["Symbol", 6],
+    ["Date", 3],
+    ["Text", 2],
+  ]);
+  assert.equal(
+    Object.values(fieldTypes).reduce((sum, count) => sum + count, 0),
+    28
+  );
+  assert.equal(fieldTypes["Array<Reference to [article]>"], 1);
+  assert.equal(fieldTypes["Resource link to [article]"], 1);
+  assert.equal(
+    fieldTypes["Array<Resource link to [product, bundle, Shopify:Product]>"],
+    1
+  );
+});
+
+test("computeSummary handles an empty model", () => {
+  assert.deepEqual(computeSummary([]), {
+    contentTypes: 0,
+    totalFields: 0,
+    requiredFields: 0,
+    localizedFields: 0,
+    referenceFields: 0,
+    richTextFields: 0,
+    disabledFields: 0,
+    fieldsWithValidations: 0,
+    fieldTypes: {},
+  });
+});
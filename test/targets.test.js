@@ -0,0 +1,234 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  compareSharedContentTypes,
+  generateTargetsIndex,
+  loadTargetsConfig,
+  resolveTargets,
+  targetFileName,
+} from "../lib/targets.js";
+import { loadFixture } from "./helpers.js";
+
+const model = await loadFixture();
+const [article, author] = model.contentTypes;
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "content-targets-"));
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+async function writeConfig(name, content) {
+  const filePath = path.join(dir, name);
+  await fs.writeFile(filePath, content);
+  return filePath;
+}
+
+test("loadTargetsConfig reads a targets key or a plain array", async () => {
+  const targets = [{ spaceId: "a" }, { input: "export.json" }];
+  assert.deepEqual(
+    await loadTargetsConfig(
+      await writeConfig("object.json", JSON.stringify({ targets }))
+    ),
+    targets
+  );
+  assert.deepEqual(
+    await loadTargetsConfig(
+      await writeConfig("array.json", JSON.stringify(targets))
+    ),
+    targets
+  );
+});
+
+test("loadTargetsConfig rejects invalid JSON and empty target lists", async () => {
+  const broken = await writeConfig("broken.json", "{ targets: [");
+  await assert.rejects(loadTargetsConfig(broken), {
+    message: new RegExp(`^Could not parse ${broken} as JSON: `),
+  });
+  const empty = await writeConfig("empty.json", '{ "targets": [] }');
+  await assert.rejects(loadTargetsConfig(empty), {
+    message: `${empty} has no targets. Expected { "targets": [...] }`,
+  });
+});
+
+test("resolveTargets names targets and reads their tokens from the environment", () => {
+  const env = {
+    CONTENTFUL_MANAGEMENT_TOKEN: "default-token",
+    STAGING_TOKEN: "staging-token",
+  };
+  assert.deepEqual(
+    resolveTargets(
+      [
+        { spaceId: "space" },
+        {
+          name: "Staging",
+          spaceId: "space",
+          environmentId: "staging",
+          tokenEnv: "STAGING_TOKEN",
+        },
+        { input: "exports/old.json" },
+      ],
+      env
+    ),
+    [
+      {
+        name: "space-master",
+        input: null,
+        spaceId: "space",
+        environmentId: "master",
+        accessToken: "default-token",
+      },
+      {
+        name: "Staging",
+        input: null,
+        spaceId: "space",
+        environmentId: "staging",
+        accessToken: "staging-token",
+      },
+      {
+        name: "exports/old.json",
+        input: "exports/old.json",
+        spaceId: null,
+        environmentId: "master",
+        accessToken: null,
+      },
+    ]
+  );
+});
+
+test("resolveTargets rejects incomplete and duplicate targets", () => {
+  const env = { CONTENTFUL_MANAGEMENT_TOKEN: "token" };
+  assert.throws(() => resolveTargets(["space"], env), {
+    message: "Target 1 must be an object",
+  });
+  assert.throws(() => resolveTargets([{ environmentId: "dev" }], env), {
+    message: "Target 1 needs a spaceId or an input file",
+  });
+  assert.throws(
+    () => resolveTargets([{ spaceId: "a" }, { spaceId: "a" }], env),
+    { message: "Duplicate target name: a-master" }
+  );
+  assert.throws(
+    () => resolveTargets([{ spaceId: "a", tokenEnv: "MISSING_TOKEN" }], env),
+    {
+      message:
+        "Target 1 (a-master) needs a token in the MISSING_TOKEN environment variable",
+    }
+  );
+});
+
+test("targetFileName keeps names safe for file systems", () => {
+  assert.equal(
+    targetFileName("exports/old space.json"),
+    "exports-old-space.json"
+  );
+  assert.equal(targetFileName("space-master"), "space-master");
+});
+
+test("compareSharedContentTypes compares each target with the first", () => {
+  const renamed = { ...author, name: "Writer" };
+  const drifted = {
+    ...article,
+    fields: article.fields.filter((field) => field.id !== "legacyId"),
+  };
+  const shared = compareSharedContentTypes([
+    { name: "prod", contentTypes: [article, author] },
+    { name: "failed", error: "Not found" },
+    { name: "staging", contentTypes: [drifted, renamed] },
+    { name: "dev", contentTypes: [article] },
+  ]);
+
+  assert.deepEqual(
+    shared.map(({ id, targets, baseline, fieldsMatch }) => ({
+      id,
+      targets,
+      baseline,
+      fieldsMatch,
+    })),
+    [
+      {
+        id: "article",
+        targets: ["prod", "staging", "dev"],
+        baseline: "prod",
+        fieldsMatch: false,
+      },
+      {
+        id: "author",
+        targets: ["prod", "staging"],
+        baseline: "prod",
+        fieldsMatch: true,
+      },
+    ]
+  );
+  // dev matches prod, so only staging differs
+  assert.deepEqual(
+    shared[0].differences.map(({ target, changes }) => [
+      target,
+      changes.map((change) => `${change.field}: ${change.message}`),
+    ]),
+    [["staging", ["legacyId: Field removed (Symbol)"]]]
+  );
+  assert.deepEqual(
+    shared[1].differences[0].changes.map((change) => change.message),
+    ['Name: "Author" → "Writer"']
+  );
+});
+
+test("generateTargetsIndex links the reports and lists the drift", () => {
+  const results = [
+    {
+      name: "prod",
+      spaceId: "space",
+      environmentId: "master",
+      summary: { contentTypes: 2, totalFields: 28 },
+      filename: "contentful-content-types-prod.md",
+      contentTypes: [article],
+    },
+    {
+      name: "dev",
+      spaceId: "space",
+      environmentId: "dev",
+      error: "Request failed | 404",
+    },
+    {
+      name: "old export",
+      input: "old.json",
+      summary: { contentTypes: 1, totalFields: 13 },
+      filename: "contentful-content-types-old export.md",
+      contentTypes: [
+        {
+          ...article,
+          fields: article.fields.filter((field) => field.id !== "legacyId"),
+        },
+      ],
+    },
+  ];
+  const index = generateTargetsIndex(
+    results,
+    compareSharedContentTypes(results)
+  );
+
+  assert.match(index, /\*\*Targets:\*\* 3\n/);
+  assert.match(
+    index,
+    /\| prod \| space \| master \| 2 \| 28 \| \[contentful-content-types-prod\.md\]\(contentful-content-types-prod\.md\) \|/
+  );
+  assert.match(
+    index,
+    /\| dev \| space \| dev \| - \| - \| ❌ Request failed \\\| 404 \|/
+  );
+  assert.match(
+    index,
+    /\| old export \| - \| - \| 1 \| 13 \| \[contentful-content-types-old export\.md\]\(contentful-content-types-old%20export\.md\) \|/
+  );
+  assert.match(index, /\| `article` \| prod, old export \| ⚠️ Drifted \|/);
+  assert.match(
+    index,
+    /## Drift Details\n\n### Article \(`article`\)\n\nCompared to prod:\n\n- \*\*old export\*\*\n {2}- `legacyId`: Field removed \(Symbol\)\n/
+  );
+
+  assert.match(
+    generateTargetsIndex(results.slice(0, 1), []),
+    /No content type id appears in more than one target\./
+  );
+});
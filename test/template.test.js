@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileTemplate, renderTemplate } from "../lib/template.js";
+
+test("renderTemplate inserts values by path, without escaping", () => {
+  assert.equal(
+    renderTemplate("{{name}} {{items.type}} {{html}} {{{html}}} {{missing}}", {
+      name: "Tags",
+      items: { type: "Symbol" },
+      html: "<b>&</b>",
+    }),
+    "Tags Symbol <b>&</b> <b>&</b> "
+  );
+});
+
+test("renderTemplate joins lists and writes JSON with helpers", () => {
+  const data = { list: ["a", "b"], counts: { Symbol: 2 }, count: 0 };
+  assert.equal(
+    renderTemplate('{{join list}} {{join list " | "}} {{json counts}}', data),
+    'a, b a | b {"Symbol":2}'
+  );
+  // Without a helper, lists render the Handlebars way
+  assert.equal(renderTemplate("{{list}} {{count}}", data), "a,b 0");
+});
+
+test("renderTemplate treats empty arrays as false", () => {
+  const template = "{{#if tags}}tagged{{else}}untagged{{/if}}";
+  assert.equal(renderTemplate(template, { tags: ["a"] }), "tagged");
+  assert.equal(renderTemplate(template, { tags: [] }), "untagged");
+  assert.equal(
+    renderTemplate("{{#unless required}}optional{{/unless}}", {}),
+    "optional"
+  );
+});
+
+test("renderTemplate loops with @index, @first and @last", () => {
+  const render = compileTemplate(
+    "{{#each ids}}{{@index}}:{{this}}{{#unless @last}}, {{/unless}}{{else}}None{{/each}}"
+  );
+  assert.equal(render({ ids: ["a", "b"] }), "0:a, 1:b");
+  assert.equal(render({ ids: [] }), "None");
+});
+
+test("renderTemplate reads enclosing contexts through ../ and @root", () => {
+  const data = {
+    spaceId: "space",
+    name: "Report",
+    contentTypes: [{ name: "Article", usage: null }],
+    usage: { totalEntries: 3 },
+  };
+  assert.equal(
+    renderTemplate(
+      "{{#each contentTypes}}{{spaceId}}/{{@root.spaceId}}/{{name}}/{{../name}}{{#with usage}}!{{/with}}{{/each}}",
+      data
+    ),
+    // Plain names only look in the current context
+    "/space/Article/Report"
+  );
+});
+
+test("renderTemplate drops lines holding only a block tag", () => {
+  const template = [
+    "{{! heading }}",
+    "# Fields",
+    "{{#each fields}}",
+    "  {{#if required}}",
+    "- {{name}} (required)",
+    "  {{/if}}",
+    "{{/each}}",
+    "",
+  ].join("\n");
+  assert.equal(
+    renderTemplate(template, {
+      fields: [
+        { name: "Title", required: true },
+        { name: "Body", required: false },
+      ],
+    }),
+    "# Fields\n- Title (required)\n"
+  );
+});
+
+test("compileTemplate reports syntax errors with their line", () => {
+  assert.throws(
+    () => compileTemplate("{{#each fields}}\n{{name}}\n{{/if}}"),
+    /each doesn't match if - 1:3/
+  );
+  assert.throws(
+    () => compileTemplate("ok\n{{#if a}}"),
+    /^Error: Parse error on line 2:/
+  );
+  assert.throws(() => compileTemplate("{{name"), /Parse error on line 1:/);
+  assert.throws(() => compileTemplate("{{else}}"), /Parse error on line 1:/);
+  assert.throws(
+    () => renderTemplate("{{#loop a}}{{/loop}}", {}),
+    /Missing helper: "loop"/
+  );
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateTypeDefinitions } from "../lib/typescript.js";
+import { loadFixture } from "./helpers.js";
+
+const model = await loadFixture();
+
+const definitions = generateTypeDefinitions(model.contentTypes, {
+  spaceId: "fixture-space",
+  environmentId: "master",
+});
+
+// The property line of a field, without its doc comment
+const property = (id) =>
+  definitions
+    .split("\n")
+    .map((line) => line.trim())
+    .find((line) => new RegExp(`^${id}\\??:`).test(line));
+
+test("generateTypeDefinitions types references by their targets", () => {
+  assert.equal(property("author"), "author: Author;");
+  assert.equal(property("related"), "related?: Article[];");
+  assert.equal(property("gallery"), "gallery?: Asset[];");
+  assert.equal(property("links"), "links?: AnyEntry[];");
+  assert.equal(
+    property("category"),
+    'category?: "news" | "opinion" | "feature";'
+  );
+});
+
+test("generateTypeDefinitions types resource links by their resource types", () => {
+  assert.match(
+    definitions,
+    /export interface ResourceLink<TLinkType extends string = string> \{\n {2}sys: \{ type: "ResourceLink"; linkType: TLinkType; urn: string \};\n\}/
+  );
+  assert.equal(
+    property("canonical"),
+    'canonical?: ResourceLink<"Contentful:Entry">;'
+  );
+  assert.equal(
+    property("products"),
+    'products?: Array<ResourceLink<"Contentful:Entry" | "Shopify:Product">>;'
+  );
+
+  const [unrestricted] = generateTypeDefinitions([
+    {
+      sys: { id: "page" },
+      name: "Page",
+      fields: [{ id: "source", name: "Source", type: "ResourceLink" }],
+    },
+  ])
+    .split("\n")
+    .filter((line) => line.includes("source?:"));
+  assert.equal(unrestricted.trim(), "source?: ResourceLink;");
+  assert.doesNotMatch(definitions, /unknown;$/m);
+});
+
+test("content types named like a helper type get another name", () => {
+  const definitions = generateTypeDefinitions([
+    { sys: { id: "resourceLink" }, name: "Resource Link", fields: [] },
+  ]);
+  assert.match(definitions, /export interface ResourceLinkEntry \{/);
+});
+
+test("a content type named like the id map gets another name", () => {
+  const definitions = generateTypeDefinitions([
+    { sys: { id: "contentTypeMap" }, name: "Content Type Map", fields: [] },
+  ]);
+  assert.match(definitions, /export interface ContentTypeMapEntry \{/);
+  assert.match(definitions, /  contentTypeMap: ContentTypeMapEntry;/);
+  assert.equal(
+    definitions.match(/export interface ContentTypeMap \{/g).length,
+    1
+  );
+});
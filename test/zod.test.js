@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateZodModule } from "../lib/zod.js";
+import { loadFixture } from "./helpers.js";
+
+const model = await loadFixture();
+const { source, warnings } = generateZodModule(model.contentTypes);
+
+// The generated expression of a field, by "contentTypeId.fieldId"
+function expressionOf(key) {
+  const [contentTypeId, fieldId] = key.split(".");
+  const start = source.indexOf(`export const ${contentTypeId}Schema = z`);
+  const line = source
+    .slice(start)
+    .split("\n")
+    .find((text) => text.startsWith(`    ${JSON.stringify(fieldId)}: `));
+  return line
+    .trim()
+    .replace(`${JSON.stringify(fieldId)}: `, "")
+    .slice(0, -1);
+}
+
+test("every content type gets a strict object schema in the schemas map", () => {
+  assert.match(source, /^\/\/ Generated from the Contentful content model\./);
+  assert.match(source, /\nimport \{ z \} from "zod";\n/);
+  assert.match(source, /\n\/\/ Article\nexport const articleSchema = z\n/);
+  assert.match(
+    source,
+    /\nexport const schemas = \{\n {2}"article": articleSchema,\n {2}"author": authorSchema,\n\};\n/
+  );
+});
+
+test("required fields are plain, optional ones end with .optional()", () => {
+  assert.equal(expressionOf("author.name"), "z.string()");
+  assert.equal(expressionOf("article.author"), 'link("Entry")');
+  assert.equal(expressionOf("author.active"), "z.boolean().optional()");
+  assert.equal(expressionOf("article.body"), "richText.optional()");
+});
+
+test("size and range become min and max, with the validation message", () => {
+  assert.equal(
+    expressionOf("article.title"),
+    'z.string().min(5, { message: "Keep titles short" }).max(120, { message: "Keep titles short" })'
+  );
+  assert.equal(
+    expressionOf("author.age"),
+    "z.number().int().min(18).max(120).optional()"
+  );
+  assert.equal(
+    expressionOf("article.related"),
+    'z.array(link("Entry")).min(1).max(3).optional()'
+  );
+});
+
+test("in and regexp checks, refinements last", () => {
+  assert.equal(
+    expressionOf("article.category"),
+    'z.string().refine((value) => ["news", "opinion", "feature"].includes(value), { message: "Value is not one of the allowed options" }).optional()'
+  );
+  // Item validations stay inside z.array()
+  assert.equal(
+    expressionOf("article.tags"),
+    'z.array(z.string().min(2).max(20).refine((value) => ["tech", "science", "culture"].includes(value), { message: "Value is not one of the allowed options" })).max(10).optional()'
+  );
+  // prohibitRegexp refines, so it goes after .max()
+  assert.equal(
+    expressionOf("article.slug"),
+    'z.string().regex(new RegExp("^[a-z0-9-]+$", "i")).max(80).refine((value) => !new RegExp("admin", "").test(value), { message: "Value matches a prohibited pattern" })'
+  );
+  assert.equal(
+    expressionOf("author.website"),
+    'z.string().regex(new RegExp("^https?://", ""), { message: "Must be a URL" }).optional()'
+  );
+});
+
+test("link targets can't be checked and are listed as warnings", () => {
+  assert.equal(expressionOf("author.seo"), 'link("Entry").optional()');
+  const linkWarnings = warnings
+    .filter((warning) => warning.validation.endsWith("linkContentType"))
+    .map((warning) => `${warning.contentType}.${warning.field}`);
+  assert.deepEqual(linkWarnings, [
+    "article.author",
+    "article.related",
+    "author.seo",
+  ]);
+  assert.match(
+    source,
+    /\n\/\/ Warnings: these validations could not be expressed and are not enforced\n\/\/ {3}article\.title unique: uniqueness is checked across entries by Contentful\n/
+  );
+});